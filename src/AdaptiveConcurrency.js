@@ -0,0 +1,232 @@
+"use strict";
+
+/**
+ * Defines how the concurrency limit adapts to the outcome of the callbacks.
+ *
+ * @typedef {Object} AdaptiveConcurrencyOptions
+ * @property {number} [min=1] - Lowest the limit can go.
+ * @property {number} [max=100] - Highest the limit can go, Infinity for no bound.
+ * @property {number} [increase=1] - Number of slots added each time as many callbacks as the limit succeeded in a row while it was reached.
+ * @property {number} [decrease=0.5] - Factor, between 0 and 1, the limit is multiplied by when a callback fails or is too slow.
+ * @property {number|null} [latencyThreshold=null] - Duration, in milliseconds, above which a successful attempt counts as a latency spike, null to only back off on errors.
+ */
+
+/**
+ * The concurrency limit, adapted with an additive increase, multiplicative decrease (AIMD) algorithm.
+ *
+ * The limit grows by `increase` once as many attempts as the limit ended healthy in a row while the limit was reached,
+ * and shrinks by the `decrease` factor as soon as an attempt fails or exceeds the latency threshold.
+ * Attempts started before the last decrease don't shrink it again, so that a burst of failures only backs off once.
+ *
+ * @example
+ * const concurrency = new AdaptiveConcurrency({ min: 2, max: 50 }, 10);
+ * const limit = concurrency.record({ startedAt, duration, failed, running });
+ * if (limit !== null) {
+ *   console.log(`Running up to ${limit} callbacks`);
+ * }
+ *
+ * @ignore
+ */
+class AdaptiveConcurrency {
+  /**
+   * The options of the algorithm, with every property set.
+   *
+   * @type {AdaptiveConcurrencyOptions}
+   * @private
+   */
+  #options;
+
+  /**
+   * Current concurrency limit.
+   *
+   * @type {number}
+   * @private
+   */
+  #limit;
+
+  /**
+   * Number of healthy attempts in a row since the limit last changed.
+   *
+   * @type {number}
+   * @private
+   */
+  #healthy = 0;
+
+  /**
+   * Timestamp of when the limit was last decreased.
+   *
+   * @type {number}
+   * @private
+   */
+  #decreasedAt = -Infinity;
+
+  /**
+   * Creates a new adaptive concurrency limit.
+   *
+   * @param {AdaptiveConcurrencyOptions} options - How the limit adapts.
+   * @param {number} initial - The limit to start from, brought within the bounds.
+   * @class
+   */
+  constructor(
+    {
+      min = 1,
+      max = 100,
+      increase = 1,
+      decrease = 0.5,
+      latencyThreshold = null,
+    },
+    initial,
+  ) {
+    this.#options = { min, max, increase, decrease, latencyThreshold };
+    this.#limit = this.#clamp(initial);
+  }
+
+  /**
+   * Checks that adaptive concurrency options are well formed.
+   *
+   * @param {AdaptiveConcurrencyOptions|Object} options - The options to check.
+   * @returns {void}
+   * @throws {Error} If the options are not an object or any of their properties is invalid.
+   * @static
+   */
+  static validate(options) {
+    if (!options || typeof options !== "object") {
+      throw new Error('The "adaptiveConcurrency" option must be an object');
+    }
+
+    const {
+      min = 1,
+      max = 100,
+      increase = 1,
+      decrease = 0.5,
+      latencyThreshold = null,
+    } = options;
+    if (!Number.isInteger(min) || min < 1) {
+      throw new Error(
+        'The "adaptiveConcurrency.min" option must be a positive integer',
+      );
+    }
+
+    if (max !== Infinity && (!Number.isInteger(max) || max < min)) {
+      throw new Error(
+        'The "adaptiveConcurrency.max" option must be an integer no lower than min',
+      );
+    }
+
+    if (!Number.isInteger(increase) || increase < 1) {
+      throw new Error(
+        'The "adaptiveConcurrency.increase" option must be a positive integer',
+      );
+    }
+
+    if (!(decrease > 0 && decrease < 1)) {
+      throw new Error(
+        'The "adaptiveConcurrency.decrease" option must be a number between 0 and 1',
+      );
+    }
+
+    if (
+      latencyThreshold !== null &&
+      (!Number.isFinite(latencyThreshold) || latencyThreshold <= 0)
+    ) {
+      throw new Error(
+        'The "adaptiveConcurrency.latencyThreshold" option must be a positive number',
+      );
+    }
+  }
+
+  /**
+   * Returns the current concurrency limit.
+   *
+   * @returns {number} The number of callbacks that can run in parallel.
+   */
+  getLimit() {
+    return this.#limit;
+  }
+
+  /**
+   * Overrides the current concurrency limit, adapting from there on.
+   *
+   * @param {number} limit - The new limit, brought within the bounds.
+   * @returns {number} The new limit.
+   */
+  setLimit(limit) {
+    this.#limit = this.#clamp(limit);
+    this.#healthy = 0;
+    return this.#limit;
+  }
+
+  /**
+   * Records the outcome of an attempt, adapting the limit to it.
+   *
+   * @param {Object} outcome - The outcome of the attempt.
+   * @param {number} outcome.startedAt - Timestamp of when the attempt started.
+   * @param {number} outcome.duration - Duration of the attempt in milliseconds.
+   * @param {boolean} outcome.failed - Whether the attempt failed, timeouts included.
+   * @param {number} outcome.running - Number of attempts that were running when it ended, itself included.
+   * @returns {number|null} The new limit, or null if it did not change.
+   */
+  record({ startedAt, duration, failed, running }) {
+    const { latencyThreshold } = this.#options;
+    if (failed || (latencyThreshold !== null && duration > latencyThreshold)) {
+      return this.#decrease(startedAt);
+    }
+
+    // Only a limit that is reached proves it could be higher
+    if (running < this.#limit) {
+      return null;
+    }
+
+    this.#healthy++;
+    if (this.#healthy < this.#limit) {
+      return null;
+    }
+
+    return this.#change(this.#limit + this.#options.increase);
+  }
+
+  /**
+   * Shrinks the limit, unless the attempt started before the last decrease.
+   *
+   * @param {number} startedAt - Timestamp of when the unhealthy attempt started.
+   * @returns {number|null} The new limit, or null if it did not change.
+   * @private
+   */
+  #decrease(startedAt) {
+    this.#healthy = 0;
+    if (startedAt <= this.#decreasedAt) {
+      return null;
+    }
+
+    this.#decreasedAt = Date.now();
+    return this.#change(Math.floor(this.#limit * this.#options.decrease));
+  }
+
+  /**
+   * Sets the limit, starting the count of healthy attempts over.
+   *
+   * @param {number} limit - The new limit, brought within the bounds.
+   * @returns {number|null} The new limit, or null if it did not change.
+   * @private
+   */
+  #change(limit) {
+    const previous = this.#limit;
+    this.setLimit(limit);
+    return this.#limit === previous ? null : this.#limit;
+  }
+
+  /**
+   * Brings a limit within the bounds.
+   *
+   * @param {number} limit - The limit to bound.
+   * @returns {number} The limit, no lower than min and no higher than max.
+   * @private
+   */
+  #clamp(limit) {
+    return Math.min(this.#options.max, Math.max(this.#options.min, limit));
+  }
+}
+
+module.exports = {
+  AdaptiveConcurrency,
+};
@@ -0,0 +1,336 @@
+"use strict";
+
+/**
+ * Defines when a circuit breaker opens, and what happens to callbacks while it is open.
+ *
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold=5] - Number of failed attempts within the window that opens the circuit.
+ * @property {number|null} [failureRatio=null] - Share of failed attempts within the window, between 0 and 1, that must also be reached to open the circuit, null to only count failures.
+ * @property {number} [window=60000] - Length, in milliseconds, of the sliding window attempts are counted in.
+ * @property {number} [cooldown=30000] - Time, in milliseconds, the circuit stays open before letting a probe through.
+ * @property {string} [policy="hold"] - What happens to callbacks while the circuit is open, one of {@link CircuitPolicy}.
+ * @property {Function} [isFailure] - Predicate that receives the error of a failed attempt, a falsy return value counts the attempt as a success. All errors count by default.
+ */
+
+/**
+ * Enumerates the states of a circuit breaker.
+ * This object is frozen to prevent modifications to the state values.
+ *
+ * @type {Object}
+ * @property {string} CLOSED - Callbacks run as usual while failures are counted.
+ * @property {string} OPEN - Too many callbacks failed, none is started until the cooldown elapses.
+ * @property {string} HALF_OPEN - The cooldown elapsed, a single callback is started as a probe, closing the circuit if it succeeds or opening it again if it fails.
+ * @example
+ * const CircuitState = {
+ *   CLOSED: "closed",
+ *   OPEN: "open",
+ *   HALF_OPEN: "half-open",
+ * };
+ */
+const CircuitState = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+});
+
+/**
+ * Enumerates what happens to callbacks that can't start because their circuit is open.
+ * This object is frozen to prevent modifications to the policy values.
+ *
+ * @type {Object}
+ * @property {string} HOLD - Callbacks stay pending until the circuit lets them through.
+ * @property {string} FAIL - Callbacks fail with a {@link CircuitOpenError} without running, nor being retried.
+ * @example
+ * const CircuitPolicy = {
+ *   HOLD: "hold",
+ *   FAIL: "fail",
+ * };
+ */
+const CircuitPolicy = Object.freeze({
+  HOLD: "hold",
+  FAIL: "fail",
+});
+
+/**
+ * A circuit breaker, counting failed attempts within a sliding window.
+ *
+ * The circuit starts closed and opens once the failures reach the threshold, and the ratio if any.
+ * It does not keep time on its own, whoever uses it moves it to half-open once the cooldown elapsed.
+ *
+ * @example
+ * const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 10000 });
+ * if (breaker.tryAcquire()) {
+ *   const state = breaker.record(error, startedAt);
+ *   if (state === CircuitState.OPEN) {
+ *     setTimeout(() => breaker.halfOpen(), breaker.getDelay());
+ *   }
+ * }
+ *
+ * @ignore
+ */
+class CircuitBreaker {
+  /**
+   * The options of the breaker, with every property set.
+   *
+   * @type {CircuitBreakerOptions}
+   * @private
+   */
+  #options;
+
+  /**
+   * Current state of the circuit.
+   *
+   * @type {string}
+   * @private
+   */
+  #state = CircuitState.CLOSED;
+
+  /**
+   * Outcomes of the attempts ended within the window while closed, oldest first.
+   *
+   * @type {Array<{at: number, failed: boolean}>}
+   * @private
+   */
+  #outcomes = [];
+
+  /**
+   * Timestamp of when the circuit last opened.
+   *
+   * @type {number}
+   * @private
+   */
+  #openedAt = 0;
+
+  /**
+   * Whether a probe was let through since the circuit went half-open.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #probing = false;
+
+  /**
+   * Creates a new circuit breaker.
+   *
+   * @param {CircuitBreakerOptions} options - When the circuit opens, and for how long.
+   * @class
+   */
+  constructor({
+    failureThreshold = 5,
+    failureRatio = null,
+    window = 60000,
+    cooldown = 30000,
+    policy = CircuitPolicy.HOLD,
+    isFailure = () => true,
+  }) {
+    this.#options = {
+      failureThreshold,
+      failureRatio,
+      window,
+      cooldown,
+      policy,
+      isFailure,
+    };
+  }
+
+  /**
+   * Checks that circuit breaker options are well formed.
+   *
+   * @param {CircuitBreakerOptions|Object} options - The options to check.
+   * @param {string} [name="circuitBreaker"] - The name of the option holding them, used in error messages.
+   * @returns {void}
+   * @throws {Error} If the options are not an object or any of their properties is invalid.
+   * @static
+   */
+  static validate(options, name = "circuitBreaker") {
+    if (!options || typeof options !== "object") {
+      throw new Error(`The "${name}" option must be an object`);
+    }
+
+    const {
+      failureThreshold = 5,
+      failureRatio = null,
+      window = 60000,
+      cooldown = 30000,
+      policy = CircuitPolicy.HOLD,
+      isFailure = () => true,
+    } = options;
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+      throw new Error(
+        `The "${name}.failureThreshold" option must be a positive integer`,
+      );
+    }
+
+    if (failureRatio !== null && !(failureRatio > 0 && failureRatio <= 1)) {
+      throw new Error(
+        `The "${name}.failureRatio" option must be a number between 0 and 1`,
+      );
+    }
+
+    for (const [key, value] of Object.entries({ window, cooldown })) {
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(
+          `The "${name}.${key}" option must be a positive number`,
+        );
+      }
+    }
+
+    if (!Object.values(CircuitPolicy).includes(policy)) {
+      throw new Error(`The "${name}.policy" option is invalid`);
+    }
+
+    if (typeof isFailure !== "function") {
+      throw new Error(`The "${name}.isFailure" option must be a function`);
+    }
+  }
+
+  /**
+   * Returns the current state of the circuit.
+   *
+   * @returns {string} One of {@link CircuitState}.
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Returns what happens to callbacks that can't start while the circuit is open.
+   *
+   * @returns {string} One of {@link CircuitPolicy}.
+   */
+  getPolicy() {
+    return this.#options.policy;
+  }
+
+  /**
+   * Returns how long until the circuit can go half-open.
+   *
+   * @returns {number} Time in milliseconds, 0 if the circuit is not open or the cooldown elapsed.
+   */
+  getDelay() {
+    if (this.#state !== CircuitState.OPEN) {
+      return 0;
+    }
+
+    return Math.max(0, this.#openedAt + this.#options.cooldown - Date.now());
+  }
+
+  /**
+   * Checks if a callback could start, without letting it through.
+   *
+   * @returns {boolean} True if the circuit is closed, or half-open and no probe was let through yet.
+   */
+  canPass() {
+    return (
+      this.#state === CircuitState.CLOSED ||
+      (this.#state === CircuitState.HALF_OPEN && !this.#probing)
+    );
+  }
+
+  /**
+   * Lets a callback through, if the circuit allows it. While half-open, the callback is the probe.
+   *
+   * @returns {boolean} True if the callback can start.
+   */
+  tryAcquire() {
+    if (!this.canPass()) {
+      return false;
+    }
+
+    this.#probing = this.#state === CircuitState.HALF_OPEN;
+    return true;
+  }
+
+  /**
+   * Gives back the probe of a half-open circuit whose attempt ended without an outcome, such as a cancelled one.
+   *
+   * @returns {void}
+   */
+  release() {
+    this.#probing = false;
+  }
+
+  /**
+   * Records the outcome of an attempt that was let through.
+   *
+   * While closed, the outcome is counted and may open the circuit. While half-open, the outcome of the probe closes or opens the circuit.
+   * Attempts that end while the circuit is open, or that started before it opened while it is half-open, are ignored: they don't tell whether it recovered.
+   *
+   * @param {Error|null} error - The error of the failed attempt, null if it succeeded.
+   * @param {number} startedAt - Timestamp of when the attempt started.
+   * @returns {string|null} The new state of the circuit, or null if it did not change.
+   */
+  record(error, startedAt) {
+    if (
+      this.#state === CircuitState.OPEN ||
+      (this.#state === CircuitState.HALF_OPEN && startedAt <= this.#openedAt)
+    ) {
+      return null;
+    }
+
+    const failed = error !== null && Boolean(this.#options.isFailure(error));
+    if (this.#state === CircuitState.HALF_OPEN) {
+      return failed ? this.#open() : this.#setState(CircuitState.CLOSED);
+    }
+
+    const now = Date.now();
+    this.#outcomes.push({ at: now, failed });
+    while (this.#outcomes[0].at <= now - this.#options.window) {
+      this.#outcomes.shift();
+    }
+
+    const failures = this.#outcomes.filter((outcome) => outcome.failed).length;
+    const { failureThreshold, failureRatio } = this.#options;
+    if (
+      failures >= failureThreshold &&
+      (failureRatio === null ||
+        failures / this.#outcomes.length >= failureRatio)
+    ) {
+      return this.#open();
+    }
+
+    return null;
+  }
+
+  /**
+   * Moves an open circuit to half-open, letting a probe through.
+   *
+   * @returns {string|null} The new state of the circuit, or null if it was not open.
+   */
+  halfOpen() {
+    return this.#state === CircuitState.OPEN
+      ? this.#setState(CircuitState.HALF_OPEN)
+      : null;
+  }
+
+  /**
+   * Opens the circuit, starting the cooldown over.
+   *
+   * @returns {string} The new state of the circuit.
+   * @private
+   */
+  #open() {
+    this.#openedAt = Date.now();
+    return this.#setState(CircuitState.OPEN);
+  }
+
+  /**
+   * Sets the state of the circuit, forgetting the outcomes counted so far and any probe.
+   *
+   * @param {string} state - The new state of the circuit.
+   * @returns {string} The new state of the circuit.
+   * @private
+   */
+  #setState(state) {
+    this.#state = state;
+    this.#outcomes = [];
+    this.#probing = false;
+    return state;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitPolicy,
+  CircuitState,
+};
@@ -24,17 +24,111 @@
  * SOFTWARE.
  */
 
+const {
+  BackoffStrategy,
+  JitterMode,
+  defaultRetryPolicy,
+  getRetryDelay,
+  validateRetryPolicy,
+} = require("./retryPolicy");
+const { AbortError } = require("./errors/AbortError");
+const { AdaptiveConcurrency } = require("./AdaptiveConcurrency");
+const {
+  CircuitBreaker,
+  CircuitPolicy,
+  CircuitState,
+} = require("./CircuitBreaker");
+const { CircuitOpenError } = require("./errors/CircuitOpenError");
+const { DependencyError } = require("./errors/DependencyError");
+const { EventEmitter } = require("./EventEmitter");
+const { GroupedPriorityQueue } = require("./GroupedPriorityQueue");
+const { IndexedDBStorage } = require("./storage/IndexedDBStorage");
+const { MemoryStorage } = require("./storage/MemoryStorage");
+const { QueueFullError } = require("./errors/QueueFullError");
+const { RateLimiter } = require("./RateLimiter");
+const { ResultIterator } = require("./ResultIterator");
+const { ShutdownError } = require("./errors/ShutdownError");
+const { StatsCollector } = require("./StatsCollector");
+const { TimeoutError } = require("./errors/TimeoutError");
+const { WebStorage } = require("./storage/WebStorage");
+
 /**
  * Defines all the possible options that can be set when creating a new queue.
  *
  * @typedef {Object} QueueOptions
  * @property {boolean} autoStart - Indicates if the queue should start execution automatically when a callback is added.
  * @property {number} maxConcurrent - Maximum number of callbacks that can be executed in parallel.
- * @property {Function} onCallbackError - Callback that is executed when an error occurs while executing a callback, receives the error as a parameter.
- * @property {Function} onCallbackSuccess - Callback that is executed after a callback successfully executes.
+ * @property {Function} onCallbackError - Callback that is executed when an error occurs while executing a callback, receives the error and the {@link TaskContext} as parameters.
+ * @property {Function} onCallbackSuccess - Callback that is executed after a callback successfully executes, receives the result and the {@link TaskContext} as parameters.
  * @property {Function} onQueueIdle - Callback that is executed when the queue goes to IDLE state.
  * @property {Function} onQueueBusy - Callback that is executed when the queue goes to BUSY state.
  * @property {Function} onQueueStop - Callback that is executed when the queue stops.
+ * @property {RetryPolicy} retryPolicy - Retry policy applied to failed callbacks, tasks can override any of its properties when enqueued.
+ * @property {number} timeout - Time, in milliseconds, each attempt of a callback is allowed to run before failing with a {@link TimeoutError}, 0 disables it.
+ * @property {Function} priorityComparator - Compares the priorities of two callbacks, returns a negative number if the first one should run first. By default, higher numbers run first.
+ * @property {RateLimit|null} rateLimit - Maximum number of callbacks started per interval, enforced along with maxConcurrent, null disables it.
+ * @property {number} historyLimit - Number of settled tasks kept around for {@link ConcurrentCallbackQueue#getTask}, 0 disables it.
+ * @property {string} dedupe - What to do when adding a callback whose key is in use by a pending or running task, one of {@link DedupeMode}.
+ * @property {Object<string, GroupOptions>} groups - Options of each task group, by group name. Groups not listed here have no limit of their own.
+ * @property {number} maxPending - Maximum number of pending callbacks, including those waiting to be retried, for their start time or for their dependencies.
+ * @property {string} overflow - What to do when adding a callback to a queue that holds maxPending callbacks, one of {@link OverflowPolicy}.
+ * @property {Object<string, Function>} handlers - Functions run by the tasks added with {@link ConcurrentCallbackQueue#dispatch}, by name. Each one receives the payload and an AbortSignal.
+ * @property {StorageAdapter|null} storage - Storage the tasks added with {@link ConcurrentCallbackQueue#dispatch} are saved to until they settle, null disables it.
+ * @property {CircuitBreakerOptions|null} circuitBreaker - Circuit breaker stopping every callback once too many of them failed, null disables it. Groups can have their own.
+ * @property {AdaptiveConcurrencyOptions|null} adaptiveConcurrency - Adapts the concurrency limit to the latency and errors of the callbacks, starting from maxConcurrent, null disables it.
+ */
+
+/**
+ * Defines the options of {@link mapConcurrent}, any other {@link QueueOptions} is passed to the underlying queue.
+ *
+ * @typedef {Object} MapOptions
+ * @property {string} [order] - Order in which results are yielded, one of {@link ResultOrder}. Defaults to completion order.
+ */
+
+/**
+ * Defines a node of the task graph run by {@link ConcurrentCallbackQueue#runGraph}, along with any other {@link EnqueueOptions} but its id.
+ *
+ * @typedef {Object} GraphNode
+ * @property {Function} callback - The callback to run, receives an AbortSignal and the values of its dependencies by id.
+ * @property {Array<string>} [dependsOn] - Identifiers of the nodes of the graph that must succeed before the callback runs.
+ */
+
+/**
+ * Defines the options of a task group.
+ *
+ * @typedef {Object} GroupOptions
+ * @property {number} maxConcurrent - Maximum number of callbacks of the group that can be executed in parallel, on top of the queue limit, Infinity for no limit.
+ * @property {CircuitBreakerOptions|null} [circuitBreaker] - Circuit breaker stopping the callbacks of the group once too many of them failed, on top of the queue one.
+ */
+
+/**
+ * Defines the counts and status of a task group.
+ *
+ * @typedef {Object} GroupInfo
+ * @property {number} pending - Number of pending callbacks of the group, including those waiting to be retried, for their start time or for their dependencies.
+ * @property {number} running - Number of running callbacks of the group.
+ * @property {boolean} paused - Whether the group is paused.
+ * @property {number} maxConcurrent - Maximum number of callbacks of the group that can be executed in parallel.
+ * @property {string|null} circuit - State of the circuit of the group, one of {@link CircuitState}, null if it has no circuit breaker.
+ */
+
+/**
+ * Defines the metrics of a queue, as returned by {@link ConcurrentCallbackQueue#getStats}.
+ *
+ * @typedef {Object} QueueStats
+ * @property {number} since - Timestamp, in milliseconds, of when the queue was created or its stats were last reset.
+ * @property {number} enqueued - Number of callbacks added.
+ * @property {number} succeeded - Number of callbacks that succeeded, counting each run of recurring callbacks.
+ * @property {number} failed - Number of callbacks that failed for good, once out of retries.
+ * @property {number} retried - Number of failed attempts that were retried.
+ * @property {number} cancelled - Number of callbacks cancelled or removed from the queue.
+ * @property {number} timedOut - Number of attempts that timed out.
+ * @property {number} pending - Number of pending callbacks, see {@link ConcurrentCallbackQueue#getPendingCount}.
+ * @property {number} running - Number of running callbacks.
+ * @property {DurationStats} waitTime - Time attempts waited to start once pending.
+ * @property {DurationStats} runTime - Time attempts ran, whether they succeeded or failed.
+ * @property {number} throughput - Callbacks that succeeded or failed per second, over the last minute.
+ * @property {number} utilization - Share of the concurrency limit in use, between 0 and 1.
  */
 
 /**
@@ -44,6 +138,8 @@
  * @property {string} IDLE - There are no pending callbacks and the queue will start processing as soon as a callback is added.
  * @property {string} BUSY - Currently processing callbacks up to the maximum concurrent limit.
  * @property {string} STOPPED - Processing has been stopped and no further callbacks will be executed unless the queue is started again.
+ * @property {string} PAUSING - No further callbacks are started, waiting for the running ones to settle.
+ * @property {string} PAUSED - No callbacks are running and none will be started until the queue is resumed.
  */
 
 /**
@@ -54,6 +150,158 @@
  * @property {number} retries - Number of retry attempts in case of an error.
  */
 
+/**
+ * Defines the options that can be set for each callback added to the queue.
+ *
+ * @typedef {Object} EnqueueOptions
+ * @property {number} [retries=0] - Number of retry attempts in case of an error.
+ * @property {RetryPolicy|Object} [retryPolicy] - Properties overriding the queue retry policy for this callback.
+ * @property {number} [timeout] - Time, in milliseconds, each attempt is allowed to run, overrides the queue timeout.
+ * @property {AbortSignal} [signal] - Signal that cancels the callback when aborted, whether it is pending or running.
+ * @property {*} [priority=0] - Priority of the callback, pending callbacks with a higher priority run first. Must be a number unless a custom priorityComparator is set.
+ * @property {string|number} [id] - Unique identifier of the task, one is generated if not given. Must not be in use by any other unsettled task.
+ * @property {string|number} [key] - Deduplication key, callbacks sharing a key are handled according to the queue dedupe mode.
+ * @property {string|number} [group] - Group of the callback, callbacks of a group are limited by the group options and can be paused together.
+ * Numbers are turned into strings, as are the group names of the groups option, so 1 and "1" are the same group.
+ * @property {Array<string|number>} [dependsOn] - Identifiers of the tasks that must succeed before the callback runs, each one unsettled or still in the history.
+ * @property {string} [dependencyPolicy] - What to do if a dependency does not succeed, one of {@link DependencyPolicy}. Defaults to failing the callback.
+ * @property {number} [delay] - Time, in milliseconds, to wait before the callback becomes pending.
+ * @property {Date|number} [runAt] - Date, or timestamp in milliseconds, before which the callback does not become pending, can't be used along with delay.
+ * @property {number} [every] - Time, in milliseconds, between the end of a run of the callback and the start of the next one, making it recurring until cancelled.
+ */
+
+/**
+ * Defines the handle returned for every callback added to the queue.
+ *
+ * The promise is always observed internally, so leaving it unawaited will not trigger unhandled rejection warnings.
+ *
+ * @typedef {Object} TaskHandle
+ * @property {string|number} id - Unique identifier of the task, as reported in its {@link TaskContext}.
+ * @property {Promise<*>} promise - Resolves with the callback's return value, or rejects with its last error once all retries are exhausted.
+ */
+
+/**
+ * Defines the context passed to the callback hooks after each execution attempt.
+ *
+ * @typedef {Object} TaskContext
+ * @property {string|number} id - Unique identifier of the task.
+ * @property {*} [result] - Value returned by the callback, only set on success.
+ * @property {Error} [error] - Error thrown by the callback, only set on failure.
+ * @property {number} attempt - Number of the attempt that produced this outcome, starting at 1.
+ * @property {number} maxRetries - Number of retry attempts allowed for the task.
+ * @property {number} timeout - Time, in milliseconds, the attempt was allowed to run, 0 if it had no timeout.
+ * @property {boolean} final - Indicates if this is the final outcome of the task, false for errors that will be retried.
+ * @property {number} [retryDelay] - Delay, in milliseconds, before the next attempt, only set on errors that will be retried.
+ * @property {number} startedAt - Timestamp, in milliseconds, of when the attempt started.
+ * @property {number} endedAt - Timestamp, in milliseconds, of when the attempt ended.
+ * @property {number} duration - Duration of the attempt in milliseconds.
+ */
+
+/**
+ * Defines the snapshot of a task returned by the introspection methods.
+ *
+ * @typedef {Object} TaskInfo
+ * @property {string|number} id - Unique identifier of the task.
+ * @property {string} status - Status of the task, one of {@link TaskStatus}.
+ * @property {string|number|null} key - Deduplication key of the task, null if it has none.
+ * @property {string|null} group - Group of the task, null if it has none.
+ * @property {Array<string|number>} dependsOn - Identifiers of the tasks it depends on.
+ * @property {number|null} runAt - Timestamp, in milliseconds, before which the task does not become pending, null if it has none.
+ * @property {number|null} every - Time, in milliseconds, between the runs of a recurring task, null if it is not recurring.
+ * @property {*} priority - Priority of the task.
+ * @property {number} attempts - Number of attempts started so far.
+ * @property {number} maxRetries - Number of retry attempts allowed for the task.
+ * @property {number} enqueuedAt - Timestamp, in milliseconds, of when the task was added.
+ * @property {number|null} startedAt - Timestamp, in milliseconds, of when the last attempt started, null if it never did.
+ * @property {number|null} endedAt - Timestamp, in milliseconds, of when the task settled, null if it has not.
+ */
+
+/**
+ * Defines the snapshot of a task that never started, along with its callback so that it can be persisted or enqueued again.
+ *
+ * @typedef {TaskInfo} PendingTaskInfo
+ * @property {Function} callback - The callback of the task.
+ */
+
+/**
+ * Defines the outcome of {@link ConcurrentCallbackQueue#shutdown}.
+ *
+ * @typedef {Object} ShutdownReport
+ * @property {Array<TaskInfo>} completed - Tasks running when the shutdown started that settled before the deadline.
+ * @property {Array<TaskInfo>} aborted - Tasks still running at the deadline that were aborted.
+ * @property {Array<TaskInfo>} running - Tasks still running at the deadline that were left to finish.
+ * @property {Array<PendingTaskInfo>} pending - Tasks that never started, or were waiting to be retried, removed from the queue.
+ */
+
+/**
+ * Defines the interface of the storages tasks are saved to, see {@link MemoryStorage}, {@link WebStorage} and {@link IndexedDBStorage}.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {Function} load - Returns the saved tasks, or a promise of them, an empty array if there are none.
+ * @property {Function} save - Replaces the saved tasks with the given array of {@link StoredTask}, may return a promise.
+ */
+
+/**
+ * Defines a task saved to a {@link StorageAdapter}, holding what is needed to add it again once restored.
+ *
+ * @typedef {Object} StoredTask
+ * @property {string|number} id - Unique identifier of the task.
+ * @property {string} handler - Name of the handler that runs the task.
+ * @property {*} payload - Payload given to the handler.
+ * @property {*} priority - Priority of the task.
+ * @property {number} retries - Number of retry attempts left.
+ * @property {number|null} timeout - Time each attempt is allowed to run, null to use the queue timeout.
+ * @property {string|number|null} key - Deduplication key of the task.
+ * @property {string|null} group - Group of the task.
+ * @property {Array<string|number>} dependsOn - Identifiers of the saved tasks it still waits for, dependencies on tasks that are not saved are dropped.
+ * @property {number|null} runAt - Timestamp, in milliseconds, before which the task does not run, null if it has none.
+ * @property {number|null} every - Time, in milliseconds, between the runs of a recurring task, null if it is not recurring.
+ */
+
+/**
+ * Defines the internal representation of a callback scheduled on the queue.
+ *
+ * @typedef {Object} Task
+ * @property {string|number} id - Unique identifier of the task.
+ * @property {number} sequence - Order in which the task was added, breaks ties between equal priorities.
+ * @property {string|number|null} key - Deduplication key of the task.
+ * @property {string|null} group - Group of the task.
+ * @property {Array<string|number>} dependsOn - Identifiers of the tasks it depends on, as given.
+ * @property {string} dependencyPolicy - What to do if a dependency does not succeed, one of {@link DependencyPolicy}.
+ * @property {Set<Task>} blockers - Dependencies that have not settled yet, the task is not pending until there are none left.
+ * @property {Set<Task>} dependents - Tasks waiting for this one to settle.
+ * @property {number|null} runAt - Timestamp before which the task does not become pending, set to the next run of recurring tasks.
+ * @property {number|null} every - Time between the end of a run of a recurring task and the start of the next one, null if it is not recurring.
+ * @property {string} status - Current status of the task, one of {@link TaskStatus}.
+ * @property {number} enqueuedAt - Timestamp of when the task was added.
+ * @property {number} readyAt - Timestamp of when the task last became pending, the wait time of its next attempt counts from there.
+ * @property {number|null} endedAt - Timestamp of when the task settled, null while it has not.
+ * @property {Function} callback - The callback function to execute.
+ * @property {{handler: string, payload: *}|null} job - Handler and payload of tasks added with {@link ConcurrentCallbackQueue#dispatch}, null otherwise.
+ * @property {number} retries - Number of retry attempts in case of an error.
+ * @property {Object} retryPolicy - Properties overriding the queue retry policy.
+ * @property {number|null} timeout - Time each attempt is allowed to run, null to use the queue timeout.
+ * @property {*} priority - Priority of the task, compared with the queue priorityComparator.
+ * @property {number} attempt - Number of the current attempt, 0 while the task has not been executed.
+ * @property {number} failures - Number of attempts that failed, the retries left once restored are counted from it.
+ * @property {number} startedAt - Timestamp of when the current attempt started.
+ * @property {AbortSignal|null} signal - External signal that cancels the task.
+ * @property {Function} abort - Aborts the current attempt with the given reason, noop while the task is not running.
+ * @property {boolean} cancelled - Whether the task was cancelled while running, cancelled tasks are not retried.
+ * @property {Promise<*>} promise - Promise exposed through the task handle.
+ * @property {Function} resolve - Resolves the task promise.
+ * @property {Function} reject - Rejects the task promise.
+ * @ignore
+ */
+
+/**
+ * Longest delay timers support, in milliseconds, longer ones fire right away.
+ *
+ * @type {number}
+ * @ignore
+ */
+const maxTimerDelay = 2147483647;
+
 /**
  * Empty function used as a default callback for lifecycle hooks and callback events.
  *
@@ -62,6 +310,97 @@
  */
 const noop = () => {};
 
+/**
+ * Default priority comparator, callbacks with a higher priority number run first.
+ *
+ * @param {number} a - Priority of the first callback.
+ * @param {number} b - Priority of the second callback.
+ * @returns {number} A negative number if the first callback should run first.
+ * @ignore
+ */
+const compareNumbers = (a, b) => b - a;
+
+/**
+ * Enumerates the ways callbacks sharing a deduplication key can be handled.
+ * This object is frozen to prevent modifications to the mode values.
+ *
+ * @type {Object}
+ * @property {string} IGNORE - The new callback is dropped, the handle of the existing task is returned instead.
+ * @property {string} REPLACE - The new callback replaces the one of the existing task if it has not started yet, the handle of the existing task is returned.
+ * @property {string} ALWAYS - Keys are ignored, the new callback is added as usual.
+ * @example
+ * const DedupeMode = {
+ *   IGNORE: "ignore",
+ *   REPLACE: "replace",
+ *   ALWAYS: "always",
+ * };
+ */
+const DedupeMode = Object.freeze({
+  IGNORE: "ignore",
+  REPLACE: "replace",
+  ALWAYS: "always",
+});
+
+/**
+ * Enumerates the ways a queue holding its maximum number of pending callbacks handles new ones.
+ * This object is frozen to prevent modifications to the policy values.
+ *
+ * @type {Object}
+ * @property {string} THROW - The new callback is not added, a {@link QueueFullError} is thrown instead.
+ * @property {string} DROP_NEWEST - The new callback is dropped, its handle is rejected with an {@link AbortError}.
+ * @property {string} DROP_OLDEST - The pending callback added first is dropped to make room for the new one, its handle is rejected with an {@link AbortError}.
+ * @example
+ * const OverflowPolicy = {
+ *   THROW: "throw",
+ *   DROP_NEWEST: "drop-newest",
+ *   DROP_OLDEST: "drop-oldest",
+ * };
+ */
+const OverflowPolicy = Object.freeze({
+  THROW: "throw",
+  DROP_NEWEST: "drop-newest",
+  DROP_OLDEST: "drop-oldest",
+});
+
+/**
+ * Enumerates what happens to a task when one of its dependencies does not succeed, see {@link EnqueueOptions}.
+ * This object is frozen to prevent modifications to the policy values.
+ *
+ * @type {Object}
+ * @property {string} FAIL - The task fails with a {@link DependencyError} without running, reported like any other failure.
+ * @property {string} SKIP - The task is cancelled with a {@link DependencyError} without running, reported like any other cancellation.
+ * @property {string} RUN - The task runs anyway once all its dependencies settled.
+ * @example
+ * const DependencyPolicy = {
+ *   FAIL: "fail",
+ *   SKIP: "skip",
+ *   RUN: "run",
+ * };
+ */
+const DependencyPolicy = Object.freeze({
+  FAIL: "fail",
+  SKIP: "skip",
+  RUN: "run",
+});
+
+/**
+ * Enumerates the orders in which results can be yielded, see {@link ConcurrentCallbackQueue#results}.
+ * This object is frozen to prevent modifications to the order values.
+ *
+ * @type {Object}
+ * @property {string} COMPLETION - Results are yielded as soon as callbacks settle.
+ * @property {string} INPUT - Results are yielded in the order callbacks were added, held back until those added before them settle.
+ * @example
+ * const ResultOrder = {
+ *   COMPLETION: "completion",
+ *   INPUT: "input",
+ * };
+ */
+const ResultOrder = Object.freeze({
+  COMPLETION: "completion",
+  INPUT: "input",
+});
+
 /**
  * The default options that are used when creating a new queue.
  * This object is frozen to prevent modifications to the default values.
@@ -78,6 +417,19 @@ const noop = () => {};
  *   onQueueIdle: noop,
  *   onQueueBusy: noop,
  *   onQueueStop: noop,
+ *   retryPolicy: defaultRetryPolicy,
+ *   timeout: 0,
+ *   priorityComparator: (a, b) => b - a,
+ *   rateLimit: null,
+ *   historyLimit: 100,
+ *   dedupe: DedupeMode.IGNORE,
+ *   groups: {},
+ *   maxPending: Infinity,
+ *   overflow: OverflowPolicy.THROW,
+ *   handlers: {},
+ *   storage: null,
+ *   circuitBreaker: null,
+ *   adaptiveConcurrency: null,
  * };
  */
 const defaultQueueOptions = Object.freeze({
@@ -88,8 +440,252 @@ const defaultQueueOptions = Object.freeze({
   onQueueIdle: noop,
   onQueueBusy: noop,
   onQueueStop: noop,
+  retryPolicy: defaultRetryPolicy,
+  timeout: 0,
+  priorityComparator: compareNumbers,
+  rateLimit: null,
+  historyLimit: 100,
+  dedupe: DedupeMode.IGNORE,
+  groups: Object.freeze({}),
+  maxPending: Infinity,
+  overflow: OverflowPolicy.THROW,
+  handlers: Object.freeze({}),
+  storage: null,
+  circuitBreaker: null,
+  adaptiveConcurrency: null,
 });
 
+/**
+ * Checks that a timeout is a positive number of milliseconds, 0 and Infinity meaning no timeout.
+ *
+ * @param {*} timeout - The value to check.
+ * @returns {void}
+ * @throws {Error} If the timeout is not a positive number.
+ * @ignore
+ */
+const validateTimeout = (timeout) => {
+  if (typeof timeout !== "number" || !(timeout >= 0)) {
+    throw new Error('The "timeout" option must be a positive number');
+  }
+};
+
+/**
+ * Checks that a value can be used as a concurrency or capacity limit.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True if the value is a positive integer or Infinity.
+ * @ignore
+ */
+const isLimit = (value) =>
+  value === Infinity || (Number.isInteger(value) && value >= 1);
+
+/**
+ * Returns a frozen copy of a set of nested options, so that changing the options a queue was given, or the ones it hands
+ * out, has no effect on it.
+ *
+ * Options that are already frozen are returned as is, which lets re-checked options keep their identity.
+ *
+ * @param {Object} options - The options to freeze.
+ * @returns {Object} - The frozen options.
+ * @ignore
+ */
+const freezeOptions = (options) =>
+  Object.isFrozen(options) ? options : Object.freeze({ ...options });
+
+/**
+ * Turns a group into the name it is known by, numbers becoming strings as they do when used as keys of the groups option.
+ *
+ * @param {string|number|null} group - The group to name.
+ * @returns {string|null} - The name of the group, null for callbacks without a group.
+ * @ignore
+ */
+const toGroupName = (group) => (group === null ? null : String(group));
+
+/**
+ * Checks the options of every task group.
+ *
+ * @param {*} groups - The value to check.
+ * @returns {Object<string, GroupOptions>} - A frozen copy of the group options, safe to look up by any group name.
+ * @throws {Error} If the value is not an object or the options of any group are invalid.
+ * @ignore
+ */
+const parseGroups = (groups) => {
+  if (!groups || typeof groups !== "object") {
+    throw new Error('The "groups" option must be an object');
+  }
+
+  const parsed = Object.create(null);
+  for (const [group, options] of Object.entries(groups)) {
+    if (!isLimit(options?.maxConcurrent)) {
+      throw new Error(
+        `The "groups.${group}.maxConcurrent" option must be a positive integer`,
+      );
+    }
+
+    const { maxConcurrent, circuitBreaker = null } = options;
+    if (circuitBreaker !== null) {
+      CircuitBreaker.validate(circuitBreaker, `groups.${group}.circuitBreaker`);
+    }
+
+    parsed[group] = Object.freeze({
+      maxConcurrent,
+      circuitBreaker:
+        circuitBreaker === null ? null : freezeOptions(circuitBreaker),
+    });
+  }
+
+  return Object.freeze(parsed);
+};
+
+/**
+ * Checks the handlers of serializable tasks.
+ *
+ * @param {*} handlers - The value to check.
+ * @returns {Object<string, Function>} - A frozen copy of the handlers, safe to look up by any name.
+ * @throws {Error} If the value is not an object or any handler is not a function.
+ * @ignore
+ */
+const parseHandlers = (handlers) => {
+  if (!handlers || typeof handlers !== "object") {
+    throw new Error('The "handlers" option must be an object');
+  }
+
+  const parsed = Object.create(null);
+  for (const [name, handler] of Object.entries(handlers)) {
+    if (typeof handler !== "function") {
+      throw new Error(`The "handlers.${name}" option must be a function`);
+    }
+
+    parsed[name] = handler;
+  }
+
+  return Object.freeze(parsed);
+};
+
+/**
+ * Checks that a value implements {@link StorageAdapter}.
+ *
+ * @param {*} storage - The value to check.
+ * @returns {void}
+ * @throws {Error} If the value lacks a load or save method.
+ * @ignore
+ */
+const validateStorage = (storage) => {
+  if (
+    typeof storage?.load !== "function" ||
+    typeof storage.save !== "function"
+  ) {
+    throw new Error('The "storage" option must have load and save methods');
+  }
+};
+
+/**
+ * Checks that a value is one of {@link ResultOrder}.
+ *
+ * @param {*} order - The value to check.
+ * @returns {void}
+ * @throws {Error} If the value is not a result order.
+ * @ignore
+ */
+const validateResultOrder = (order) => {
+  if (!Object.values(ResultOrder).includes(order)) {
+    throw new Error('The "order" option is invalid');
+  }
+};
+
+/**
+ * Checks that a value looks like an AbortSignal.
+ *
+ * @param {*} signal - The value to check.
+ * @returns {void}
+ * @throws {Error} If the value is not an AbortSignal.
+ * @ignore
+ */
+const validateSignal = (signal) => {
+  if (
+    !signal ||
+    typeof signal.aborted !== "boolean" ||
+    typeof signal.addEventListener !== "function"
+  ) {
+    throw new Error('The "signal" option must be an AbortSignal');
+  }
+};
+
+/**
+ * Checks that a value can be used as a task identifier or deduplication key.
+ *
+ * @param {*} value - The value to check.
+ * @param {string} name - The name of the option holding the value.
+ * @returns {void}
+ * @throws {Error} If the value is not a non-empty string nor a finite number.
+ * @ignore
+ */
+const validateTaskKey = (value, name) => {
+  if (
+    !(typeof value === "string" && value.length > 0) &&
+    !Number.isFinite(value)
+  ) {
+    throw new Error(`The "${name}" option must be a string or a number`);
+  }
+};
+
+/**
+ * Parses the dependencies of a task and what to do if they don't succeed.
+ *
+ * @param {EnqueueOptions} options - The options of the task.
+ * @returns {{dependsOn: Array<string|number>, dependencyPolicy: string}} - The dependencies, without duplicates, and the dependency policy.
+ * @throws {Error} If the dependencies are not an array of strings or numbers, or the policy is not a {@link DependencyPolicy}.
+ * @ignore
+ */
+const parseDependencies = ({
+  dependsOn = [],
+  dependencyPolicy = DependencyPolicy.FAIL,
+}) => {
+  if (!Array.isArray(dependsOn)) {
+    throw new Error('The "dependsOn" option must be an array');
+  }
+
+  dependsOn.forEach((dependency) => validateTaskKey(dependency, "dependsOn"));
+
+  if (!Object.values(DependencyPolicy).includes(dependencyPolicy)) {
+    throw new Error('The "dependencyPolicy" option is invalid');
+  }
+
+  return { dependsOn: [...new Set(dependsOn)], dependencyPolicy };
+};
+
+/**
+ * Parses when a task should start, and how often it should run again.
+ *
+ * @param {EnqueueOptions} options - The options of the task.
+ * @returns {{runAt: number|null, every: number|null}} - The timestamp the task starts at, null to start right away, and its interval.
+ * @throws {Error} If the delay or the interval is not a positive number, runAt is not a valid date, or both delay and runAt are given.
+ * @ignore
+ */
+const parseTiming = ({ delay = 0, runAt = null, every = null }) => {
+  if (!Number.isFinite(delay) || delay < 0) {
+    throw new Error('The "delay" option must be a positive number');
+  }
+
+  if (runAt !== null && delay > 0) {
+    throw new Error('The "delay" and "runAt" options cannot be used together');
+  }
+
+  const timestamp = runAt instanceof Date ? runAt.getTime() : runAt;
+  if (timestamp !== null && !Number.isFinite(timestamp)) {
+    throw new Error('The "runAt" option must be a Date or a timestamp');
+  }
+
+  if (every !== null && !(Number.isFinite(every) && every > 0)) {
+    throw new Error('The "every" option must be a positive number');
+  }
+
+  return {
+    runAt: delay > 0 ? Date.now() + delay : timestamp,
+    every,
+  };
+};
+
 /**
  * Enumerates the possible states that the queue can be in.
  * This object is frozen to prevent modifications to the state values.
@@ -100,93 +696,630 @@ const defaultQueueOptions = Object.freeze({
  *   IDLE: "IDLE",
  *   BUSY: "BUSY",
  *   STOPPED: "STOPPED",
+ *   PAUSING: "PAUSING",
+ *   PAUSED: "PAUSED",
  * };
  */
 const QueueState = Object.freeze({
   IDLE: "IDLE",
   BUSY: "BUSY",
   STOPPED: "STOPPED",
+  PAUSING: "PAUSING",
+  PAUSED: "PAUSED",
 });
 
 /**
- * A queue implementation that allows for concurrent execution of asynchronous operations.
- *
- * This class provides a way to schedule and manage a queue of callback functions that will be executed concurrently, up to a specified limit.
- * When the maximum number of concurrent callbacks is reached, the queue will wait until one of the running callbacks finishes before starting a new one.
- * The queue can be configured to start automatically when a callback is added, and it can also be stopped and restarted as needed.
- *
- * A main use case is to manage asynchronous operations that need to be executed in parallel,
- * such as making multiple API requests or processing a large number of files.
+ * Enumerates the statuses a task goes through.
+ * This object is frozen to prevent modifications to the status values.
  *
- * @example Basic usage
- * const queue = new ConcurrentCallbackQueue();
- * queue.enqueue(() => fetch('https://httpstat.us/200,400?sleep=2000'));
+ * @type {Object}
+ * @property {string} SCHEDULED - Waiting for its start time, or for the next run if it is recurring.
+ * @property {string} PENDING - Waiting for a concurrency slot.
+ * @property {string} RUNNING - Its callback is being executed.
+ * @property {string} RETRYING - Its callback failed and is waiting for the retry delay to elapse.
+ * @property {string} SUCCEEDED - Its callback succeeded.
+ * @property {string} FAILED - Its callback failed and all retry attempts were exhausted.
+ * @property {string} CANCELLED - It was cancelled or removed from the queue.
+ * @example
+ * const TaskStatus = {
+ *   SCHEDULED: "scheduled",
+ *   PENDING: "pending",
+ *   RUNNING: "running",
+ *   RETRYING: "retrying",
+ *   SUCCEEDED: "succeeded",
+ *   FAILED: "failed",
+ *   CANCELLED: "cancelled",
+ * };
+ */
+const TaskStatus = Object.freeze({
+  SCHEDULED: "scheduled",
+  PENDING: "pending",
+  RUNNING: "running",
+  RETRYING: "retrying",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+});
+
+/**
+ * Statuses of tasks that settled, successfully or not.
  *
- * @example Custom options
- * const queue = new ConcurrentCallbackQueue({
- *    autoStart: false,
- *    onCallbackError: (error) => console.error(error),
- * });
- * queue.enqueue(() => throw new Error('Error'));
- * queue.start();
+ * @type {Array<string>}
+ * @ignore
+ */
+const settledStatuses = Object.freeze([
+  TaskStatus.SUCCEEDED,
+  TaskStatus.FAILED,
+  TaskStatus.CANCELLED,
+]);
+
+/**
+ * Enumerates the events emitted by the queue, see {@link ConcurrentCallbackQueue#on}.
+ * This object is frozen to prevent modifications to the event names.
  *
- * @example Multiple callbacks
- * const queue = new ConcurrentCallbackQueue();
- * queue.enqueueAll([
- *   () => fetch('https://httpstat.us/200,400?sleep=2000'),
- *   () => fetch('https://httpstat.us/200,400?sleep=2000'),
- * ]);
+ * @type {Object}
+ * @property {string} ENQUEUE - A callback was added to the queue, receives `{ id, priority }`.
+ * @property {string} START - An attempt of a callback started, receives `{ id, attempt, maxRetries, timeout, startedAt }`.
+ * @property {string} SUCCESS - A callback succeeded, receives the result and the {@link TaskContext}.
+ * @property {string} ERROR - An attempt of a callback failed, receives the error and the {@link TaskContext}.
+ * @property {string} RETRY - A failed callback will be retried, receives the error and the {@link TaskContext}.
+ * @property {string} TIMEOUT - An attempt of a callback timed out, receives the {@link TimeoutError} and the {@link TaskContext}.
+ * @property {string} CANCEL - A callback was cancelled or removed from the queue, receives the {@link AbortError} and `{ id }`.
+ * @property {string} OVERFLOW - A callback was added to a full queue, receives `{ id, policy }` with the id of the dropped callback, or of the rejected one when thrown.
+ * @property {string} IDLE - The queue went to IDLE state.
+ * @property {string} BUSY - The queue went to BUSY state.
+ * @property {string} STOP - The queue went to STOPPED state.
+ * @property {string} PAUSING - The queue went to PAUSING state.
+ * @property {string} PAUSE - The queue went to PAUSED state, all running callbacks settled.
+ * @property {string} CONFIG - The queue options changed, receives the new and the previous {@link QueueOptions}.
+ * @property {string} STORAGE_ERROR - Saving tasks to the storage failed, receives the error.
+ * @property {string} CIRCUIT - A circuit breaker changed state, receives `{ group, state, previous }`, the group being null for the circuit of the queue.
+ * @property {string} CONCURRENCY - The adaptive concurrency limit was raised or lowered, receives `{ limit, previous }`.
+ * @example
+ * const QueueEvent = {
+ *   ENQUEUE: "enqueue",
+ *   START: "start",
+ *   SUCCESS: "success",
+ *   ERROR: "error",
+ *   RETRY: "retry",
+ *   TIMEOUT: "timeout",
+ *   CANCEL: "cancel",
+ *   OVERFLOW: "overflow",
+ *   IDLE: "idle",
+ *   BUSY: "busy",
+ *   STOP: "stop",
+ *   PAUSING: "pausing",
+ *   PAUSE: "pause",
+ *   CONFIG: "config",
+ *   STORAGE_ERROR: "storageError",
+ *   CIRCUIT: "circuit",
+ *   CONCURRENCY: "concurrency",
+ * };
+ */
+const QueueEvent = Object.freeze({
+  ENQUEUE: "enqueue",
+  START: "start",
+  SUCCESS: "success",
+  ERROR: "error",
+  RETRY: "retry",
+  TIMEOUT: "timeout",
+  CANCEL: "cancel",
+  OVERFLOW: "overflow",
+  IDLE: "idle",
+  BUSY: "busy",
+  STOP: "stop",
+  PAUSING: "pausing",
+  PAUSE: "pause",
+  CONFIG: "config",
+  STORAGE_ERROR: "storageError",
+  CIRCUIT: "circuit",
+  CONCURRENCY: "concurrency",
+});
+
+/**
+ * Checks that an event is emitted by the queue.
  *
- * @author David Urbina (davidurbina.dev@gmail.com)
- * @version 0.8.32
- * @since 2023-03-23
- * @tutorial 01 - Basic Usage
- * @tutorial 02 - Advanced Usage
+ * @param {*} event - The value to check.
+ * @returns {void}
+ * @throws {Error} If the value is not one of {@link QueueEvent}.
+ * @ignore
+ */
+const validateEvent = (event) => {
+  if (!Object.values(QueueEvent).includes(event)) {
+    throw new Error('The "event" parameter must be a queue event');
+  }
+};
+
+/**
+ * Maps each hook option to the event it listens to.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const hookEvents = Object.freeze({
+  onCallbackError: QueueEvent.ERROR,
+  onCallbackSuccess: QueueEvent.SUCCESS,
+  onQueueIdle: QueueEvent.IDLE,
+  onQueueBusy: QueueEvent.BUSY,
+  onQueueStop: QueueEvent.STOP,
+});
+
+/**
+ * Maps each queue state to the event emitted when the queue goes to it.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const stateEvents = Object.freeze({
+  [QueueState.IDLE]: QueueEvent.IDLE,
+  [QueueState.BUSY]: QueueEvent.BUSY,
+  [QueueState.STOPPED]: QueueEvent.STOP,
+  [QueueState.PAUSING]: QueueEvent.PAUSING,
+  [QueueState.PAUSED]: QueueEvent.PAUSE,
+});
+
+/**
+ * Normalizes a complete set of queue options, leaving the given object untouched.
+ *
+ * Unknown properties are stripped and invalid hooks or comparators are replaced by their defaults,
+ * while other invalid values are rejected.
+ *
+ * @param {QueueOptions|Object} options - The options to normalize, with every property set.
+ * @returns {QueueOptions} - A normalized copy of the options.
+ * @throws {Error} If maxConcurrent, timeout, the retry policy, the rate limit, the history limit, the dedupe mode, the group options,
+ * maxPending, the overflow policy, the handlers, the storage, the circuit breaker or the adaptive concurrency options are invalid.
+ * @ignore
+ */
+const parseQueueOptions = (options) => {
+  const parsed = {};
+
+  // Strip properties not defined in QueueOptions
+  for (const key of Object.keys(defaultQueueOptions)) {
+    parsed[key] = options[key];
+
+    // Set a noop for unspecified callbacks to avoid checking if they are functions in each call
+    // We do this as a means of ensuring that the callbacks are always functions
+    if (key in hookEvents && typeof parsed[key] !== "function") {
+      parsed[key] = noop;
+    }
+  }
+
+  const { maxConcurrent, retryPolicy, timeout, rateLimit } = parsed;
+  if (!isLimit(maxConcurrent)) {
+    throw new Error('The "maxConcurrent" option must be a positive integer');
+  }
+
+  // Fill in the retry policy with the defaults, falling back to them entirely if it is not an object
+  parsed.retryPolicy =
+    retryPolicy && typeof retryPolicy === "object"
+      ? Object.freeze({
+          ...defaultRetryPolicy,
+          ...validateRetryPolicy(retryPolicy),
+        })
+      : defaultRetryPolicy;
+
+  validateTimeout(timeout);
+
+  if (typeof parsed.priorityComparator !== "function") {
+    parsed.priorityComparator = compareNumbers;
+  }
+
+  if (rateLimit !== null) {
+    RateLimiter.validate(rateLimit);
+    parsed.rateLimit = freezeOptions(rateLimit);
+  }
+
+  if (
+    parsed.historyLimit !== Infinity &&
+    (!Number.isInteger(parsed.historyLimit) || parsed.historyLimit < 0)
+  ) {
+    throw new Error('The "historyLimit" option must be a positive integer');
+  }
+
+  if (!Object.values(DedupeMode).includes(parsed.dedupe)) {
+    throw new Error('The "dedupe" option is invalid');
+  }
+
+  parsed.groups = parseGroups(parsed.groups);
+
+  if (!isLimit(parsed.maxPending)) {
+    throw new Error('The "maxPending" option must be a positive integer');
+  }
+
+  if (!Object.values(OverflowPolicy).includes(parsed.overflow)) {
+    throw new Error('The "overflow" option is invalid');
+  }
+
+  parsed.handlers = parseHandlers(parsed.handlers);
+
+  if (parsed.storage !== null) {
+    validateStorage(parsed.storage);
+  }
+
+  if (parsed.circuitBreaker !== null) {
+    CircuitBreaker.validate(parsed.circuitBreaker);
+    parsed.circuitBreaker = freezeOptions(parsed.circuitBreaker);
+  }
+
+  if (parsed.adaptiveConcurrency !== null) {
+    AdaptiveConcurrency.validate(parsed.adaptiveConcurrency);
+    parsed.adaptiveConcurrency = freezeOptions(parsed.adaptiveConcurrency);
+  }
+
+  return parsed;
+};
+
+/**
+ * Sorts the nodes of a task graph so that every node comes after its dependencies.
+ *
+ * @param {Object<string, Function|GraphNode>} graph - The graph to sort, nodes are either a callback or a {@link GraphNode}.
+ * @returns {Array<Array>} - The id and node of each node, dependencies first.
+ * @throws {Error} If the graph is not an object, a node has no callback, depends on a node not in the graph, or the graph has a cycle.
+ * @ignore
+ */
+const sortGraph = (graph) => {
+  if (!graph || typeof graph !== "object") {
+    throw new Error('The "graph" parameter must be an object');
+  }
+
+  const nodes = new Map();
+  for (const [id, node] of Object.entries(graph)) {
+    const {
+      callback,
+      dependsOn = [],
+      ...options
+    } = typeof node === "function" ? { callback: node } : (node ?? {});
+    if (typeof callback !== "function") {
+      throw new Error(`The "${id}" node must be a function or have a callback`);
+    }
+
+    if (!Array.isArray(dependsOn)) {
+      throw new Error(`The "${id}.dependsOn" option must be an array`);
+    }
+
+    nodes.set(id, { callback, dependsOn: dependsOn.map(String), ...options });
+  }
+
+  const sorted = [];
+  const visited = new Set();
+  const visit = (id, path) => {
+    if (visited.has(id)) {
+      return;
+    }
+
+    if (path.includes(id)) {
+      const cycle = [...path.slice(path.indexOf(id)), id];
+      throw new Error(`The graph has a cycle: ${cycle.join(" -> ")}`);
+    }
+
+    for (const dependency of nodes.get(id).dependsOn) {
+      if (!nodes.has(dependency)) {
+        throw new Error(
+          `The "${id}" node depends on "${dependency}", which is not in the graph`,
+        );
+      }
+
+      visit(dependency, [...path, id]);
+    }
+
+    visited.add(id);
+    sorted.push([id, nodes.get(id)]);
+  };
+
+  nodes.forEach((node, id) => visit(id, []));
+  return sorted;
+};
+
+/**
+ * A queue implementation that allows for concurrent execution of asynchronous operations.
+ *
+ * This class provides a way to schedule and manage a queue of callback functions that will be executed concurrently, up to a specified limit.
+ * When the maximum number of concurrent callbacks is reached, the queue will wait until one of the running callbacks finishes before starting a new one.
+ * The queue can be configured to start automatically when a callback is added, and it can also be stopped and restarted as needed.
+ *
+ * A main use case is to manage asynchronous operations that need to be executed in parallel,
+ * such as making multiple API requests or processing a large number of files.
+ *
+ * @example Basic usage
+ * const queue = new ConcurrentCallbackQueue();
+ * queue.enqueue(() => fetch('https://httpstat.us/200,400?sleep=2000'));
+ *
+ * @example Custom options
+ * const queue = new ConcurrentCallbackQueue({
+ *    autoStart: false,
+ *    onCallbackError: (error) => console.error(error),
+ * });
+ * queue.enqueue(() => throw new Error('Error'));
+ * queue.start();
+ *
+ * @example Multiple callbacks
+ * const queue = new ConcurrentCallbackQueue();
+ * queue.enqueueAll([
+ *   () => fetch('https://httpstat.us/200,400?sleep=2000'),
+ *   () => fetch('https://httpstat.us/200,400?sleep=2000'),
+ * ]);
+ *
+ * @example Retrying with exponential backoff
+ * const queue = new ConcurrentCallbackQueue({
+ *   retryPolicy: { strategy: BackoffStrategy.EXPONENTIAL, delay: 500, jitter: JitterMode.FULL },
+ * });
+ * queue.enqueue(() => fetch('https://httpstat.us/429'), 5);
+ *
+ * @example Rate limiting
+ * const queue = new ConcurrentCallbackQueue({
+ *   rateLimit: { limit: 50, interval: 60000, burst: 10 },
+ * });
+ *
+ * @example Awaiting results
+ * const queue = new ConcurrentCallbackQueue();
+ * const { promise } = queue.enqueue(() => fetch('https://httpstat.us/200'), 3);
+ * const response = await promise;
+ *
+ * @example Listening to events
+ * const queue = new ConcurrentCallbackQueue();
+ * queue
+ *   .on(QueueEvent.ERROR, (error, context) => logger.error(error, context))
+ *   .on(QueueEvent.IDLE, () => metrics.flush());
+ *
+ * @example Adapting concurrency at runtime
+ * const queue = new ConcurrentCallbackQueue({ maxConcurrent: 10 });
+ * window.addEventListener('offline', () => queue.setMaxConcurrent(1));
+ * window.addEventListener('online', () => queue.setMaxConcurrent(10));
+ *
+ * @example Limiting concurrency per host
+ * const queue = new ConcurrentCallbackQueue({
+ *   maxConcurrent: 10,
+ *   groups: { 'api.example.com': { maxConcurrent: 2 } },
+ * });
+ * queue.enqueue(() => fetch('https://api.example.com/users'), { group: 'api.example.com' });
+ *
+ * @example Processing results as they finish
+ * const queue = new ConcurrentCallbackQueue();
+ * queue.enqueueAll(urls.map((url) => () => fetch(url)));
+ * for await (const { id, value, error } of queue.results()) {
+ *   console.log(id, error ?? value.status);
+ * }
+ *
+ * @example Waiting for the queue to drain
+ * const queue = new ConcurrentCallbackQueue();
+ * for (const url of urls) {
+ *   await queue.onSizeLessThan(100);
+ *   queue.enqueue(() => fetch(url));
+ * }
+ * await queue.onIdle();
+ *
+ * @author David Urbina (davidurbina.dev@gmail.com)
+ * @version 0.8.32
+ * @since 2023-03-23
+ * @tutorial 01 - Basic Usage
+ * @tutorial 02 - Advanced Usage
  */
 class ConcurrentCallbackQueue {
   /**
    * List of pending callbacks to execute concurrently.
    *
-   * This property holds an array of functions representing the callbacks that are waiting to be executed.
+   * This property holds a priority queue of tasks representing the callbacks that are waiting to be executed,
+   * ordered by priority and then by the order in which they were added, split by group
+   * so that tasks of groups that can't run don't hold back the rest.
    *
-   * @type {Array<CallbackTuple>}
+   * @type {GroupedPriorityQueue}
    * @private
    */
   #pending;
 
+  /**
+   * Number of running callbacks of each group, groups without running callbacks are left out.
+   *
+   * @type {Map<string|number|null, number>}
+   * @private
+   */
+  #groupRunning;
+
+  /**
+   * Groups whose pending callbacks are not started until resumed.
+   *
+   * @type {Set<string|number>}
+   * @private
+   */
+  #pausedGroups;
+
+  /**
+   * Whether the queue was shut down, callbacks can't be added anymore.
+   *
+   * @type {boolean}
+   * @see ConcurrentCallbackQueue#shutdown
+   * @private
+   */
+  #shutDown = false;
+
   /**
    * Callbacks currently running
    *
-   * Each callback is stored with a unique index to identify it
+   * Each callback is stored with the unique identifier of its task,
+   * as soon as it takes up a concurrency slot, right before being called
    *
-   * @type {Map<number, Function>}
+   * @type {Map<string|number, Task>}
    * @private
    */
   #running;
 
   /**
-   * Represents the current state of the queue.
+   * Failed callbacks waiting for their retry delay to elapse.
    *
-   * This property holds the state of the queue as a string, indicating its current status.
-   * The possible states are IDLE, BUSY, and STOPPED.
+   * Each task is stored along with the timer that moves it back to the pending list,
+   * these tasks do not take up a concurrency slot while they wait.
    *
-   * @type {string}
-   * @see QueueState
-   * @see QueueStates
+   * @type {Map<Task, number>}
    * @private
    */
-  #state;
+  #retrying;
+
+  /**
+   * Tasks waiting for their dependencies to settle, they become pending once all of them succeeded.
+   *
+   * @type {Set<Task>}
+   * @private
+   */
+  #blocked;
+
+  /**
+   * Tasks waiting for their start time, along with the timer that makes them pending.
+   *
+   * @type {Map<Task, number>}
+   * @private
+   */
+  #scheduled;
+
+  /**
+   * Token bucket enforcing the rate limit, null if the queue has no rate limit.
+   *
+   * @type {RateLimiter|null}
+   * @private
+   */
+  #rateLimiter = null;
+
+  /**
+   * Timer that resumes the main execution loop once the rate limit allows it, null when not waiting.
+   *
+   * @type {number|null}
+   * @private
+   */
+  #rateTimer = null;
+
+  /**
+   * Circuit breaker of the whole queue, null if the queue has none.
+   *
+   * @type {CircuitBreaker|null}
+   * @private
+   */
+  #breaker = null;
+
+  /**
+   * Circuit breakers of the groups that have one, by group name.
+   *
+   * @type {Map<string, CircuitBreaker>}
+   * @private
+   */
+  #groupBreakers = new Map();
+
+  /**
+   * Timers that move open circuits to half-open once their cooldown elapses.
+   *
+   * @type {Map<CircuitBreaker, number>}
+   * @private
+   */
+  #circuitTimers = new Map();
+
+  /**
+   * Concurrency limit adapted to the outcome of the callbacks, null if maxConcurrent is used as is.
+   *
+   * @type {AdaptiveConcurrency|null}
+   * @private
+   */
+  #adaptive = null;
+
+  /**
+   * Counters, durations and throughput of the callbacks, see {@link ConcurrentCallbackQueue#getStats}.
+   *
+   * @type {StatsCollector}
+   * @private
+   */
+  #stats = new StatsCollector();
+
+  /**
+   * Last save to the storage, later saves wait for it so that they are written in order.
+   *
+   * @type {Promise<void>}
+   * @private
+   */
+  #saving = Promise.resolve();
+
+  /**
+   * Whether a save to the storage is waiting to start, changes made meanwhile are written along with it.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #saveScheduled = false;
+
+  /**
+   * Tasks that have not settled yet, whether pending, waiting to be retried or running.
+   *
+   * @type {Map<string|number, Task>}
+   * @private
+   */
+  #tasks;
+
+  /**
+   * Emits the queue events, the hook options are registered as its first listeners.
+   *
+   * @type {EventEmitter}
+   * @see QueueEvent
+   * @private
+   */
+  #events;
+
+  /**
+   * Promises waiting for the queue to reach a given condition, along with their resolve function.
+   *
+   * @type {Set<{condition: Function, resolve: Function}>}
+   * @see ConcurrentCallbackQueue#onIdle
+   * @private
+   */
+  #waiters;
+
+  /**
+   * Iterators returned by {@link ConcurrentCallbackQueue#results} that are still collecting results.
+   *
+   * @type {Set<ResultIterator>}
+   * @private
+   */
+  #resultIterators;
+
+  /**
+   * Unsettled tasks that have a deduplication key, by key.
+   *
+   * @type {Map<string|number, Task>}
+   * @private
+   */
+  #keys;
+
+  /**
+   * Snapshots of the last settled tasks, oldest first, up to the history limit.
+   *
+   * @type {Map<string|number, TaskInfo>}
+   * @private
+   */
+  #history;
 
   /**
-   * Number of callbacks currently running.
+   * Identifier assigned to the next task added to the queue without one.
    *
-   * This property keeps track of the count of callbacks that are currently being executed.
+   * @type {number}
+   * @private
+   */
+  #nextTaskId = 1;
+
+  /**
+   * Order assigned to the next task added to the queue.
    *
    * @type {number}
-   * @see ConcurrentCallbackQueue#maxConcurrent
    * @private
    */
-  #concurrent;
+  #nextSequence = 0;
+
+  /**
+   * Represents the current state of the queue.
+   *
+   * This property holds the state of the queue as a string, indicating its current status.
+   * The possible states are IDLE, BUSY, STOPPED, PAUSING and PAUSED.
+   *
+   * @type {string}
+   * @see QueueState
+   * @see QueueStates
+   * @private
+   */
+  #state;
 
   /**
    * Queue configuration options
@@ -205,11 +1338,31 @@ class ConcurrentCallbackQueue {
    * @public
    */
   constructor(options = defaultQueueOptions) {
-    this.#pending = [];
+    this.#pending = new GroupedPriorityQueue(
+      (a, b) =>
+        this.#options.priorityComparator(a.priority, b.priority) ||
+        a.sequence - b.sequence,
+      (task) => task.group,
+    );
+    this.#groupRunning = new Map();
+    this.#pausedGroups = new Set();
     this.#running = new Map();
-    this.#concurrent = 0;
+    this.#retrying = new Map();
+    this.#blocked = new Set();
+    this.#scheduled = new Map();
+    this.#tasks = new Map();
+    this.#history = new Map();
+    this.#keys = new Map();
+    this.#waiters = new Set();
+    this.#resultIterators = new Set();
     this.#initOptions(options);
 
+    // Wire the hooks as default listeners, looking them up on each call
+    this.#events = new EventEmitter();
+    for (const [hook, event] of Object.entries(hookEvents)) {
+      this.#events.on(event, (...args) => this.#options[hook](...args));
+    }
+
     // Set the initial state of the queue
     this.#state = this.#options.autoStart
       ? QueueState.IDLE
@@ -242,35 +1395,147 @@ class ConcurrentCallbackQueue {
    * @private
    */
   #initOptions(options) {
-    this.#options = {
+    this.#options = parseQueueOptions({
       ...defaultQueueOptions,
       ...(options || {}),
-    };
+    });
 
-    const hooks = [
-      "onCallbackError",
-      "onCallbackSuccess",
-      "onQueueIdle",
-      "onQueueBusy",
-      "onQueueStop",
-    ];
+    if (this.#options.rateLimit !== null) {
+      this.#rateLimiter = new RateLimiter(this.#options.rateLimit);
+    }
+
+    this.#initBreakers(defaultQueueOptions);
+    this.#initConcurrency(defaultQueueOptions, {});
+  }
+
+  /**
+   * Creates the adaptive concurrency limit if its options changed, or moves it to maxConcurrent if given.
+   *
+   * @param {QueueOptions} previous - The options the current limit was created with.
+   * @param {QueueOptions|Object} given - The options being changed.
+   * @returns {void}
+   * @private
+   */
+  #initConcurrency(previous, given) {
+    const { adaptiveConcurrency, maxConcurrent } = this.#options;
+    if (adaptiveConcurrency === null) {
+      this.#adaptive = null;
+    } else if (
+      this.#adaptive === null ||
+      adaptiveConcurrency !== previous.adaptiveConcurrency
+    ) {
+      this.#adaptive = new AdaptiveConcurrency(
+        adaptiveConcurrency,
+        maxConcurrent,
+      );
+    } else if ("maxConcurrent" in given) {
+      this.#adaptive.setLimit(maxConcurrent);
+    }
+  }
+
+  /**
+   * Creates the circuit breakers whose options changed, the others keep their state.
+   *
+   * @param {QueueOptions} previous - The options the current breakers were created with.
+   * @returns {void}
+   * @private
+   */
+  #initBreakers(previous) {
+    const { circuitBreaker, groups } = this.#options;
+    if (circuitBreaker !== previous.circuitBreaker) {
+      this.#breaker =
+        circuitBreaker === null ? null : new CircuitBreaker(circuitBreaker);
+    }
 
-    // Strip properties not defined in QueueOptions
-    for (const key in this.#options) {
-      if (!(key in defaultQueueOptions)) {
-        delete this.#options[key];
-        continue;
+    const breakers = new Map();
+    for (const [group, options] of Object.entries(groups)) {
+      if (options.circuitBreaker !== null) {
+        breakers.set(
+          group,
+          options.circuitBreaker === previous.groups[group]?.circuitBreaker
+            ? this.#groupBreakers.get(group)
+            : new CircuitBreaker(options.circuitBreaker),
+        );
       }
+    }
+    this.#groupBreakers = breakers;
 
-      // Set a noop for unspecified callbacks to avoid checking if they are functions in each call
-      // We do this as a means of ensuring that the callbacks are always functions
+    // Forget the cooldowns of the breakers that were replaced
+    for (const [breaker, timer] of this.#circuitTimers) {
       if (
-        hooks.includes(key) &&
-        (!this.#options[key] || typeof this.#options[key] !== "function")
+        breaker !== this.#breaker &&
+        ![...breakers.values()].includes(breaker)
       ) {
-        this.#options[key] = noop;
+        clearTimeout(timer);
+        this.#circuitTimers.delete(breaker);
+      }
+    }
+  }
+
+  /**
+   * Parses the options given when adding a callback to the queue.
+   *
+   * For backwards compatibility, a number is taken as the number of retries.
+   *
+   * @param {EnqueueOptions|number} options - Options for the callback, or its number of retries.
+   * @returns {EnqueueOptions} - The validated options.
+   * @throws {Error} If retries or timeout is not a positive number, the retry policy is invalid, the signal is not an AbortSignal,
+   * the identifier, key, group or any dependency is not a string or a number, the dependency policy is invalid,
+   * the delay or interval is not a positive number, or runAt is not a valid date.
+   * @private
+   */
+  #parseEnqueueOptions(options) {
+    const given =
+      options && typeof options === "object" ? options : { retries: options };
+    const {
+      retries = 0,
+      retryPolicy = {},
+      timeout = null,
+      signal = null,
+      priority = 0,
+      id = null,
+      key = null,
+      group = null,
+    } = given;
+
+    if (typeof retries !== "number" || retries < 0) {
+      throw new Error('The "retries" parameter must be a positive number');
+    }
+
+    if (timeout !== null) {
+      validateTimeout(timeout);
+    }
+
+    if (signal !== null) {
+      validateSignal(signal);
+    }
+
+    // Custom comparators are free to use any kind of priority
+    if (
+      this.#options.priorityComparator === compareNumbers &&
+      typeof priority !== "number"
+    ) {
+      throw new Error('The "priority" option must be a number');
+    }
+
+    for (const [name, value] of Object.entries({ id, key, group })) {
+      if (value !== null) {
+        validateTaskKey(value, name);
       }
     }
+
+    return {
+      retries,
+      retryPolicy: validateRetryPolicy(retryPolicy),
+      timeout,
+      signal,
+      priority,
+      id,
+      key,
+      group: toGroupName(group),
+      ...parseDependencies(given),
+      ...parseTiming(given),
+    };
   }
 
   /**
@@ -285,291 +1550,2234 @@ class ConcurrentCallbackQueue {
     this.#state = state;
 
     // Trigger queue state events as needed
-    switch (state) {
-      case QueueState.IDLE:
-        this.#options.onQueueIdle();
-        break;
-      case QueueState.BUSY:
-        this.#options.onQueueBusy();
-        break;
-      case QueueState.STOPPED:
-        this.#options.onQueueStop();
-        break;
-    }
+    this.#events.emit(stateEvents[state]);
 
     return prevState;
   }
 
   /**
-   * Handles errors that occur during the execution of a callback.
+   * Creates the internal task for a callback, along with the promise that is exposed through its handle.
    *
-   * @param {Error} error - The error object.
+   * @param {Function} callback - The callback function to execute.
+   * @param {EnqueueOptions} options - The parsed options for the callback.
+   * @returns {Task} - The new task.
+   * @private
+   */
+  #createTask(callback, options) {
+    const { retries, retryPolicy, timeout, signal, priority, id, key, group } =
+      options;
+    if (id !== null && this.#tasks.has(id)) {
+      throw new Error(`A task with id "${id}" is already in the queue`);
+    }
+
+    const task = {
+      id: id ?? this.#generateTaskId(),
+      sequence: this.#nextSequence++,
+      key,
+      group,
+      dependsOn: options.dependsOn,
+      dependencyPolicy: options.dependencyPolicy,
+      blockers: new Set(),
+      dependents: new Set(),
+      runAt: options.runAt,
+      every: options.every,
+      status: TaskStatus.PENDING,
+      enqueuedAt: Date.now(),
+      readyAt: 0,
+      endedAt: null,
+      callback,
+      job: options.job ?? null,
+      retries,
+      retryPolicy,
+      timeout,
+      attempt: 0,
+      failures: 0,
+      startedAt: 0,
+      signal,
+      priority,
+      abort: noop,
+      cancelled: false,
+    };
+    task.promise = new Promise((resolve, reject) => {
+      // Forget the task as soon as it settles, its status must be set beforehand
+      task.resolve = (result) => {
+        this.#settle(task);
+        resolve(result);
+      };
+      task.reject = (error) => {
+        this.#settle(task);
+        reject(error);
+      };
+    });
+
+    // Mark the promise as handled, callers that never await it should not trigger unhandled rejections
+    task.promise.catch(noop);
+
+    this.#tasks.set(task.id, task);
+    if (key !== null) {
+      this.#keys.set(key, task);
+    }
+
+    for (const iterator of this.#resultIterators) {
+      iterator.collect(task.id, task.promise);
+    }
+
+    this.#persist(task);
+    return task;
+  }
+
+  /**
+   * Generates an identifier for a task, skipping those taken by user supplied identifiers.
+   *
+   * @returns {number} - The new identifier.
+   * @private
+   */
+  #generateTaskId() {
+    while (this.#tasks.has(this.#nextTaskId)) {
+      this.#nextTaskId++;
+    }
+
+    return this.#nextTaskId++;
+  }
+
+  /**
+   * Removes a settled task from the queue, keeping a snapshot of it in the history.
+   *
+   * @param {Task} task - The task that settled.
+   * @returns {void}
+   * @private
+   */
+  #settle(task) {
+    task.endedAt = Date.now();
+    this.#tasks.delete(task.id);
+    if (this.#keys.get(task.key) === task) {
+      this.#keys.delete(task.key);
+    }
+
+    // Move the task to the end of the history if a previous task had the same identifier
+    this.#history.delete(task.id);
+    this.#history.set(task.id, this.#snapshot(task));
+    this.#trimHistory();
+    this.#persist(task);
+
+    for (const blocker of task.blockers) {
+      blocker.dependents.delete(task);
+    }
+  }
+
+  /**
+   * Lets the tasks waiting for a task know that it settled.
+   * This is done once the outcome of the task is reported, even if a listener throws, so that their own outcome comes after their cause's.
+   *
+   * @param {Task} task - The task that settled.
+   * @returns {void}
+   * @private
+   */
+  #releaseDependents(task) {
+    const dependents = [...task.dependents];
+    task.dependents.clear();
+    dependents.forEach((dependent) => this.#resolveDependency(dependent, task));
+  }
+
+  /**
+   * Drops the oldest entries of the history until it fits the history limit.
+   *
+   * @returns {void}
+   * @private
+   */
+  #trimHistory() {
+    for (const id of this.#history.keys()) {
+      if (this.#history.size <= this.#options.historyLimit) {
+        return;
+      }
+
+      this.#history.delete(id);
+    }
+  }
+
+  /**
+   * Takes a snapshot of a task.
+   *
+   * @param {Task} task - The task to describe.
+   * @returns {TaskInfo} - The task snapshot.
+   * @private
+   */
+  #snapshot(task) {
+    return {
+      id: task.id,
+      status: task.status,
+      key: task.key,
+      group: task.group,
+      dependsOn: [...task.dependsOn],
+      runAt: task.runAt,
+      every: task.every,
+      priority: task.priority,
+      attempts: task.attempt,
+      maxRetries: task.retries,
+      enqueuedAt: task.enqueuedAt,
+      startedAt: task.startedAt || null,
+      endedAt: task.endedAt,
+    };
+  }
+
+  /**
+   * Turns serializable tasks into records that can be saved to the storage.
+   *
+   * @param {Array<Task>} tasks - The tasks to serialize, those without a handler are left out.
+   * @returns {Array<StoredTask>} - The records of the tasks.
+   * @private
+   */
+  #serialize(tasks) {
+    return tasks
+      .filter(({ job }) => job !== null)
+      .map((task) => ({
+        id: task.id,
+        handler: task.job.handler,
+        payload: task.job.payload,
+        priority: task.priority,
+        // A running attempt has not failed yet, it is run again once restored
+        retries: task.retries - task.failures,
+        timeout: task.timeout,
+        key: task.key,
+        group: task.group,
+        dependsOn: [...task.blockers]
+          .filter(({ job }) => job !== null)
+          .map(({ id }) => id),
+        runAt: task.runAt,
+        every: task.every,
+      }));
+  }
+
+  /**
+   * Writes tasks to the storage once the previous save is done.
+   *
+   * @param {Array<StoredTask>|null} [records] - The records to write, the unsettled tasks of the queue by default.
+   * @returns {Promise<void>} - Resolves once the records are written.
+   * @private
+   */
+  #save(records = null) {
+    const { storage } = this.#options;
+    const saving = this.#saving.then(() => {
+      this.#saveScheduled = false;
+      return storage.save(
+        records ?? this.#serialize([...this.#tasks.values()]),
+      );
+    });
+
+    this.#saving = saving.catch(noop);
+    return saving;
+  }
+
+  /**
+   * Saves the queue to the storage after a change to a serializable task.
+   * Changes made in the same tick are written at once.
+   *
+   * @param {Task} task - The task that changed.
+   * @returns {void}
+   * @private
+   */
+  #persist(task) {
+    // Once shut down, the storage holds the tasks that were left, see ConcurrentCallbackQueue#shutdown
+    if (
+      task.job === null ||
+      this.#options.storage === null ||
+      this.#shutDown ||
+      this.#saveScheduled
+    ) {
+      return;
+    }
+
+    this.#saveScheduled = true;
+    this.#save().catch((error) =>
+      this.#events.emit(QueueEvent.STORAGE_ERROR, error),
+    );
+  }
+
+  /**
+   * Links a task to its external abort signal, if any.
+   *
+   * @param {Task} task - The task to link.
+   * @returns {boolean} - False if the signal is already aborted, in which case the task is rejected right away.
+   * @private
+   */
+  #watchSignal(task) {
+    const { signal } = task;
+    if (!signal) {
+      return true;
+    }
+
+    const reason = () =>
+      new AbortError("The callback was aborted by its signal", signal.reason);
+
+    if (signal.aborted) {
+      this.#discardTask(task, reason());
+      return false;
+    }
+
+    const abort = () => this.#cancelTask(task, reason());
+    signal.addEventListener("abort", abort, { once: true });
+
+    // Don't keep the task around once it settles, the signal may outlive the queue
+    const unwatch = () => signal.removeEventListener("abort", abort);
+    task.promise.then(unwatch, unwatch);
+
+    return true;
+  }
+
+  /**
+   * Adds a callback to the queue, unless a task with the same key is already pending or running.
+   * If the queue is full, the overflow policy decides what happens.
+   *
+   * @param {Function} callback - The callback function to add.
+   * @param {EnqueueOptions} options - The parsed options for the callback.
+   * @returns {Task} - The new task, or the existing one holding the same key.
+   * @throws {Error} If any dependency is unknown or is the task itself.
+   * @throws {QueueFullError} If the queue is full and the overflow policy is to throw.
+   * @throws {ShutdownError} If the queue was shut down.
+   * @private
+   */
+  #add(callback, options) {
+    if (this.#shutDown) {
+      throw new ShutdownError();
+    }
+
+    this.#checkDependencies(options);
+
+    const existing =
+      options.key !== null && this.#options.dedupe !== DedupeMode.ALWAYS
+        ? this.#keys.get(options.key)
+        : null;
+
+    if (!existing && this.getPendingCount() >= this.#options.maxPending) {
+      return this.#overflow(callback, options);
+    }
+
+    if (!existing) {
+      const task = this.#createTask(callback, options);
+      this.#schedule(task);
+      return task;
+    }
+
+    // Callbacks that already started can't be replaced
+    if (
+      this.#options.dedupe === DedupeMode.REPLACE &&
+      existing.status !== TaskStatus.RUNNING
+    ) {
+      // Saved before and after, as either the previous or the new callback may be serializable
+      this.#persist(existing);
+      existing.callback = callback;
+      existing.job = options.job ?? null;
+      this.#persist(existing);
+    }
+
+    return existing;
+  }
+
+  /**
+   * Adds a callback to a full queue according to the overflow policy.
+   *
+   * @param {Function} callback - The callback function to add.
+   * @param {EnqueueOptions} options - The parsed options for the callback.
+   * @returns {Task} - The new task, already cancelled if it was dropped.
+   * @throws {QueueFullError} If the overflow policy is to throw.
+   * @private
+   */
+  #overflow(callback, options) {
+    const { overflow: policy } = this.#options;
+    if (policy === OverflowPolicy.THROW) {
+      throw this.#rejectOverflow(options.id);
+    }
+
+    const error = new AbortError(
+      "The callback was dropped because the queue is full",
+    );
+    if (policy === OverflowPolicy.DROP_NEWEST) {
+      const task = this.#createTask(callback, options);
+      this.#events.emit(QueueEvent.OVERFLOW, { id: task.id, policy });
+      this.#discardTask(task, error);
+      return task;
+    }
+
+    const oldest = this.#findOldestPending();
+    this.#pending.remove(oldest);
+    this.#blocked.delete(oldest);
+    this.#events.emit(QueueEvent.OVERFLOW, { id: oldest.id, policy });
+    this.#discardTask(oldest, error);
+
+    const task = this.#createTask(callback, options);
+    this.#schedule(task);
+    return task;
+  }
+
+  /**
+   * Finds the pending task that was added first, including those waiting to be retried, for their dependencies or for their start time.
+   *
+   * @returns {Task|null} - The oldest pending task, or null if there is none.
+   * @private
+   */
+  #findOldestPending() {
+    // Tasks are kept in the order they were added, only the few running ones are skipped
+    for (const task of this.#tasks.values()) {
+      if (task.status !== TaskStatus.RUNNING) {
+        return task;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reports callbacks rejected because the queue is full.
+   *
+   * @param {string|number|null} id - The identifier of the rejected callback, null if it has none.
+   * @returns {QueueFullError} - The error to throw.
+   * @private
+   */
+  #rejectOverflow(id) {
+    this.#events.emit(QueueEvent.OVERFLOW, {
+      id,
+      policy: OverflowPolicy.THROW,
+    });
+
+    return new QueueFullError(this.#options.maxPending);
+  }
+
+  /**
+   * Adds a new task to the pending list, or to the blocked ones while it waits for its dependencies,
+   * unless its signal is already aborted or one of its dependencies already failed.
+   * Tasks with a start time in the future wait for it first.
+   *
+   * @param {Task} task - The task to add.
+   * @returns {void}
+   * @private
+   */
+  #schedule(task) {
+    this.#stats.count("enqueued");
+    this.#events.emit(QueueEvent.ENQUEUE, {
+      id: task.id,
+      priority: task.priority,
+    });
+
+    if (!this.#watchSignal(task) || !this.#linkDependencies(task)) {
+      return;
+    }
+
+    if (task.runAt !== null && task.runAt > Date.now()) {
+      this.#defer(task);
+    } else {
+      this.#enqueueReady(task);
+    }
+  }
+
+  /**
+   * Adds a task whose start time came to the pending list, or to the blocked ones while it waits for its dependencies.
+   *
+   * @param {Task} task - The task to add.
+   * @returns {void}
+   * @private
+   */
+  #enqueueReady(task) {
+    task.status = TaskStatus.PENDING;
+    task.readyAt = Date.now();
+    if (task.blockers.size === 0) {
+      this.#pending.push(task);
+    } else {
+      this.#blocked.add(task);
+    }
+  }
+
+  /**
+   * Holds a task back until its start time.
+   *
+   * Timers can't wait longer than about 24 days, later start times are reached in several steps.
+   *
+   * @param {Task} task - The task to hold back.
+   * @returns {void}
+   * @private
+   */
+  #defer(task) {
+    task.status = TaskStatus.SCHEDULED;
+    this.#scheduled.set(
+      task,
+      setTimeout(
+        () => {
+          if (task.runAt > Date.now()) {
+            this.#defer(task);
+            return;
+          }
+
+          this.#scheduled.delete(task);
+          this.#enqueueReady(task);
+          this.#run();
+        },
+        Math.min(task.runAt - Date.now(), maxTimerDelay),
+      ),
+    );
+  }
+
+  /**
+   * Schedules the next run of a recurring task once the current one settled, giving it its retries back.
+   *
+   * @param {Task} task - The recurring task.
+   * @returns {void}
+   * @private
+   */
+  #recur(task) {
+    task.attempt = 0;
+    task.failures = 0;
+    task.runAt = Date.now() + task.every;
+    this.#defer(task);
+    this.#persist(task);
+  }
+
+  /**
+   * Checks that the dependencies of a new task are known to the queue, which also rules out cycles.
+   *
+   * @param {EnqueueOptions} options - The parsed options of the task.
    * @returns {void}
+   * @throws {Error} If a dependency is neither unsettled nor in the history, is recurring, or is the task itself.
+   * @private
+   */
+  #checkDependencies({ id, dependsOn }) {
+    for (const dependency of dependsOn) {
+      if (dependency === id) {
+        throw new Error("A task can't depend on itself");
+      }
+
+      if (!this.#tasks.has(dependency) && !this.#history.has(dependency)) {
+        throw new Error(`The dependency "${dependency}" is not in the queue`);
+      }
+
+      if (this.#tasks.get(dependency)?.every > 0) {
+        throw new Error(
+          `The dependency "${dependency}" is recurring and never settles`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Links a new task to its unsettled dependencies, those that already settled are checked right away.
+   *
+   * @param {Task} task - The task to link.
+   * @returns {boolean} - False if a dependency already failed, in which case the task is settled according to its dependency policy.
    * @private
    */
-  #handleError(error) {
-    this.#options.onCallbackError(error);
+  #linkDependencies(task) {
+    for (const id of task.dependsOn) {
+      const dependency = this.#tasks.get(id);
+      if (dependency) {
+        task.blockers.add(dependency);
+        dependency.dependents.add(task);
+      } else if (
+        this.#history.get(id).status !== TaskStatus.SUCCEEDED &&
+        task.dependencyPolicy !== DependencyPolicy.RUN
+      ) {
+        this.#failDependent(task, id);
+        return false;
+      }
+    }
+
+    return true;
   }
 
   /**
-   * Builds a retry mechanism for a callback function.
+   * Updates a blocked task once one of its dependencies settled, making it pending once none is left.
+   *
+   * @param {Task} task - The task waiting for the dependency.
+   * @param {Task} dependency - The dependency that settled.
+   * @returns {void}
+   * @private
+   */
+  #resolveDependency(task, dependency) {
+    task.blockers.delete(dependency);
+
+    // Tasks being removed from the queue are left alone
+    const scheduled = this.#scheduled.has(task);
+    if (!this.#blocked.has(task) && !scheduled) {
+      return;
+    }
+
+    if (
+      dependency.status !== TaskStatus.SUCCEEDED &&
+      task.dependencyPolicy !== DependencyPolicy.RUN
+    ) {
+      clearTimeout(this.#scheduled.get(task));
+      this.#scheduled.delete(task);
+      this.#blocked.delete(task);
+      this.#failDependent(task, dependency.id);
+      return;
+    }
+
+    // Whoever settled the dependency runs the main loop afterward, which picks the task up
+    if (!scheduled && task.blockers.size === 0) {
+      this.#blocked.delete(task);
+      task.readyAt = Date.now();
+      this.#pending.push(task);
+    }
+  }
+
+  /**
+   * Settles a task whose dependency did not succeed, according to its dependency policy.
+   *
+   * @param {Task} task - The task to settle.
+   * @param {string|number} dependency - The identifier of the dependency that did not succeed.
+   * @returns {void}
+   * @private
+   */
+  #failDependent(task, dependency) {
+    const error = new DependencyError(dependency);
+    if (task.dependencyPolicy === DependencyPolicy.SKIP) {
+      this.#discardTask(task, error);
+    } else {
+      this.#fail(task, error);
+    }
+  }
+
+  /**
+   * Fails a task once its run is over, reporting the error through the callback hooks.
+   *
+   * @param {Task} task - The task to fail.
+   * @param {Error} error - The error the task is rejected with.
+   * @returns {void}
+   * @private
+   */
+  #fail(task, error) {
+    // Failed runs of recurring tasks don't stop the next ones, which are scheduled before reporting this one
+    const context = this.#buildContext(task, true);
+    const recurring = task.every !== null && !this.#shutDown;
+    if (recurring) {
+      this.#recur(task);
+    } else {
+      task.status = TaskStatus.FAILED;
+      task.reject(error);
+    }
+
+    try {
+      this.#stats.count("failed");
+      this.#handleError(error, context);
+    } finally {
+      if (!recurring) {
+        this.#releaseDependents(task);
+      }
+    }
+  }
+
+  /**
+   * Removes the tasks waiting for their dependencies from the blocked ones,
+   * so that the dependencies settling meanwhile no longer affects them.
+   *
+   * @param {Function} [filter] - Returns whether a task should be removed, all of them are by default.
+   * @returns {Array<Task>} - The removed tasks, in the order they were added.
+   * @private
+   */
+  #takeBlocked(filter = () => true) {
+    const tasks = [...this.#blocked].filter(filter);
+    tasks.forEach((task) => this.#blocked.delete(task));
+    return tasks;
+  }
+
+  /**
+   * Removes a task from the queue without executing it.
+   *
+   * The task promise is rejected so that anyone awaiting it is not left hanging,
+   * and a plain callback tuple is returned so that the callback can be enqueued again.
+   *
+   * @param {Task} task - The task to discard.
+   * @param {Error} [error] - The error the task is rejected with.
+   * @returns {CallbackTuple} - The callback tuple of the discarded task.
+   * @private
+   */
+  #discardTask(
+    task,
+    error = new AbortError(
+      "The callback was removed from the queue before it was executed",
+    ),
+  ) {
+    clearTimeout(this.#retrying.get(task));
+    this.#retrying.delete(task);
+    clearTimeout(this.#scheduled.get(task));
+    this.#scheduled.delete(task);
+
+    task.status = TaskStatus.CANCELLED;
+    task.reject(error);
+    this.#notifyWaiters();
+    try {
+      this.#stats.count("cancelled");
+      this.#events.emit(QueueEvent.CANCEL, error, { id: task.id });
+    } finally {
+      this.#releaseDependents(task);
+    }
+
+    return { callback: task.callback, retries: task.retries };
+  }
+
+  /**
+   * Cancels a task, aborting its current attempt if it is running or removing it from the queue otherwise.
+   *
+   * @param {Task} task - The task to cancel.
+   * @param {AbortError} error - The error the task is rejected with.
+   * @returns {boolean} - True if the task was cancelled, false if it already settled.
+   * @private
+   */
+  #cancelTask(task, error) {
+    if (this.#running.has(task.id)) {
+      // The slot is freed and the task rejected once the attempt is aborted, see #handleFailure
+      task.cancelled = true;
+      task.abort(error);
+      return true;
+    }
+
+    if (
+      !this.#pending.remove(task) &&
+      !this.#retrying.has(task) &&
+      !this.#scheduled.has(task) &&
+      !this.#blocked.delete(task)
+    ) {
+      // Unless it is waiting to be retried, for its start time or for its dependencies, the task is not in the queue
+      return false;
+    }
+
+    // Tasks that run anyway once their dependencies settle may have become pending
+    this.#discardTask(task, error);
+    this.#run();
+    return true;
+  }
+
+  /**
+   * Builds the context describing the outcome of the current attempt of a task.
+   *
+   * @param {Task} task - The task that was executed.
+   * @param {boolean} final - Whether this is the final outcome of the task.
+   * @returns {TaskContext} - The task context, without result or error.
+   * @private
+   */
+  #buildContext(task, final) {
+    const endedAt = Date.now();
+
+    // Tasks failed by their dependencies never started
+    const startedAt = task.startedAt || endedAt;
+
+    return {
+      id: task.id,
+      attempt: task.attempt,
+      maxRetries: task.retries,
+      timeout: this.#getTimeout(task),
+      final,
+      startedAt,
+      endedAt,
+      duration: endedAt - startedAt,
+    };
+  }
+
+  /**
+   * Returns the time each attempt of a task is allowed to run.
+   *
+   * @param {Task} task - The task to check.
+   * @returns {number} - The timeout in milliseconds, 0 if the task has no timeout.
+   * @private
+   */
+  #getTimeout(task) {
+    const timeout = task.timeout ?? this.#options.timeout;
+    return Number.isFinite(timeout) ? timeout : 0;
+  }
+
+  /**
+   * Calls the callback of a task with a fresh abort signal.
+   *
+   * The attempt fails as soon as it is aborted, either because the task was cancelled
+   * or with a {@link TimeoutError} if it does not settle in time. In both cases the signal passed to the callback is aborted,
+   * callbacks that ignore it keep running in the background, but their outcome is ignored.
+   * Runtimes without AbortController, such as Node.js 14, call the callback without a signal.
+   *
+   * @param {Task} task - The task to call.
+   * @returns {Promise<*>} - Settles with the outcome of the callback or the abort reason, whichever comes first.
+   * @private
+   */
+  #callWithSignal(task) {
+    const timeout = this.#getTimeout(task);
+    const controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+
+    return new Promise((resolve, reject) => {
+      const abort = (reason) => {
+        reject(reason);
+        controller?.abort(reason);
+      };
+      const timer =
+        timeout > 0
+          ? setTimeout(() => abort(new TimeoutError(timeout)), timeout)
+          : null;
+      task.abort = abort;
+
+      new Promise((resolveCallback) => {
+        resolveCallback(task.callback(controller?.signal));
+      })
+        .then(resolve, reject)
+        .finally(() => {
+          clearTimeout(timer);
+
+          // A new attempt could have started already
+          if (task.abort === abort) {
+            task.abort = noop;
+          }
+        });
+    });
+  }
+
+  /**
+   * Handles errors that occur during the execution of a callback.
+   *
+   * @param {Error} error - The error object.
+   * @param {TaskContext} context - Context of the failed attempt.
+   * @returns {void}
+   * @private
+   */
+  #handleError(error, context) {
+    this.#events.emit(QueueEvent.ERROR, error, { ...context, error });
+
+    if (error instanceof TimeoutError) {
+      this.#stats.count("timedOut");
+      this.#events.emit(QueueEvent.TIMEOUT, error, { ...context, error });
+    }
+  }
+
+  /**
+   * Reports an error thrown by a hook or listener while a task settled as a callback error.
+   *
+   * Errors thrown while reporting it are dropped, as reporting them again could loop forever,
+   * and rethrowing them would leave an unhandled rejection behind.
+   *
+   * @param {Error} error - The error thrown by the hook or listener.
+   * @param {Task} task - The task that was settling.
+   * @returns {void}
+   * @private
+   */
+  #handleListenerError(error, task) {
+    try {
+      this.#handleError(error, this.#buildContext(task, true));
+    } catch {
+      // The error listeners threw as well, there is nowhere left to report it
+    }
+  }
+
+  /**
+   * Handles a successful attempt of a task, resolving the task.
+   *
+   * @param {Task} task - The task whose callback succeeded.
+   * @param {*} result - The value returned by the callback.
+   * @returns {void}
+   * @private
+   */
+  #handleSuccess(task, result) {
+    this.#release(task);
+    this.#recordOutcome(task, null);
+
+    // Recurring tasks only settle once cancelled, or once the queue is shut down
+    const context = { ...this.#buildContext(task, true), result };
+    const recurring = task.every !== null && !this.#shutDown;
+    if (recurring) {
+      this.#recur(task);
+    } else {
+      task.status = TaskStatus.SUCCEEDED;
+      task.resolve(result);
+    }
+
+    try {
+      this.#stats.count("succeeded");
+      this.#events.emit(QueueEvent.SUCCESS, result, context);
+    } finally {
+      if (!recurring) {
+        this.#releaseDependents(task);
+      }
+    }
+
+    this.#run();
+  }
+
+  /**
+   * Handles a failed attempt of a task, scheduling a retry if allowed by its retry policy
+   * or rejecting the task otherwise.
+   *
+   * @param {Task} task - The task whose callback failed.
+   * @param {Error} error - The error object.
+   * @returns {void}
+   * @private
+   */
+  #handleFailure(task, error) {
+    this.#release(task);
+
+    // Cancelled tasks are not retried, nor is their cancellation reported as a callback error
+    if (task.cancelled) {
+      this.#getBreakers(task.group).forEach((breaker) => breaker.release());
+      task.status = TaskStatus.CANCELLED;
+      task.reject(error);
+      try {
+        this.#stats.count("cancelled");
+        this.#events.emit(QueueEvent.CANCEL, error, { id: task.id });
+      } finally {
+        this.#releaseDependents(task);
+      }
+
+      this.#run();
+      return;
+    }
+
+    // Save the retries left, retried right away or not
+    task.failures++;
+    this.#persist(task);
+
+    // The circuit may open before the retry, holding or failing it
+    this.#recordOutcome(task, error);
+    const policy = { ...this.#options.retryPolicy, ...task.retryPolicy };
+
+    // Fail the task if the number of retries has been reached, the error is not retryable or nothing would run the retry
+    if (
+      this.#shutDown ||
+      task.attempt > task.retries ||
+      !policy.shouldRetry(error, task.attempt)
+    ) {
+      this.#fail(task, error);
+      this.#run();
+      return;
+    }
+
+    // Retry the callback once the delay elapses, without holding a concurrency slot meanwhile
+    const retryDelay = getRetryDelay(policy, task.attempt);
+    const context = { ...this.#buildContext(task, false), retryDelay };
+    if (retryDelay <= 0) {
+      this.#requeue(task);
+    } else {
+      task.status = TaskStatus.RETRYING;
+      this.#retrying.set(
+        task,
+        setTimeout(() => {
+          this.#retrying.delete(task);
+          this.#requeue(task);
+        }, retryDelay),
+      );
+    }
+
+    // Exec error hook once the retry is scheduled, so that a throwing listener can't leave the task running
+    this.#stats.count("retried");
+    this.#handleError(error, context);
+    this.#events.emit(QueueEvent.RETRY, error, { ...context, error });
+  }
+
+  /**
+   * Puts a task that is to be retried back in the pending list.
+   * The task keeps its place, ahead of any callback with the same priority added after it.
+   *
+   * @param {Task} task - The task to retry.
+   * @returns {void}
+   * @private
+   */
+  #requeue(task) {
+    task.status = TaskStatus.PENDING;
+    task.readyAt = Date.now();
+    this.#pending.push(task);
+
+    // Start it right away if there is room
+    this.#run();
+  }
+
+  /**
+   * Frees the concurrency slot taken up by a task.
+   *
+   * This is done before settling the task promise, so that anyone awaiting it sees the queue up to date.
+   *
+   * @param {Task} task - The task whose attempt settled.
+   * @returns {void}
+   * @private
+   */
+  #release(task) {
+    this.#running.delete(task.id);
+
+    const running = this.#groupRunning.get(task.group) - 1;
+    if (running > 0) {
+      this.#groupRunning.set(task.group, running);
+    } else {
+      this.#groupRunning.delete(task.group);
+    }
+  }
+
+  /**
+   * Executes the callback of a task, taking up a concurrency slot until the attempt settles.
+   *
+   * @param {Task} task - The task to execute.
+   * @returns {void}
+   * @private
+   */
+  #execute(task) {
+    // Take up the slot right away, so that the main loop can fill the remaining ones
+    this.#running.set(task.id, task);
+    this.#groupRunning.set(
+      task.group,
+      (this.#groupRunning.get(task.group) ?? 0) + 1,
+    );
+    task.status = TaskStatus.RUNNING;
+
+    // The task could be cancelled before its callback is called
+    let cancelReason = null;
+    task.abort = (reason) => {
+      cancelReason = reason;
+    };
+
+    Promise.resolve()
+      .then(() => {
+        if (task.cancelled) {
+          return Promise.reject(cancelReason);
+        }
+
+        task.attempt++;
+        task.startedAt = Date.now();
+        this.#stats.recordWait(task.startedAt - task.readyAt);
+
+        this.#events.emit(QueueEvent.START, {
+          id: task.id,
+          attempt: task.attempt,
+          maxRetries: task.retries,
+          timeout: this.#getTimeout(task),
+          startedAt: task.startedAt,
+        });
+
+        return this.#callWithSignal(task);
+      })
+      .then(
+        (result) => this.#handleSuccess(task, result),
+        (error) => this.#handleFailure(task, error),
+      )
+      // Errors thrown by the callback hooks are reported as callback errors
+      .catch((error) => this.#handleListenerError(error, task))
+      .finally(() => this.#run());
+  }
+
+  /**
+   * Sets the queue to IDLE if there is no work left, or to PAUSED once a pausing queue has no running callbacks.
+   *
+   * This could be executed after the queue has been stopped
+   * therefore, we need to update state even if it looks redundant
+   * to avoid race conditions
+   *
+   * @returns {void}
+   * @private
+   */
+  #idleIfDone() {
+    // Check if this is the last running task and set to IDLE if so
+    // only when user has not stopped the queue
+    if (
+      this.#state === QueueState.BUSY &&
+      this.#running.size === 0 &&
+      this.#pending.size === 0 &&
+      this.#retrying.size === 0 &&
+      this.#scheduled.size === 0 &&
+      this.#blocked.size === 0
+    ) {
+      this.#setState(QueueState.IDLE);
+    }
+
+    if (this.#state === QueueState.PAUSING && this.#running.size === 0) {
+      this.#setState(QueueState.PAUSED);
+    }
+
+    this.#notifyWaiters();
+  }
+
+  /**
+   * Checks if the queue is paused or pausing.
+   *
+   * @returns {boolean} - True if the queue is PAUSING or PAUSED.
+   * @private
+   */
+  #isPaused() {
+    return (
+      this.#state === QueueState.PAUSING || this.#state === QueueState.PAUSED
+    );
+  }
+
+  /**
+   * Returns a promise that resolves once the given condition holds.
+   *
+   * @param {Function} condition - Checks the queue, returns true once the promise should resolve.
+   * @returns {Promise<void>} - Resolves right away if the condition already holds.
+   * @private
+   */
+  #waitFor(condition) {
+    if (condition()) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.#waiters.add({ condition, resolve });
+    });
+  }
+
+  /**
+   * Resolves the promises whose condition holds.
+   *
+   * This must be executed whenever callbacks leave the pending list or finish running.
+   *
+   * @returns {void}
+   * @private
+   */
+  #notifyWaiters() {
+    for (const waiter of this.#waiters) {
+      if (waiter.condition()) {
+        this.#waiters.delete(waiter);
+        waiter.resolve();
+      }
+    }
+  }
+
+  /**
+   * Starts the next pending callback, if the queue is running and both the concurrency and rate limits allow it.
+   *
+   * @returns {boolean} - True if a callback was started.
+   * @private
+   */
+  #processNext() {
+    if (
+      // Has the user stopped the queue?
+      this.#state !== QueueState.BUSY ||
+      // Are there any more pending callbacks?
+      this.#pending.size === 0
+    ) {
+      return false;
+    }
+
+    // Callbacks failed by an open circuit don't need a concurrency slot
+    if (this.#rejectNext()) {
+      return true;
+    }
+
+    // Do we have room for more concurrent tasks?
+    if (this.#running.size >= this.getConcurrency()) {
+      return false;
+    }
+
+    // Are there pending callbacks in any group with room for more, whose circuit lets them through?
+    const canRun = (group) =>
+      this.#canRunGroup(group) && this.#findOpenCircuit(group) === null;
+    if (!this.#pending.peek(canRun)) {
+      return false;
+    }
+
+    // Are we allowed to start another callback yet?
+    if (this.#rateLimiter && !this.#rateLimiter.tryAcquire()) {
+      this.#waitForRateLimit();
+      return false;
+    }
+
+    const task = this.#pending.pop(canRun);
+    this.#getBreakers(task.group).forEach((breaker) => breaker.tryAcquire());
+    this.#execute(task);
+    this.#notifyWaiters();
+    return true;
+  }
+
+  /**
+   * Fails the next pending callback whose circuit is open, if the policy of that circuit is to fail callbacks.
+   *
+   * @returns {boolean} - True if a callback was failed.
+   * @private
+   */
+  #rejectNext() {
+    if (this.#breaker === null && this.#groupBreakers.size === 0) {
+      return false;
+    }
+
+    const rejects = (group) =>
+      this.#findOpenCircuit(group)?.getPolicy() === CircuitPolicy.FAIL;
+    const task = this.#pending.pop(rejects);
+    if (!task) {
+      return false;
+    }
+
+    const scope =
+      this.#findOpenCircuit(task.group) === this.#breaker ? null : task.group;
+    this.#fail(task, new CircuitOpenError(scope));
+    this.#notifyWaiters();
+    return true;
+  }
+
+  /**
+   * Returns the circuit breakers callbacks of a group go through, the queue one first.
+   *
+   * @param {string|null} group - The group of the callbacks, null for callbacks without a group.
+   * @returns {Array<CircuitBreaker>} - The circuit breakers, empty if there is none.
+   * @private
+   */
+  #getBreakers(group) {
+    const breakers = this.#breaker === null ? [] : [this.#breaker];
+    const groupBreaker = group === null ? null : this.#groupBreakers.get(group);
+    if (groupBreaker) {
+      breakers.push(groupBreaker);
+    }
+
+    return breakers;
+  }
+
+  /**
+   * Finds the circuit breaker that keeps callbacks of a group from starting.
+   *
+   * @param {string|null} group - The group of the callbacks, null for callbacks without a group.
+   * @returns {CircuitBreaker|null} - The first circuit that does not let callbacks through, or null if they can start.
+   * @private
+   */
+  #findOpenCircuit(group) {
+    return (
+      this.#getBreakers(group).find((breaker) => !breaker.canPass()) ?? null
+    );
+  }
+
+  /**
+   * Records the outcome of an attempt in the stats, the adaptive concurrency limit and the circuit breakers it went through.
+   *
+   * @param {Task} task - The task whose attempt ended.
+   * @param {Error|null} error - The error of the attempt, null if it succeeded.
+   * @returns {void}
+   * @private
+   */
+  #recordOutcome(task, error) {
+    this.#stats.recordRun(Date.now() - task.startedAt);
+    this.#adapt(task, error);
+    for (const breaker of this.#getBreakers(task.group)) {
+      const previous = breaker.getState();
+      if (breaker.record(error, task.startedAt) !== null) {
+        // The task has not settled yet, a throwing listener must not keep it from doing so
+        try {
+          this.#circuitChanged(
+            breaker,
+            breaker === this.#breaker ? null : task.group,
+            previous,
+          );
+        } catch (listenerError) {
+          this.#handleListenerError(listenerError, task);
+        }
+      }
+    }
+  }
+
+  /**
+   * Adapts the concurrency limit to the outcome of an attempt, if the queue has an adaptive limit.
+   *
+   * @param {Task} task - The task whose attempt ended, its slot already freed.
+   * @param {Error|null} error - The error of the attempt, null if it succeeded.
+   * @returns {void}
+   * @private
+   */
+  #adapt(task, error) {
+    if (this.#adaptive === null) {
+      return;
+    }
+
+    const previous = this.#adaptive.getLimit();
+    const limit = this.#adaptive.record({
+      startedAt: task.startedAt,
+      duration: Date.now() - task.startedAt,
+      failed: error !== null,
+      running: this.#running.size + 1,
+    });
+
+    if (limit === null) {
+      return;
+    }
+
+    // The task has not settled yet, a throwing listener must not keep it from doing so
+    try {
+      this.#events.emit(QueueEvent.CONCURRENCY, { limit, previous });
+    } catch (listenerError) {
+      this.#handleListenerError(listenerError, task);
+    }
+  }
+
+  /**
+   * Reports a circuit that changed state, and moves it to half-open once its cooldown elapses if it opened.
+   *
+   * @param {CircuitBreaker} breaker - The circuit breaker that changed state.
+   * @param {string|null} group - The group of the circuit, null for the circuit of the queue.
+   * @param {string} previous - The previous state of the circuit.
+   * @returns {void}
+   * @private
+   */
+  #circuitChanged(breaker, group, previous) {
+    const state = breaker.getState();
+
+    // The cooldown starts before the change is reported, so that a throwing listener can't keep the circuit open
+    if (state === CircuitState.OPEN) {
+      clearTimeout(this.#circuitTimers.get(breaker));
+      this.#circuitTimers.set(
+        breaker,
+        setTimeout(() => {
+          this.#circuitTimers.delete(breaker);
+          breaker.halfOpen();
+          try {
+            this.#circuitChanged(breaker, group, state);
+          } finally {
+            this.#run();
+          }
+        }, breaker.getDelay()),
+      );
+    }
+
+    this.#events.emit(QueueEvent.CIRCUIT, { group, state, previous });
+  }
+
+  /**
+   * Checks if a callback of a group can start, as far as the group is concerned.
+   *
+   * @param {string|null} group - The group to check, null for callbacks without a group.
+   * @returns {boolean} - True if the group is not paused and has room for more running callbacks.
+   * @private
+   */
+  #canRunGroup(group) {
+    return (
+      group === null ||
+      (!this.#pausedGroups.has(group) &&
+        (this.#groupRunning.get(group) ?? 0) < this.#getGroupLimit(group))
+    );
+  }
+
+  /**
+   * Returns the maximum number of callbacks of a group that can run in parallel.
+   *
+   * @param {string} group - The group to check.
+   * @returns {number} - The group limit, Infinity if the group has no options.
+   * @private
+   */
+  #getGroupLimit(group) {
+    return this.#options.groups[group]?.maxConcurrent ?? Infinity;
+  }
+
+  /**
+   * Resumes the queue execution once the rate limit allows another callback to start.
+   *
+   * @returns {void}
+   * @private
+   */
+  #waitForRateLimit() {
+    if (this.#rateTimer !== null) {
+      return;
+    }
+
+    this.#rateTimer = setTimeout(() => {
+      this.#rateTimer = null;
+      this.#run();
+    }, this.#rateLimiter.getDelay());
+  }
+
+  /**
+   * Starts the callbacks that were just added, starting the queue first if it starts automatically.
+   *
+   * @returns {void}
+   * @private
+   */
+  #pickUp() {
+    // A running queue picks up new callbacks right away, even if it was started manually, but a paused one waits to be resumed
+    if (this.#options.autoStart && !this.#isPaused()) {
+      this.start();
+    } else {
+      this.#run();
+    }
+  }
+
+  /**
+   * Main execution loop for the queue, starts as many pending callbacks as the limits allow.
+   *
+   * Rather than polling, this runs whenever there could be room for more callbacks:
+   * when callbacks are added, when the queue is started or reconfigured, and whenever a callback settles.
+   * Callbacks are called on the next microtask, so filling every free slot never grows the call stack.
+   *
+   * @returns {void}
+   * @private
+   */
+  #run() {
+    while (this.#processNext()) {
+      // Keep going until every free slot is taken
+    }
+
+    this.#idleIfDone();
+  }
+
+  /********************************************/
+  /** Public API ******************************/
+
+  /********************************************/
+  /** Getters *********************************/
+
+  /**
+   * Returns the current state of the queue.
+   *
+   * @returns {string}
+   * @public
+   */
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Returns the number of pending callbacks in the queue, including those waiting to be retried, for their start time or for their dependencies.
+   *
+   * @returns {number}
+   * @public
+   */
+  getPendingCount() {
+    return (
+      this.#pending.size +
+      this.#retrying.size +
+      this.#scheduled.size +
+      this.#blocked.size
+    );
+  }
+
+  /**
+   * Returns the number of running callbacks in the queue.
+   *
+   * @returns {number}
+   * @public
+   */
+  getRunningCount() {
+    return this.#running.size;
+  }
+
+  /**
+   * Returns how long until the rate limit allows another callback to start.
+   *
+   * A free slot does not guarantee that a callback starts right away, as maxConcurrent is enforced as well.
+   *
+   * @returns {number} Time in milliseconds, 0 if a callback can start now or the queue has no rate limit.
+   * @public
+   */
+  getRateLimitDelay() {
+    return this.#rateLimiter ? this.#rateLimiter.getDelay() : 0;
+  }
+
+  /**
+   * Returns the number of callbacks that can run in parallel.
+   *
+   * This is maxConcurrent, unless the queue has an adaptive concurrency limit, in which case it is the current adapted limit.
+   *
+   * @example
+   * const queue = new ConcurrentCallbackQueue({
+   *   maxConcurrent: 10,
+   *   adaptiveConcurrency: { min: 2, max: 50, latencyThreshold: 2000 },
+   * });
+   * queue.on('concurrency', ({ limit }) => metrics.gauge('queue.concurrency', limit));
+   *
+   * console.log(`Running up to ${queue.getConcurrency()} callbacks`);
+   *
+   * @returns {number}
+   * @public
+   */
+  getConcurrency() {
+    return this.#adaptive
+      ? this.#adaptive.getLimit()
+      : this.#options.maxConcurrent;
+  }
+
+  /**
+   * Returns the metrics of the queue since it was created, or since its stats were last reset.
+   *
+   * Collecting them takes constant time and memory, so they are always on.
+   * Averages cover every attempt, while percentiles cover the latest 1000 attempts.
+   * The returned object only holds numbers, it can be serialized as is.
+   *
+   * @example
+   * setInterval(() => {
+   *   fetch('/metrics', { method: 'POST', body: JSON.stringify(queue.getStats()) });
+   *   queue.resetStats();
+   * }, 60000);
+   *
+   * @returns {QueueStats}
+   * @public
+   */
+  getStats() {
+    const running = this.#running.size;
+
+    return {
+      ...this.#stats.getStats(),
+      pending: this.getPendingCount(),
+      running,
+      utilization: running / this.getConcurrency(),
+    };
+  }
+
+  /**
+   * Starts collecting the metrics of the queue over, see {@link ConcurrentCallbackQueue#getStats}.
+   *
+   * Pending and running callbacks are not affected, only the counters, durations and throughput are.
+   *
+   * @returns {void}
+   * @public
+   */
+  resetStats() {
+    this.#stats = new StatsCollector();
+  }
+
+  /**
+   * Returns the state of the circuit of the queue, or of a group.
+   *
+   * @example
+   * queue.on('circuit', ({ group, state }) => {
+   *   console.warn(`The circuit of ${group ?? 'the queue'} is ${state}`);
+   * });
+   *
+   * if (queue.getCircuitState('api.example.com') === CircuitState.OPEN) {
+   *   showBanner('The API is unavailable, retrying soon');
+   * }
+   *
+   * @param {string|number|null} [group=null] - The group whose circuit to check, null for the circuit of the queue.
+   * @returns {string|null} One of {@link CircuitState}, or null if there is no circuit breaker.
+   * @public
+   */
+  getCircuitState(group = null) {
+    const name = toGroupName(group);
+    const breaker =
+      name === null ? this.#breaker : this.#groupBreakers.get(name);
+
+    return breaker ? breaker.getState() : null;
+  }
+
+  /**
+   * Returns a snapshot of a task, whether it is pending, running or already settled.
+   *
+   * Settled tasks are only kept up to the history limit, the oldest ones are forgotten first.
+   *
+   * @param {string|number} taskId - Identifier of the task, as found in its handle.
+   * @returns {TaskInfo|null} The task snapshot, or null if the task is unknown or was forgotten.
+   * @public
+   */
+  getTask(taskId) {
+    const task = this.#tasks.get(taskId);
+    if (task) {
+      return this.#snapshot(task);
+    }
+
+    const snapshot = this.#history.get(taskId);
+    return snapshot ? { ...snapshot } : null;
+  }
+
+  /**
+   * Returns snapshots of the running tasks, in the order they started.
+   *
+   * @returns {Array<TaskInfo>}
+   * @public
+   */
+  getRunning() {
+    return [...this.#running.values()].map((task) => this.#snapshot(task));
+  }
+
+  /**
+   * Returns snapshots of the pending tasks, in the order they will run, followed by those waiting to be retried,
+   * those waiting for their start time and those waiting for their dependencies.
+   *
+   * @returns {Array<TaskInfo>}
+   * @public
+   */
+  getPending() {
+    return [
+      ...this.#pending.toArray(),
+      ...this.#retrying.keys(),
+      ...this.#scheduled.keys(),
+      ...this.#blocked,
+    ].map((task) => this.#snapshot(task));
+  }
+
+  /**
+   * Returns the current queue configuration options.
+   *
+   * A copy is returned, with its nested options such as `groups` or `retryPolicy` frozen, changing it has no effect on the queue,
+   * see {@link ConcurrentCallbackQueue#setOptions}.
+   *
+   * @returns {QueueOptions}
+   * @public
+   */
+  getOptions() {
+    return { ...this.#options };
+  }
+
+  /********************************************/
+  /** Configuration ***************************/
+
+  /**
+   * Changes the queue configuration options while the queue is running.
+   *
+   * Only the given options are changed, each one replacing its current value as if it had been given on creation.
+   * All of them are validated before any is applied, so invalid options leave the configuration untouched.
+   *
+   * Raising maxConcurrent starts more pending callbacks right away, while lowering it lets running callbacks finish,
+   * no new callbacks start until the number of running callbacks drops below the new limit.
+   * Timeouts and retry policies apply from the next attempt on, and a new rate limit starts with a full bucket.
+   * Circuit breakers whose options changed start closed, the others keep their state.
+   * An adaptive concurrency limit starts over from maxConcurrent when its options change, and moves to maxConcurrent whenever it is given.
+   *
+   * @param {QueueOptions|Object} options - The options to change.
+   * @returns {void}
+   * @throws {Error} If options is not an object or any of the options is invalid.
+   * @public
+   */
+  setOptions(options) {
+    if (!options || typeof options !== "object") {
+      throw new Error('The "options" parameter must be an object');
+    }
+
+    const previous = this.#options;
+    this.#options = parseQueueOptions({ ...previous, ...options });
+
+    if (this.#options.rateLimit !== previous.rateLimit) {
+      this.#rateLimiter =
+        this.#options.rateLimit === null
+          ? null
+          : new RateLimiter(this.#options.rateLimit);
+
+      // Don't keep waiting on the previous rate limit
+      clearTimeout(this.#rateTimer);
+      this.#rateTimer = null;
+    }
+
+    this.#initBreakers(previous);
+    this.#initConcurrency(previous, options);
+
+    this.#trimHistory();
+
+    // Pending callbacks are ordered by the comparator, so they must be sorted again
+    if (this.#options.priorityComparator !== previous.priorityComparator) {
+      for (const task of this.#pending.clear()) {
+        this.#pending.push(task);
+      }
+    }
+
+    this.#events.emit(QueueEvent.CONFIG, this.getOptions(), { ...previous });
+
+    // Make use of any new room, be it more concurrency slots or a laxer rate limit
+    if (this.#state === QueueState.BUSY) {
+      this.#run();
+    }
+  }
+
+  /**
+   * Changes the maximum number of callbacks that can be executed in parallel.
+   *
+   * With an adaptive concurrency limit, this overrides the current limit, brought within its bounds, adapting from there on.
+   *
+   * @param {number} maxConcurrent - The new limit.
+   * @returns {void}
+   * @throws {Error} If the limit is not a positive integer.
+   * @see ConcurrentCallbackQueue#setOptions
+   * @public
+   */
+  setMaxConcurrent(maxConcurrent) {
+    this.setOptions({ maxConcurrent });
+  }
+
+  /********************************************/
+  /** Events **********************************/
+
+  /**
+   * Adds a listener for a queue event.
+   *
+   * Any number of listeners can be added for each event, they are called in the order they were added,
+   * right after the corresponding hook option, if any.
+   * Errors thrown by the listeners are handled just like those thrown by the hooks: while a callback settles,
+   * they are reported through the `error` event, and an error thrown while reporting one is dropped.
+   * Otherwise, they propagate to the code that emitted the event, such as the call to enqueue or start.
+   *
+   * @param {string} event - The event to listen to, one of {@link QueueEvent}.
+   * @param {Function} listener - The function called with the event arguments.
+   * @returns {ConcurrentCallbackQueue} The queue itself, to allow chaining.
+   * @throws {Error} If the event is unknown or the listener is not a function.
+   * @see QueueEvent
+   * @public
+   */
+  on(event, listener) {
+    validateEvent(event);
+    this.#events.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener for a queue event that is removed after being called once.
+   *
+   * @param {string} event - The event to listen to, one of {@link QueueEvent}.
+   * @param {Function} listener - The function called with the event arguments.
+   * @returns {ConcurrentCallbackQueue} The queue itself, to allow chaining.
+   * @throws {Error} If the event is unknown or the listener is not a function.
+   * @see QueueEvent
+   * @public
+   */
+  once(event, listener) {
+    validateEvent(event);
+    this.#events.once(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener from a queue event.
+   *
+   * @param {string} event - The event the listener was added to, one of {@link QueueEvent}.
+   * @param {Function} listener - The listener to remove.
+   * @returns {ConcurrentCallbackQueue} The queue itself, to allow chaining.
+   * @throws {Error} If the event is unknown.
+   * @public
+   */
+  off(event, listener) {
+    validateEvent(event);
+    this.#events.off(event, listener);
+    return this;
+  }
+
+  /********************************************/
+  /** Waiting *********************************/
+
+  /**
+   * Returns a promise that resolves once there are no pending nor running callbacks.
+   *
+   * Unlike the onQueueIdle hook, it can be called at any time and awaited as many times as needed.
+   * Note that a stopped queue with pending callbacks will not become idle until it is started again or cleared.
+   *
+   * @returns {Promise<void>} Resolves right away if the queue has no work left.
+   * @public
+   */
+  onIdle() {
+    // Tasks are only forgotten once settled, this also covers those about to start running
+    return this.#waitFor(() => this.#tasks.size === 0);
+  }
+
+  /**
+   * Returns a promise that resolves once there are no pending callbacks, although some may still be running.
+   *
+   * @returns {Promise<void>} Resolves right away if there are no pending callbacks.
+   * @public
+   */
+  onEmpty() {
+    return this.#waitFor(() => this.getPendingCount() === 0);
+  }
+
+  /**
+   * Returns a promise that resolves once the number of pending callbacks drops below the given limit.
+   * Useful to apply backpressure, waiting before adding more callbacks to the queue.
+   *
+   * @param {number} limit - The number of pending callbacks to drop below.
+   * @returns {Promise<void>} Resolves right away if there are already fewer pending callbacks.
+   * @throws {Error} If the limit is not a positive number.
+   * @public
+   */
+  onSizeLessThan(limit) {
+    if (typeof limit !== "number" || !(limit > 0)) {
+      throw new Error('The "limit" parameter must be a positive number');
+    }
+
+    return this.#waitFor(() => this.getPendingCount() < limit);
+  }
+
+  /**
+   * Returns an async iterator over the results of the callbacks in the queue, including those added while iterating.
+   * Each result is either `{ id, value }` or `{ id, error }`, cancelled callbacks are yielded with their {@link AbortError}.
+   *
+   * The iteration ends once there are no pending nor running callbacks, right away if the queue is already idle.
+   * Results that are not read yet are buffered, and discarded when the iteration is stopped early.
+   *
+   * @example
+   * queue.enqueueAll(files.map((file) => () => upload(file)));
+   * for await (const { id, error } of queue.results({ order: ResultOrder.INPUT })) {
+   *   if (error) console.error(`Upload ${id} failed`, error);
+   * }
+   *
+   * @param {Object} [options] - Iteration options.
+   * @param {string} [options.order=ResultOrder.COMPLETION] - Order in which results are yielded, one of {@link ResultOrder}.
+   * @returns {AsyncIterableIterator<TaskResult>} The results of the callbacks.
+   * @throws {Error} If the order is invalid.
+   * @public
+   */
+  results(options = {}) {
+    const { order = ResultOrder.COMPLETION } = options;
+    validateResultOrder(order);
+
+    const iterator = new ResultIterator(order === ResultOrder.INPUT, {
+      onClose: () => this.#resultIterators.delete(iterator),
+    });
+    this.#resultIterators.add(iterator);
+
+    // Tasks are kept in the order they were added
+    for (const task of this.#tasks.values()) {
+      iterator.collect(task.id, task.promise);
+    }
+
+    const endWhenIdle = () =>
+      this.onIdle().then(() => {
+        // Callbacks may have been added while the promise was resolving
+        if (this.#tasks.size > 0) {
+          endWhenIdle();
+          return;
+        }
+
+        this.#resultIterators.delete(iterator);
+        iterator.end();
+      });
+    endWhenIdle();
+
+    return iterator;
+  }
+
+  /********************************************/
+  /** Queue Operations ************************/
+
+  /**
+   * Adds a callback to the queue, if autoStart is enabled the queue execution starts.
+   * You can specify an optional number of retries in case of an error, or an options object
+   * to also override the queue retry policy for this callback.
+   *
+   * The returned handle exposes a promise that settles with the outcome of the callback,
+   * lifecycle hooks are still triggered as usual.
+   *
+   * The callback receives an AbortSignal, aborted when the callback is cancelled or times out.
+   *
+   * If a key is given and a task with the same key is already pending or running,
+   * the handle of that task is returned instead, see {@link DedupeMode}.
+   *
+   * If the queue already holds maxPending callbacks, the overflow policy decides what happens, see {@link OverflowPolicy}.
+   *
+   * Callbacks given a delay or a start time count as pending while they wait, and only run if the queue is running by then.
+   * Recurring callbacks run again after each run until cancelled, their handle is never resolved.
+   *
+   * @example
+   * queue.enqueue(() => sendReminder(), { delay: 30000 });
+   * queue.enqueue((signal) => fetch('/api/status', { signal }), { id: 'status', every: 5 * 60 * 1000 });
+   * queue.cancel('status');
+   *
+   * @param {Function} callback - The callback function to add to the queue.
+   * @param {EnqueueOptions|number} [options=0] - Options for the callback, or its number of retry attempts in case of an error (optional).
+   * @returns {TaskHandle} Handle to the scheduled callback.
+   * @throws {Error} If the callback is not a function, retries is not a number or any other option is invalid.
+   * @throws {QueueFullError} If the queue is full and the overflow policy is to throw.
+   * @throws {ShutdownError} If the queue was shut down.
+   *
+   * @public
+   */
+  enqueue(callback, options = 0) {
+    if (typeof callback !== "function") {
+      throw new Error(
+        'The "callback" parameter must be a function or a promise',
+      );
+    }
+
+    const task = this.#add(callback, this.#parseEnqueueOptions(options));
+
+    this.#pickUp();
+
+    return { id: task.id, promise: task.promise };
+  }
+
+  /**
+   * Adds a callback to the queue once there is room for it, applying backpressure to the producer instead of the overflow policy.
+   * Otherwise it behaves like {@link ConcurrentCallbackQueue#enqueue}.
+   *
+   * Note that a stopped queue holding maxPending callbacks will not make room until it is started again or cleared.
    *
-   * @param {CallbackTuple} tuple - Tuple containing the callback function and the number of retries.
-   * @returns {Function} - The callback function wrapped in a retry mechanism.
+   * @example
+   * for await (const chunk of stream) {
+   *   await queue.enqueueAsync(() => processChunk(chunk));
+   * }
+   *
+   * @param {Function} callback - The callback function to add to the queue.
+   * @param {EnqueueOptions|number} [options=0] - Options for the callback, or its number of retry attempts in case of an error (optional).
+   * @returns {Promise<TaskHandle>} Resolves with the handle to the scheduled callback once it is added.
+   * @throws {Error} If the callback is not a function, retries is not a number or any other option is invalid.
+   *
+   * @public
    */
-  #buildRetryCallback(tuple) {
-    const callback = tuple?.callback;
-    const retries = tuple?.retries || 0;
+  async enqueueAsync(callback, options = 0) {
+    // Check the arguments right away rather than once there is room
+    if (typeof callback !== "function") {
+      throw new Error(
+        'The "callback" parameter must be a function or a promise',
+      );
+    }
 
-    const retryCallback = async (currentRetry) => {
-      try {
-        await callback();
-      } catch (error) {
-        if (currentRetry < retries) {
-          // Retry the callback if the number of retries has not been reached
-          // Exec error hook
-          this.#handleError(error);
-          await retryCallback(currentRetry + 1);
-        } else {
-          // Rethrow the error if the number of retries has been reached
-          throw error;
-        }
-      }
-    };
+    this.#parseEnqueueOptions(options);
+
+    const hasRoom = () => this.getPendingCount() < this.#options.maxPending;
+    await this.#waitFor(hasRoom);
 
-    return () => retryCallback(0);
+    // Waiters are woken together, wait again if an earlier one already took the room
+    return hasRoom()
+      ? this.enqueue(callback, options)
+      : this.enqueueAsync(callback, options);
   }
 
   /**
-   * Processes the next callback in the queue, if possible.
+   * Adds multiple callbacks to the queue, if autoStart is enabled the queue execution starts.
+   * You can specify an optional number of retry attempts in case of an error, or an options object applied to all callbacks.
    *
-   * @returns {void}
-   * @private
+   * If the overflow policy is to throw, either all callbacks are added or none is.
+   *
+   * @param {Array<Function>} callbacks - The array of callback functions to add to the queue.
+   * @param {EnqueueOptions|number} [options=0] - Options for all callbacks, or their number of retry attempts in case of an error (optional).
+   * @returns {Array<TaskHandle>} Handles to the scheduled callbacks, in the same order as the callbacks.
+   * @throws {Error} If callbacks is not an array of functions, retries is not a number, an id is given or any other option is invalid.
+   * @throws {QueueFullError} If there is no room for all callbacks and the overflow policy is to throw.
+   * @throws {ShutdownError} If the queue was shut down.
+   *
+   * @public
    */
-  #processNext() {
+  enqueueAll(callbacks, options = 0) {
     if (
-      // Has the user stopped the queue?
-      this.#state === QueueState.STOPPED ||
-      // Do we have room for more concurrent tasks?
-      this.#concurrent >= this.#options.maxConcurrent
+      !Array.isArray(callbacks) ||
+      !callbacks.every((callback) => typeof callback === "function")
     ) {
-      return;
+      throw new Error(
+        'The "callbacks" parameter must be an array of functions or promises',
+      );
     }
 
-    // Are there any more pending callbacks?
-    if (this.#pending.length === 0) {
-      // Are we done processing all callbacks?
-      // If so, idle until a new callback is added
-      if (this.#concurrent === 0) {
-        this.#setState(QueueState.IDLE);
-      }
-
-      return;
+    // Map callbacks to tasks to store the number of retries
+    const parsed = this.#parseEnqueueOptions(options);
+    if (parsed.id !== null) {
+      throw new Error('The "id" option cannot be shared by multiple callbacks');
     }
 
-    // Prevent any race conditions by checking the tuple directly
-    // as dequeue() could return undefined if the queue is empty
-    const tuple = this.dequeue();
-    if (!tuple) {
-      // idle until a new callback is added
-      this.#setState(QueueState.IDLE);
-      return;
+    if (
+      this.#options.overflow === OverflowPolicy.THROW &&
+      this.getPendingCount() + callbacks.length > this.#options.maxPending
+    ) {
+      throw this.#rejectOverflow(null);
     }
 
-    // Build a retry mechanism for the callback
-    const callback = this.#buildRetryCallback(tuple);
-    const index = Date.now();
+    const tasks = callbacks.map((callback) => this.#add(callback, parsed));
 
-    Promise.resolve()
-      .then(() => {
-        // Update state
-        this.#concurrent++;
-        this.#running.set(index, callback);
+    this.#pickUp();
 
-        return callback();
-      })
-      .then(() => this.#options.onCallbackSuccess())
-      .catch((error) => this.#handleError(error))
-      .finally(() => {
-        this.#concurrent--;
-        this.#running.delete(index);
-
-        // This block could be executed after the queue has been stopped
-        // or the main execution interval has been cleared
-        // therefore, we need to update state even if it looks redundant
-        // to avoid race conditions
-
-        // Check if this is the last running task and set to IDLE if so
-        // only when user has not stopped the queue
-        if (
-          this.#state === QueueState.BUSY &&
-          this.#concurrent === 0 &&
-          this.#pending.length === 0
-        ) {
-          this.#setState(QueueState.IDLE);
-        }
-      });
+    return tasks.map((task) => ({ id: task.id, promise: task.promise }));
   }
 
   /**
-   * Main execution loop for the queue.
+   * Adds a serializable task to the queue, run by one of the handlers registered in the queue options.
    *
-   * @returns {void}
-   * @private
+   * Unlike callbacks, such tasks are made of plain data, a handler name and a payload, so they can be saved to the storage
+   * and restored after a crash or a page reload, see {@link ConcurrentCallbackQueue#restore}. Otherwise it behaves like {@link ConcurrentCallbackQueue#enqueue}.
+   *
+   * @example
+   * const queue = new ConcurrentCallbackQueue({
+   *   handlers: { upload: ({ url, body }, signal) => fetch(url, { method: 'POST', body, signal }) },
+   *   storage: new WebStorage('uploads'),
+   * });
+   * queue.dispatch('upload', { url: '/api/files', body: 'hello' }, { retries: 3 });
+   *
+   * @param {string} handler - Name of the handler that runs the task, it receives the payload and an AbortSignal.
+   * @param {*} payload - Payload given to the handler, must be serializable by the storage, such as JSON data.
+   * @param {EnqueueOptions|number} [options=0] - Options for the task, or its number of retry attempts in case of an error (optional).
+   * The signal and the retry policy are not saved to the storage.
+   * @returns {TaskHandle} Handle to the scheduled task.
+   * @throws {Error} If no handler is registered under the given name, or any option is invalid.
+   * @throws {QueueFullError} If the queue is full and the overflow policy is to throw.
+   * @throws {ShutdownError} If the queue was shut down.
+   * @public
    */
-  #run() {
-    // Immediately process the first callback
-    this.#processNext();
-
-    // Use an interval to process the next callback
-    // This allows promises to resolve in the next microtask
-    // while still processing the next callback in the queue
-
-    // A loop will run forever as queue state updates are done within promise resolution
-    // and promises are only resolved on the next microtask after loop iteration
-
-    // OTOH, while a recursive approach could be used, with big enough queues
-    // it could lead to a stack overflow
-    const interval = setInterval(() => {
-      this.#processNext();
-
-      // Clear the interval after we're done processing all callbacks
-      // or if the queue has been stopped by the user
-      // State updates are done within promise resolution in #processNext
-      if (this.#state !== QueueState.BUSY || this.#pending.length === 0) {
-        clearInterval(interval);
-      }
+  dispatch(handler, payload, options = 0) {
+    const run = this.#options.handlers[handler];
+    if (typeof run !== "function") {
+      throw new Error(`The "${handler}" handler is not registered`);
+    }
+
+    const task = this.#add((signal) => run(payload, signal), {
+      ...this.#parseEnqueueOptions(options),
+      job: { handler, payload },
     });
-  }
 
-  /********************************************/
-  /** Public API ******************************/
+    this.#pickUp();
 
-  /********************************************/
-  /** Getters *********************************/
+    return { id: task.id, promise: task.promise };
+  }
 
   /**
-   * Returns the current state of the queue.
+   * Removes the next pending callback, the one with the highest priority, from the queue without stopping execution.
+   * The handle of the removed callback is rejected.
    *
-   * @returns {string}
+   * @return {CallbackTuple|undefined} Removed callback tuple or undefined if the queue is empty.
    * @public
    */
-  getState() {
-    return this.#state;
+  dequeue() {
+    const task = this.#pending.pop();
+    const tuple = task && this.#discardTask(task);
+    this.#run();
+
+    return tuple;
   }
 
   /**
-   * Returns the number of pending callbacks in the queue.
+   * Removes all pending callbacks from the queue without stopping the queue execution,
+   * including those waiting to be retried, for their start time or for their dependencies.
+   * The handles of the removed callbacks are rejected.
    *
-   * @returns {number}
+   * @returns {Array<CallbackTuple>} List of pending callbacks
    * @public
    */
-  getPendingCount() {
-    return this.#pending.length;
+  dequeueAll() {
+    const queue = [
+      ...this.#pending.clear(),
+      ...this.#retrying.keys(),
+      ...this.#scheduled.keys(),
+      ...this.#takeBlocked(),
+    ];
+    const tuples = queue.map((task) => this.#discardTask(task));
+    this.#idleIfDone();
+
+    return tuples;
   }
 
   /**
-   * Returns the number of running callbacks in the queue.
+   * Cancels a callback, rejecting its handle with an {@link AbortError}.
    *
-   * @returns {number}
+   * Pending callbacks are removed from the queue, while running callbacks have their signal aborted
+   * and their concurrency slot freed right away. Cancelled callbacks are not retried.
+   *
+   * @param {string|number} taskId - Identifier of the task, as found in its handle.
+   * @returns {boolean} True if the callback was cancelled, false if it was not found or already settled.
    * @public
    */
-  getRunningCount() {
-    return this.#concurrent;
+  cancel(taskId) {
+    const task = this.#tasks.get(taskId);
+    return (
+      Boolean(task) &&
+      this.#cancelTask(task, new AbortError("The callback was cancelled"))
+    );
   }
 
   /**
-   * Returns the current queue configuration options.
+   * Runs a graph of dependent callbacks, each one starting as soon as all its dependencies succeeded,
+   * and resolves with the outcome of every callback once all of them settled.
+   *
+   * Each node is added as a task whose id is the key of the node, with the given options applied to all of them
+   * unless overridden by the node itself. Callbacks receive the values of their dependencies, by id, along with their AbortSignal.
+   * Whether a callback runs when one of its dependencies fails depends on its dependency policy, see {@link DependencyPolicy}.
+   *
+   * The whole graph is checked before any callback is added, so a graph with a cycle, or a node depending on a node
+   * not in the graph, is rejected without running anything.
+   *
+   * @example
+   * const results = await queue.runGraph({
+   *   album: () => api.createAlbum(),
+   *   cover: { callback: (signal, { album }) => api.upload(album.id, cover, { signal }), dependsOn: ['album'] },
+   *   photos: { callback: (signal, { album }) => api.upload(album.id, photos, { signal }), dependsOn: ['album'] },
+   *   publish: { callback: (signal, { album }) => api.publish(album.id), dependsOn: ['cover', 'photos'] },
+   * }, { retries: 2 });
+   *
+   * if (results.publish.error) {
+   *   console.error('The album was not published', results.publish.error);
+   * }
+   *
+   * @param {Object<string, Function|GraphNode>} graph - The nodes of the graph by id, either a callback or a {@link GraphNode}.
+   * @param {EnqueueOptions} [options] - Options applied to every node, but the id and dependencies.
+   * @returns {Promise<Object<string, TaskResult>>} Resolves with the outcome of each callback by id, holding either its value or its error.
+   * @throws {Error} If the graph or the options are invalid, the graph has a cycle, a node is recurring, or a node id is in use by an unsettled task.
+   * @throws {QueueFullError} If the graph does not fit in the queue and the overflow policy is to throw.
+   * @throws {ShutdownError} If the queue was shut down.
+   * @public
    */
-  getOptions() {
-    return this.#options;
+  async runGraph(graph, options = {}) {
+    if (!options || typeof options !== "object") {
+      throw new Error('The "options" parameter must be an object');
+    }
+
+    if ("id" in options) {
+      throw new Error('The "id" option cannot be shared by multiple callbacks');
+    }
+
+    const nodes = sortGraph(graph).map(([id, node]) => {
+      if (this.#tasks.has(id)) {
+        throw new Error(`A task with id "${id}" is already in the queue`);
+      }
+
+      const { callback, ...nodeOptions } = node;
+      return { callback, options: { ...options, ...nodeOptions, id } };
+    });
+
+    // Check every node beforehand, so that the graph is added all or none
+    const parsed = nodes.map((node) => this.#parseEnqueueOptions(node.options));
+    if (parsed.some(({ every }) => every !== null)) {
+      throw new Error('The "every" option cannot be used in a graph');
+    }
+
+    if (
+      this.#options.overflow === OverflowPolicy.THROW &&
+      this.getPendingCount() + nodes.length > this.#options.maxPending
+    ) {
+      throw this.#rejectOverflow(null);
+    }
+
+    // Dependencies settle before their dependents start, so their values are in by then
+    const values = {};
+    const handles = nodes.map(({ callback }, index) => {
+      const { id, dependsOn } = parsed[index];
+      const run = (signal) =>
+        callback(
+          signal,
+          Object.fromEntries(
+            dependsOn
+              .filter((dependency) => dependency in values)
+              .map((dependency) => [dependency, values[dependency]]),
+          ),
+        );
+
+      const handle = this.enqueue(run, parsed[index]);
+      handle.promise.then((value) => {
+        values[id] = value;
+      }, noop);
+      return handle;
+    });
+
+    const outcomes = await Promise.allSettled(
+      handles.map(({ promise }) => promise),
+    );
+
+    return Object.fromEntries(
+      outcomes.map(({ status, value, reason }, index) => {
+        const { id } = handles[index];
+        return [
+          id,
+          status === "fulfilled" ? { id, value } : { id, error: reason },
+        ];
+      }),
+    );
   }
 
   /********************************************/
-  /** Queue Operations ************************/
+  /** Persistence *****************************/
 
   /**
-   * Adds a callback to the queue, if autoStart is enabled the queue execution starts.
-   * You can specify an optional number of retries in case of an error.
+   * Saves the unsettled tasks added with {@link ConcurrentCallbackQueue#dispatch} to the storage right away.
    *
-   * @param {Function} callback - The callback function to add to the queue.
-   * @param {number} [retries=0] - Number of retry attempts in case of an error (optional).
-   * @returns {void}
-   * @throws {Error} If the callback is not a function or retries is not a number.
+   * The queue already saves them whenever they change, this is only needed to know when the storage is up to date.
    *
+   * @returns {Promise<void>} Resolves once the tasks are saved, or rejects with the error of the storage.
+   * @throws {Error} If the queue has no storage.
    * @public
    */
-  enqueue(callback, retries = 0) {
-    if (typeof callback !== "function") {
-      throw new Error(
-        'The "callback" parameter must be a function or a promise',
-      );
-    }
-
-    if (typeof retries !== "number" || retries < 0) {
-      throw new Error('The "retries" parameter must be a positive number');
+  save() {
+    if (this.#options.storage === null) {
+      throw new Error('The "storage" option must be set to save tasks');
     }
 
-    this.#pending.push({ callback, retries });
-    if (this.#options.autoStart) {
-      this.start();
-    }
+    return this.#save();
   }
 
   /**
-   * Adds multiple callbacks to the queue, if autoStart is enabled the queue execution starts.
-   * You can specify an optional number of retry attempts in case of an error.
+   * Adds the tasks saved to the storage back to the queue, typically right after creating it, once the app restarts.
    *
-   * @param {Array<Function>} callbacks - The array of callback functions to add to the queue.
-   * @param {number} [retries=0] - Number of retry attempts in case of an error for all callbacks (optional).
-   * @returns {void}
-   * @throws {Error} If callbacks is not an array of functions or retries is not a number.
+   * Tasks keep their identifier, priority, key, group, start time and interval, along with the number of retries they had left.
+   * Those that were running when the tasks were saved are run again, so handlers should be safe to run more than once.
+   * Saved tasks whose identifier is already in use by an unsettled task are skipped, so restoring twice does not duplicate them.
+   *
+   * @example
+   * const queue = new ConcurrentCallbackQueue({ handlers, storage: new WebStorage('uploads') });
+   * const handles = await queue.restore();
+   * console.log(`Resumed ${handles.length} uploads`);
    *
+   * @returns {Promise<Array<TaskHandle>>} Resolves with the handles of the restored tasks.
+   * @throws {Error} If the queue has no storage, the storage does not hold an array, or any saved task has no registered handler.
    * @public
    */
-  enqueueAll(callbacks, retries = 0) {
-    if (
-      !Array.isArray(callbacks) ||
-      !callbacks.every((callback) => typeof callback === "function")
-    ) {
-      throw new Error(
-        'The "callbacks" parameter must be an array of functions or promises',
-      );
+  async restore() {
+    const { storage, handlers } = this.#options;
+    if (storage === null) {
+      throw new Error('The "storage" option must be set to restore tasks');
     }
 
-    if (typeof retries !== "number" || retries < 0) {
-      throw new Error('The "retries" parameter must be a positive number');
+    const records = await storage.load();
+    if (!Array.isArray(records)) {
+      throw new Error("The storage must hold an array of tasks");
     }
 
-    // Map callbacks to a <function, number> tuple to store the number of retries
-    const tuples = callbacks.map((callback) => ({ callback, retries }));
-    this.#pending.push(...tuples);
-
-    if (this.#options.autoStart) {
-      this.start();
+    // Check every task beforehand, so that they are restored all or none
+    const missing = records.find(
+      ({ handler }) => typeof handlers[handler] !== "function",
+    );
+    if (missing) {
+      throw new Error(`The "${missing.handler}" handler is not registered`);
     }
+
+    return records
+      .filter(({ id }) => !this.#tasks.has(id))
+      .map(({ handler, payload, ...options }) =>
+        this.dispatch(handler, payload, options),
+      );
   }
 
+  /********************************************/
+  /** Groups **********************************/
+
   /**
-   * Removes a pending callback from the queue without stopping execution.
+   * Pauses a group, its pending callbacks are not started until the group is resumed.
+   * Running callbacks of the group are left to finish, and callbacks of other groups keep running.
    *
-   * @return {CallbackTuple|undefined} Removed callback tuple or undefined if the queue is empty.
+   * Note that the queue does not become idle while a paused group has pending callbacks.
+   *
+   * @param {string|number} group - The group to pause.
+   * @returns {void}
    * @public
    */
-  dequeue() {
-    return this.#pending.shift();
+  pauseGroup(group) {
+    this.#pausedGroups.add(toGroupName(group));
   }
 
   /**
-   * Removes all pending callbacks from the queue without stopping the queue execution.
+   * Resumes a paused group, starting its pending callbacks as the limits allow.
    *
-   * @returns {Array<CallbackTuple>} List of pending callbacks
+   * @param {string|number} group - The group to resume.
+   * @returns {void}
    * @public
    */
-  dequeueAll() {
-    const queue = this.#pending;
-    this.#pending = [];
-    return queue;
+  resumeGroup(group) {
+    this.#pausedGroups.delete(toGroupName(group));
+    this.#run();
+  }
+
+  /**
+   * Removes all pending callbacks of a group from the queue, including those waiting to be retried, for their start time or for their dependencies.
+   * The handles of the removed callbacks are rejected.
+   *
+   * @param {string|number} group - The group to clear.
+   * @returns {Array<CallbackTuple>} List of pending callbacks of the group
+   * @public
+   */
+  clearGroup(group) {
+    const name = toGroupName(group);
+    const inGroup = (task) => task.group === name;
+    const queue = [
+      ...this.#pending.clearGroup(name),
+      ...[...this.#retrying.keys(), ...this.#scheduled.keys()].filter(inGroup),
+      ...this.#takeBlocked(inGroup),
+    ];
+    const tuples = queue.map((task) => this.#discardTask(task));
+
+    // Tasks of other groups that run anyway once their dependencies settle may have become pending
+    this.#run();
+
+    return tuples;
+  }
+
+  /**
+   * Returns the counts and status of a group.
+   *
+   * @param {string|number} group - The group to check.
+   * @returns {GroupInfo}
+   * @public
+   */
+  getGroup(group) {
+    const name = toGroupName(group);
+    const waiting = [
+      ...this.#retrying.keys(),
+      ...this.#scheduled.keys(),
+      ...this.#blocked,
+    ].filter((task) => task.group === name);
+
+    return {
+      pending: this.#pending.sizeOf(name) + waiting.length,
+      running: this.#groupRunning.get(name) ?? 0,
+      paused: this.#pausedGroups.has(name),
+      maxConcurrent: this.#getGroupLimit(name),
+      circuit: this.getCircuitState(name),
+    };
   }
 
   /********************************************/
@@ -580,16 +3788,29 @@ class ConcurrentCallbackQueue {
    *
    * If the queue is stopped at any point and then restarted,
    * the execution resumes from the last pending callback.
+   * A paused queue is resumed, while a queue that was shut down can't be started again.
    *
    * @returns {void}
    * @public
    */
   start() {
-    if (this.#state === QueueState.BUSY || this.#pending.length === 0) {
+    if (this.#shutDown) {
+      return;
+    }
+
+    if (this.#isPaused()) {
+      this.resume();
       return;
     }
 
-    this.#setState(QueueState.BUSY);
+    if (this.#state !== QueueState.BUSY) {
+      if (this.getPendingCount() === 0) {
+        return;
+      }
+
+      this.#setState(QueueState.BUSY);
+    }
+
     this.#run();
   }
 
@@ -605,23 +3826,333 @@ class ConcurrentCallbackQueue {
    * @public
    */
   stop() {
+    clearTimeout(this.#rateTimer);
+    this.#rateTimer = null;
+
     this.#setState(QueueState.STOPPED);
   }
 
+  /**
+   * Pauses the execution of the queue, waiting for the running callbacks to settle.
+   *
+   * Unlike {@link ConcurrentCallbackQueue#stop}, the queue goes to PAUSING state while callbacks are still running,
+   * and to PAUSED once they all settled. Pending callbacks are kept, and no further callbacks are started
+   * until the queue is resumed, even if autoStart is enabled.
+   *
+   * @example
+   * pauseButton.addEventListener('click', async () => {
+   *   status.textContent = 'Pausing...';
+   *   await queue.pause();
+   *   status.textContent = 'Paused';
+   * });
+   *
+   * @returns {Promise<void>} Resolves once the queue is PAUSED, or no longer pausing if it was resumed, stopped or cleared meanwhile.
+   * @public
+   */
+  pause() {
+    if (!this.#isPaused()) {
+      clearTimeout(this.#rateTimer);
+      this.#rateTimer = null;
+
+      this.#setState(QueueState.PAUSING);
+      this.#idleIfDone();
+    }
+
+    return this.#waitFor(() => this.#state !== QueueState.PAUSING);
+  }
+
+  /**
+   * Resumes the execution of a paused or pausing queue, starting pending callbacks as the limits allow.
+   * It has no effect on queues that are not paused, see {@link ConcurrentCallbackQueue#start} for stopped queues.
+   *
+   * @returns {void}
+   * @public
+   */
+  resume() {
+    if (!this.#isPaused() || this.#shutDown) {
+      return;
+    }
+
+    const hasWork = this.getPendingCount() > 0 || this.#running.size > 0;
+    this.#setState(hasWork ? QueueState.BUSY : QueueState.IDLE);
+    this.#run();
+  }
+
   /**
    * Stops the execution of the queue and removes all pending callbacks from it.
    *
+   * By default, callbacks that are already running are left to finish,
+   * set `abortRunning` to also cancel them as {@link ConcurrentCallbackQueue#cancel} would.
+   *
+   * @param {Object} [options] - Clear options.
+   * @param {boolean} [options.abortRunning=false] - Whether to abort running callbacks.
    * @returns {Array<CallbackTuple>} List of pending callbacks
    * @public
    */
-  clear() {
+  clear({ abortRunning = false } = {}) {
     this.stop();
+
+    if (abortRunning) {
+      for (const task of [...this.#running.values()]) {
+        this.#cancelTask(task, new AbortError("The queue was aborted"));
+      }
+    }
+
     return this.dequeueAll();
   }
+
+  /**
+   * Stops the execution of the queue, removes all pending callbacks from it and aborts running callbacks.
+   *
+   * @returns {Array<CallbackTuple>} List of pending callbacks
+   * @see ConcurrentCallbackQueue#clear
+   * @public
+   */
+  abort() {
+    return this.clear({ abortRunning: true });
+  }
+
+  /**
+   * Shuts the queue down gracefully, as a process would before exiting.
+   *
+   * From then on, adding callbacks throws a {@link ShutdownError} and no further callbacks are started.
+   * Running callbacks are left to settle until the timeout elapses, then aborted if `abortRunning` is set.
+   * Callbacks that never started, including those waiting to be retried, for their start time or for their dependencies, are removed from the queue and their handles rejected.
+   * Callbacks still running are not retried if they fail, nor run again if they are recurring.
+   * If the queue has a storage, the tasks added with {@link ConcurrentCallbackQueue#dispatch} that did not complete are saved to it beforehand,
+   * and it is no longer updated afterward.
+   *
+   * @example
+   * process.on('SIGTERM', async () => {
+   *   const report = await queue.shutdown({ timeout: 10000, abortRunning: true });
+   *   await jobs.release(report.pending.map(({ id }) => id));
+   *   process.exit(0);
+   * });
+   *
+   * @param {Object} [options] - Shutdown options.
+   * @param {number} [options.timeout=Infinity] - Time, in milliseconds, running callbacks are given to settle.
+   * @param {boolean} [options.abortRunning=false] - Whether to abort the callbacks still running once the timeout elapses.
+   * @returns {Promise<ShutdownReport>} Resolves once the running callbacks settled or the timeout elapsed.
+   * @throws {Error} If the timeout is not a positive number.
+   * @public
+   */
+  async shutdown(options = {}) {
+    const { timeout = Infinity, abortRunning = false } = options;
+    if (typeof timeout !== "number" || !(timeout >= 0)) {
+      throw new Error('The "timeout" option must be a positive number');
+    }
+
+    this.#shutDown = true;
+    this.stop();
+    this.#circuitTimers.forEach((timer) => clearTimeout(timer));
+    this.#circuitTimers.clear();
+
+    const running = [...this.#running.values()];
+    let timer = null;
+    const deadline = new Promise((resolve) => {
+      if (Number.isFinite(timeout)) {
+        timer = setTimeout(resolve, timeout);
+      }
+    });
+    await Promise.race([
+      this.#waitFor(() => this.#running.size === 0),
+      deadline,
+    ]);
+    clearTimeout(timer);
+
+    // Callbacks that failed and are waiting to be retried did not complete
+    const completed = running
+      .filter(({ status }) => settledStatuses.includes(status))
+      .map((task) => this.#snapshot(task));
+    const error = new AbortError("The queue was shut down");
+    const unfinished = [...this.#running.values()];
+
+    // The storage keeps every task that did not complete, including those still running, to restore them on the next start
+    const saved =
+      this.#options.storage === null
+        ? null
+        : this.#save(this.#serialize([...this.#tasks.values()])).catch(
+            (saveError) =>
+              this.#events.emit(QueueEvent.STORAGE_ERROR, saveError),
+          );
+
+    // Tasks waiting for their dependencies are handed back too, rather than failed by the aborted ones
+    const blocked = this.#takeBlocked();
+    if (abortRunning) {
+      unfinished.forEach((task) => this.#cancelTask(task, error));
+
+      // Aborted attempts are rejected right away, their tasks settle on the next ticks
+      await this.#waitFor(() => this.#running.size === 0);
+    }
+
+    // Failed callbacks waiting to be retried are handed back along with the pending ones
+    const pending = [
+      ...this.#pending.clear(),
+      ...this.#retrying.keys(),
+      ...this.#scheduled.keys(),
+      ...blocked,
+    ].map((task) => {
+      const info = { ...this.#snapshot(task), callback: task.callback };
+      this.#discardTask(task, error);
+      return info;
+    });
+    this.#idleIfDone();
+    await saved;
+
+    return {
+      completed,
+      aborted: abortRunning
+        ? unfinished.map((task) => this.#snapshot(task))
+        : [],
+      running: abortRunning
+        ? []
+        : unfinished.map((task) => this.#snapshot(task)),
+      pending,
+    };
+  }
 }
 
+/**
+ * Returns an iterator over the items of a sync or async iterable.
+ *
+ * @param {Iterable|AsyncIterable} iterable - The iterable to read.
+ * @returns {Iterator|AsyncIterator} - The iterator.
+ * @throws {Error} If the value is not iterable.
+ * @ignore
+ */
+const getIterator = (iterable) => {
+  if (typeof iterable?.[Symbol.asyncIterator] === "function") {
+    return iterable[Symbol.asyncIterator]();
+  }
+
+  if (typeof iterable?.[Symbol.iterator] === "function") {
+    return iterable[Symbol.iterator]();
+  }
+
+  throw new Error(
+    'The "iterable" parameter must be an iterable or an async iterable',
+  );
+};
+
+/**
+ * Runs a function over every item of an iterable on a new queue, yielding the results as an async iterator.
+ * Each result is either `{ id, value }` or `{ id, error }`, where the id is the index of the item.
+ *
+ * Items are read lazily: no more than maxConcurrent items are read ahead of the results consumed,
+ * so generators and streams can feed the queue without being loaded in memory at once.
+ * If reading the iterable fails, the error is thrown once the results of the items already read are yielded.
+ * Stopping the iteration early aborts the queue and closes the iterable.
+ *
+ * @example
+ * async function* readLines() { ... }
+ * for await (const { value, error } of mapConcurrent(readLines(), (line) => save(line), { maxConcurrent: 5 })) {
+ *   if (error) console.error(error);
+ * }
+ *
+ * @param {Iterable|AsyncIterable} iterable - The items to process.
+ * @param {Function} mapper - Processes an item, receives the item, its index and an AbortSignal.
+ * @param {MapOptions|QueueOptions} [options] - The result order and the options of the underlying queue.
+ * @returns {AsyncIterableIterator<TaskResult>} The results of the mapper.
+ * @throws {Error} If the iterable is not iterable, the mapper is not a function, or any option is invalid.
+ */
+const mapConcurrent = (iterable, mapper, options = {}) => {
+  if (typeof mapper !== "function") {
+    throw new Error('The "mapper" parameter must be a function');
+  }
+
+  const { order = ResultOrder.COMPLETION, ...queueOptions } = options;
+  validateResultOrder(order);
+
+  const source = getIterator(iterable);
+  const queue = new ConcurrentCallbackQueue(queueOptions);
+  const { maxConcurrent } = queue.getOptions();
+
+  // Items read from the source whose result was not consumed yet
+  let unread = 0;
+  let index = 0;
+  let reading = false;
+  let exhausted = false;
+  let results = null;
+
+  const read = () => {
+    if (reading || exhausted || unread >= maxConcurrent) {
+      return;
+    }
+
+    reading = true;
+    new Promise((resolve) => {
+      resolve(source.next());
+    }).then(
+      ({ done, value }) => {
+        reading = false;
+        if (exhausted) {
+          return;
+        }
+
+        if (done) {
+          exhausted = true;
+          results.end();
+          return;
+        }
+
+        const id = index++;
+        const { promise } = queue.enqueue(
+          (signal) => mapper(value, id, signal),
+          { id },
+        );
+        unread++;
+        results.collect(id, promise);
+        read();
+      },
+      (error) => {
+        reading = false;
+        exhausted = true;
+        results.end(error);
+      },
+    );
+  };
+
+  results = new ResultIterator(order === ResultOrder.INPUT, {
+    onRead: () => {
+      unread--;
+      read();
+    },
+    onClose: () => {
+      exhausted = true;
+      queue.abort();
+      new Promise((resolve) => {
+        resolve(source.return?.());
+      }).catch(noop);
+    },
+  });
+  read();
+
+  return results;
+};
+
 module.exports = {
   ConcurrentCallbackQueue,
+  mapConcurrent,
   QueueState,
+  QueueEvent,
+  TaskStatus,
+  DedupeMode,
+  OverflowPolicy,
+  DependencyPolicy,
+  ResultOrder,
+  CircuitState,
+  CircuitPolicy,
+  BackoffStrategy,
+  JitterMode,
+  AbortError,
+  TimeoutError,
+  QueueFullError,
+  ShutdownError,
+  DependencyError,
+  CircuitOpenError,
+  MemoryStorage,
+  WebStorage,
+  IndexedDBStorage,
   defaultQueueOptions,
+  defaultRetryPolicy,
 };
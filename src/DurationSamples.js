@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * Summarizes the durations of the latest attempts.
+ *
+ * @typedef {Object} DurationStats
+ * @property {number} average - Average duration, in milliseconds, of every attempt since the stats were reset.
+ * @property {number} p50 - Median duration, in milliseconds, of the latest attempts.
+ * @property {number} p95 - 95th percentile of the duration, in milliseconds, of the latest attempts.
+ * @property {number} p99 - 99th percentile of the duration, in milliseconds, of the latest attempts.
+ */
+
+/**
+ * Percentiles reported for durations, as fractions of the samples.
+ *
+ * @type {Object<string, number>}
+ * @ignore
+ */
+const percentiles = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+/**
+ * Durations of the latest attempts, kept in a ring buffer along with a running total of every attempt.
+ *
+ * @ignore
+ */
+class DurationSamples {
+  /**
+   * Maximum number of durations kept.
+   *
+   * @type {number}
+   * @private
+   */
+  #size;
+
+  /**
+   * The latest durations, overwritten oldest first once full.
+   *
+   * @type {Array<number>}
+   * @private
+   */
+  #values = [];
+
+  /**
+   * Index the next duration is written to once the buffer is full.
+   *
+   * @type {number}
+   * @private
+   */
+  #next = 0;
+
+  /**
+   * Sum of every duration added.
+   *
+   * @type {number}
+   * @private
+   */
+  #sum = 0;
+
+  /**
+   * Number of durations added.
+   *
+   * @type {number}
+   * @private
+   */
+  #count = 0;
+
+  /**
+   * Creates a new set of duration samples.
+   *
+   * @param {number} size - Maximum number of durations kept.
+   * @class
+   */
+  constructor(size) {
+    this.#size = size;
+  }
+
+  /**
+   * Adds the duration of an attempt.
+   *
+   * @param {number} duration - The duration in milliseconds.
+   * @returns {void}
+   */
+  add(duration) {
+    if (this.#values.length < this.#size) {
+      this.#values.push(duration);
+    } else {
+      this.#values[this.#next] = duration;
+      this.#next = (this.#next + 1) % this.#size;
+    }
+
+    this.#sum += duration;
+    this.#count++;
+  }
+
+  /**
+   * Summarizes the durations, sorting only a copy of the latest ones.
+   *
+   * @returns {DurationStats} The summary, all 0 while there are no durations.
+   */
+  summarize() {
+    const sorted = [...this.#values].sort((a, b) => a - b);
+    const summary = {
+      average: this.#count === 0 ? 0 : this.#sum / this.#count,
+    };
+
+    // Nearest rank, so that every percentile is an actual duration
+    for (const [name, fraction] of Object.entries(percentiles)) {
+      summary[name] =
+        sorted.length === 0
+          ? 0
+          : sorted[Math.ceil(fraction * sorted.length) - 1];
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  DurationSamples,
+};
@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * A minimal event emitter, free of platform specific APIs so that it behaves the same in Node and browsers.
+ *
+ * Listeners are called synchronously, in the order they were added.
+ * Errors thrown by a listener are not caught, they propagate to the code that emitted the event.
+ *
+ * @example
+ * const emitter = new EventEmitter();
+ * emitter.on('done', (result) => console.log(result));
+ * emitter.emit('done', 42); // Logs 42
+ *
+ * @ignore
+ */
+class EventEmitter {
+  /**
+   * Listeners of each event, in the order they were added.
+   *
+   * @type {Map<string, Array<Function>>}
+   * @private
+   */
+  #listeners = new Map();
+
+  /**
+   * Adds a listener for an event.
+   *
+   * @param {string} event - The name of the event.
+   * @param {Function} listener - The function called with the event arguments.
+   * @returns {void}
+   * @throws {Error} If the listener is not a function.
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new Error('The "listener" parameter must be a function');
+    }
+
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, []);
+    }
+
+    this.#listeners.get(event).push(listener);
+  }
+
+  /**
+   * Adds a listener that is removed after being called once.
+   *
+   * @param {string} event - The name of the event.
+   * @param {Function} listener - The function called with the event arguments.
+   * @returns {void}
+   * @throws {Error} If the listener is not a function.
+   */
+  once(event, listener) {
+    if (typeof listener !== "function") {
+      throw new Error('The "listener" parameter must be a function');
+    }
+
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+
+    // Keep a reference to the original listener so that it can be removed before being called
+    wrapper.listener = listener;
+    this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a listener from an event, only the first occurrence is removed if it was added more than once.
+   *
+   * @param {string} event - The name of the event.
+   * @param {Function} listener - The listener to remove.
+   * @returns {boolean} True if the listener was found and removed.
+   */
+  off(event, listener) {
+    const listeners = this.#listeners.get(event) ?? [];
+    const index = listeners.findIndex(
+      (candidate) => candidate === listener || candidate.listener === listener,
+    );
+    if (index < 0) {
+      return false;
+    }
+
+    listeners.splice(index, 1);
+    if (listeners.length === 0) {
+      this.#listeners.delete(event);
+    }
+
+    return true;
+  }
+
+  /**
+   * Calls every listener of an event with the given arguments.
+   *
+   * @param {string} event - The name of the event.
+   * @param {...*} args - The arguments passed to the listeners.
+   * @returns {boolean} True if the event had any listeners.
+   */
+  emit(event, ...args) {
+    // Copy the listeners, as they could be added or removed while being called
+    const listeners = [...(this.#listeners.get(event) ?? [])];
+    for (const listener of listeners) {
+      listener(...args);
+    }
+
+    return listeners.length > 0;
+  }
+
+  /**
+   * Returns the number of listeners of an event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {number} The number of listeners.
+   */
+  listenerCount(event) {
+    return this.#listeners.get(event)?.length ?? 0;
+  }
+}
+
+module.exports = {
+  EventEmitter,
+};
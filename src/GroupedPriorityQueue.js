@@ -0,0 +1,234 @@
+"use strict";
+
+const { PriorityQueue } = require("./PriorityQueue");
+
+/**
+ * A priority queue split in groups, each one kept in its own binary heap.
+ *
+ * Items are taken out in the same order as from a single {@link PriorityQueue},
+ * but whole groups can be skipped, so that items of other groups are taken out instead.
+ * Taking an item out takes time linear on the number of groups, and logarithmic on the number of items.
+ *
+ * @example
+ * const queue = new GroupedPriorityQueue((a, b) => b.priority - a.priority, (item) => item.host);
+ * queue.push({ priority: 5, host: 'a.com' });
+ * queue.push({ priority: 1, host: 'b.com' });
+ * queue.pop((host) => host !== 'a.com'); // { priority: 1, host: 'b.com' }
+ *
+ * @ignore
+ */
+class GroupedPriorityQueue {
+  /**
+   * Heap of each group holding items, by group.
+   *
+   * @type {Map<*, PriorityQueue>}
+   * @private
+   */
+  #heaps = new Map();
+
+  /**
+   * Number of items in the queue.
+   *
+   * @type {number}
+   * @private
+   */
+  #size = 0;
+
+  /**
+   * Compares two items, returning a negative number if the first one should be taken out first.
+   *
+   * @type {Function}
+   * @private
+   */
+  #compare;
+
+  /**
+   * Returns the group of an item.
+   *
+   * @type {Function}
+   * @private
+   */
+  #getGroup;
+
+  /**
+   * Creates a new grouped priority queue.
+   *
+   * @param {Function} compare - Compares two items, returns a negative number if the first one should be taken out first,
+   * a positive number if the second one should, or 0 to keep insertion order.
+   * @param {Function} getGroup - Returns the group of an item, any value can be used as a group.
+   * @class
+   */
+  constructor(compare, getGroup) {
+    this.#compare = compare;
+    this.#getGroup = getGroup;
+  }
+
+  /**
+   * Number of items in the queue.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Returns the number of items of a group.
+   *
+   * @param {*} group - The group to count.
+   * @returns {number} The number of items in the group.
+   */
+  sizeOf(group) {
+    return this.#heaps.get(group)?.size ?? 0;
+  }
+
+  /**
+   * Adds an item to the queue.
+   *
+   * @param {*} item - The item to add.
+   * @returns {void}
+   */
+  push(item) {
+    const group = this.#getGroup(item);
+    if (!this.#heaps.has(group)) {
+      this.#heaps.set(group, new PriorityQueue(this.#compare));
+    }
+
+    this.#heaps.get(group).push(item);
+    this.#size++;
+  }
+
+  /**
+   * Returns the first item of the queue without removing it.
+   *
+   * @param {Function} [filter] - Returns whether items of the given group can be taken out, all groups can by default.
+   * @returns {*|undefined} The first item among the allowed groups, or undefined if there is none.
+   */
+  peek(filter = () => true) {
+    return this.#selectHeap(filter)?.peek();
+  }
+
+  /**
+   * Removes and returns the first item of the queue.
+   *
+   * @param {Function} [filter] - Returns whether items of the given group can be taken out, all groups can by default.
+   * @returns {*|undefined} The first item among the allowed groups, or undefined if there is none.
+   */
+  pop(filter = () => true) {
+    const heap = this.#selectHeap(filter);
+    const item = heap?.pop();
+    if (heap) {
+      this.#removed(this.#getGroup(item), heap);
+    }
+
+    return item;
+  }
+
+  /**
+   * Removes an item from the queue, wherever it is.
+   *
+   * @param {*} item - The item to remove.
+   * @returns {boolean} True if the item was found and removed.
+   */
+  remove(item) {
+    const group = this.#getGroup(item);
+    const heap = this.#heaps.get(group);
+    if (!heap?.remove(item)) {
+      return false;
+    }
+
+    this.#removed(group, heap);
+    return true;
+  }
+
+  /**
+   * Checks if an item is in the queue.
+   *
+   * @param {*} item - The item to look for.
+   * @returns {boolean} True if the item is in the queue.
+   */
+  has(item) {
+    return Boolean(this.#heaps.get(this.#getGroup(item))?.has(item));
+  }
+
+  /**
+   * Returns all items in the order they would be taken out, without removing them.
+   *
+   * @returns {Array<*>} The ordered items.
+   */
+  toArray() {
+    return [...this.#heaps.values()]
+      .flatMap((heap) => heap.toArray())
+      .sort(this.#compare);
+  }
+
+  /**
+   * Removes all items from the queue.
+   *
+   * @returns {Array<*>} The removed items, in the order they would have been taken out.
+   */
+  clear() {
+    const items = this.toArray();
+    this.#heaps.clear();
+    this.#size = 0;
+    return items;
+  }
+
+  /**
+   * Removes all items of a group from the queue.
+   *
+   * @param {*} group - The group to clear.
+   * @returns {Array<*>} The removed items, in the order they would have been taken out.
+   */
+  clearGroup(group) {
+    const heap = this.#heaps.get(group);
+    if (!heap) {
+      return [];
+    }
+
+    this.#heaps.delete(group);
+    this.#size -= heap.size;
+    return heap.clear();
+  }
+
+  /**
+   * Finds the heap holding the first item among the allowed groups.
+   *
+   * @param {Function} filter - Returns whether items of the given group can be taken out.
+   * @returns {PriorityQueue|null} The heap, or null if no allowed group holds any item.
+   * @private
+   */
+  #selectHeap(filter) {
+    let selected = null;
+    for (const [group, heap] of this.#heaps) {
+      if (
+        filter(group) &&
+        (!selected || this.#compare(heap.peek(), selected.peek()) < 0)
+      ) {
+        selected = heap;
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Accounts for an item removed from the heap of a group.
+   * Heaps are dropped once empty, so that empty groups are not checked when taking items out.
+   *
+   * @param {*} group - The group of the heap.
+   * @param {PriorityQueue} heap - The heap of the group.
+   * @returns {void}
+   * @private
+   */
+  #removed(group, heap) {
+    this.#size--;
+    if (heap.size === 0) {
+      this.#heaps.delete(group);
+    }
+  }
+}
+
+module.exports = {
+  GroupedPriorityQueue,
+};
@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * Number of children of each node of the heap.
+ *
+ * @type {number}
+ * @ignore
+ */
+const ARITY = 2;
+
+/**
+ * A binary heap based priority queue.
+ *
+ * Items are ordered by the comparator given on creation, ties are broken by insertion order
+ * so that items with the same priority are taken out in the same order they were put in.
+ * Insertion and removal of the first item take logarithmic time.
+ *
+ * @example
+ * const queue = new PriorityQueue((a, b) => b.priority - a.priority);
+ * queue.push({ priority: 1, name: 'low' });
+ * queue.push({ priority: 5, name: 'high' });
+ * queue.pop(); // { priority: 5, name: 'high' }
+ *
+ * @ignore
+ */
+class PriorityQueue {
+  /**
+   * Heap entries, each one holding an item along with its insertion order.
+   *
+   * @type {Array<{item: *, sequence: number}>}
+   * @private
+   */
+  #heap = [];
+
+  /**
+   * Insertion order assigned to the next item.
+   *
+   * @type {number}
+   * @private
+   */
+  #sequence = 0;
+
+  /**
+   * Compares two items, returning a negative number if the first one should be taken out first.
+   *
+   * @type {Function}
+   * @private
+   */
+  #compare;
+
+  /**
+   * Creates a new priority queue.
+   *
+   * @param {Function} compare - Compares two items, returns a negative number if the first one should be taken out first,
+   * a positive number if the second one should, or 0 to keep insertion order.
+   * @class
+   */
+  constructor(compare) {
+    this.#compare = compare;
+  }
+
+  /**
+   * Number of items in the queue.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.#heap.length;
+  }
+
+  /**
+   * Adds an item to the queue.
+   *
+   * @param {*} item - The item to add.
+   * @returns {void}
+   */
+  push(item) {
+    this.#heap.push({ item, sequence: this.#sequence++ });
+    this.#siftUp(this.#heap.length - 1);
+  }
+
+  /**
+   * Returns the first item of the queue without removing it.
+   *
+   * @returns {*|undefined} The first item, or undefined if the queue is empty.
+   */
+  peek() {
+    return this.#heap[0]?.item;
+  }
+
+  /**
+   * Removes and returns the first item of the queue.
+   *
+   * @returns {*|undefined} The first item, or undefined if the queue is empty.
+   */
+  pop() {
+    return this.#removeAt(0);
+  }
+
+  /**
+   * Removes an item from the queue, wherever it is.
+   *
+   * @param {*} item - The item to remove.
+   * @returns {boolean} True if the item was found and removed.
+   */
+  remove(item) {
+    const index = this.#heap.findIndex((entry) => entry.item === item);
+    if (index < 0) {
+      return false;
+    }
+
+    this.#removeAt(index);
+    return true;
+  }
+
+  /**
+   * Checks if an item is in the queue.
+   *
+   * @param {*} item - The item to look for.
+   * @returns {boolean} True if the item is in the queue.
+   */
+  has(item) {
+    return this.#heap.some((entry) => entry.item === item);
+  }
+
+  /**
+   * Returns all items in the order they would be taken out, without removing them.
+   *
+   * @returns {Array<*>} The ordered items.
+   */
+  toArray() {
+    return [...this.#heap]
+      .sort((a, b) => this.#compareEntries(a, b))
+      .map((entry) => entry.item);
+  }
+
+  /**
+   * Removes all items from the queue.
+   *
+   * @returns {Array<*>} The removed items, in the order they would have been taken out.
+   */
+  clear() {
+    const items = this.toArray();
+    this.#heap = [];
+    return items;
+  }
+
+  /**
+   * Compares two heap entries, falling back to insertion order on ties.
+   *
+   * @param {{item: *, sequence: number}} a - The first entry.
+   * @param {{item: *, sequence: number}} b - The second entry.
+   * @returns {number} A negative number if the first entry goes first, a positive number otherwise.
+   * @private
+   */
+  #compareEntries(a, b) {
+    return this.#compare(a.item, b.item) || a.sequence - b.sequence;
+  }
+
+  /**
+   * Removes the entry at the given position, restoring the heap order.
+   *
+   * @param {number} index - Position of the entry to remove.
+   * @returns {*|undefined} The removed item, or undefined if there is no such entry.
+   * @private
+   */
+  #removeAt(index) {
+    const entry = this.#heap[index];
+    const last = this.#heap.pop();
+    if (entry && entry !== last) {
+      this.#heap[index] = last;
+      this.#siftDown(index);
+      this.#siftUp(index);
+    }
+
+    return entry?.item;
+  }
+
+  /**
+   * Moves an entry up the heap until its parent goes before it.
+   *
+   * @param {number} start - Position of the entry to move.
+   * @returns {void}
+   * @private
+   */
+  #siftUp(start) {
+    let index = start;
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / ARITY);
+      if (this.#compareEntries(this.#heap[index], this.#heap[parent]) >= 0) {
+        return;
+      }
+
+      this.#swap(index, parent);
+      index = parent;
+    }
+  }
+
+  /**
+   * Moves an entry down the heap until it goes before its children.
+   *
+   * @param {number} start - Position of the entry to move.
+   * @returns {void}
+   * @private
+   */
+  #siftDown(start) {
+    let index = start;
+    for (;;) {
+      let first = index;
+      for (
+        let child = index * ARITY + 1;
+        child <= index * ARITY + ARITY;
+        child++
+      ) {
+        if (
+          child < this.#heap.length &&
+          this.#compareEntries(this.#heap[child], this.#heap[first]) < 0
+        ) {
+          first = child;
+        }
+      }
+
+      if (first === index) {
+        return;
+      }
+
+      this.#swap(index, first);
+      index = first;
+    }
+  }
+
+  /**
+   * Swaps two entries of the heap.
+   *
+   * @param {number} a - Position of the first entry.
+   * @param {number} b - Position of the second entry.
+   * @returns {void}
+   * @private
+   */
+  #swap(a, b) {
+    [this.#heap[a], this.#heap[b]] = [this.#heap[b], this.#heap[a]];
+  }
+}
+
+module.exports = {
+  PriorityQueue,
+};
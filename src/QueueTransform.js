@@ -0,0 +1,318 @@
+"use strict";
+
+/*
+ * Node.js stream adapter, kept apart from the main entry so that the queue stays free of platform specific APIs.
+ * Import it from "@diomeh/concurrent_callback_queue/src/QueueTransform".
+ */
+
+const { Transform } = require("stream");
+const {
+  ConcurrentCallbackQueue,
+  ResultOrder,
+} = require("./ConcurrentCallbackQueue");
+
+/**
+ * Defines the options of a {@link QueueTransform}, any other {@link QueueOptions} is passed to the queue it creates.
+ *
+ * @typedef {Object} QueueTransformOptions
+ * @property {string} [order] - Order in which results are pushed, one of {@link ResultOrder}. Defaults to input order.
+ * @property {number} [retries] - Number of retry attempts of each chunk in case of an error. Defaults to 0.
+ * @property {ConcurrentCallbackQueue} [queue] - Queue to run the chunks on, shared with other producers. A new queue is created by default.
+ * @property {AbortSignal} [signal] - Destroys the stream when aborted.
+ */
+
+/**
+ * Number of chunks buffered by object mode streams, used when the queue has no concurrency limit.
+ *
+ * @type {number}
+ * @ignore
+ */
+const defaultHighWaterMark = 16;
+
+/**
+ * A Transform stream that runs each chunk through an async function on a {@link ConcurrentCallbackQueue}.
+ *
+ * The stream works in object mode. Up to maxConcurrent chunks are processed at once, further writes wait for a free slot,
+ * which makes maxConcurrent the high-water mark of the stream. Results that are null or undefined are skipped.
+ *
+ * A chunk that fails, once its retries are exhausted, destroys the stream with its error right away, even when ordered.
+ * Destroying the stream, as pipelines do when another stream fails or their signal is aborted, cancels the chunks in progress.
+ *
+ * @example
+ * const { pipeline } = require('stream/promises');
+ * const { QueueTransform } = require('@diomeh/concurrent_callback_queue/src/QueueTransform');
+ *
+ * await pipeline(
+ *   readRecords(),
+ *   new QueueTransform((record, signal) => enrich(record, { signal }), { maxConcurrent: 5 }),
+ *   writeRecords(),
+ * );
+ */
+class QueueTransform extends Transform {
+  /**
+   * Queue running the chunks.
+   *
+   * @type {ConcurrentCallbackQueue}
+   * @private
+   */
+  #queue;
+
+  /**
+   * Processes a chunk, receives the chunk and an AbortSignal.
+   *
+   * @type {Function}
+   * @private
+   */
+  #transform;
+
+  /**
+   * Whether results are pushed in the order chunks were written rather than as they settle.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #ordered;
+
+  /**
+   * Number of retry attempts of each chunk in case of an error.
+   *
+   * @type {number}
+   * @private
+   */
+  #retries;
+
+  /**
+   * Maximum number of chunks processed at once.
+   *
+   * @type {number}
+   * @private
+   */
+  #limit;
+
+  /**
+   * Chunks written and not pushed yet, in the order they were written.
+   *
+   * @type {Array<Object>}
+   * @private
+   */
+  #entries = [];
+
+  /**
+   * Ids of the tasks of the stream that have not settled yet.
+   *
+   * @type {Set<string|number>}
+   * @private
+   */
+  #tasks = new Set();
+
+  /**
+   * Write callback held back until a slot frees up.
+   *
+   * @type {Function|null}
+   * @private
+   */
+  #resumeWrite = null;
+
+  /**
+   * Flush callback held back until every chunk is pushed.
+   *
+   * @type {Function|null}
+   * @private
+   */
+  #resumeFlush = null;
+
+  /**
+   * Creates a new queue transform.
+   *
+   * @param {Function} transform - Processes a chunk, receives the chunk and an AbortSignal, returns the result or a promise of it.
+   * @param {QueueTransformOptions|QueueOptions} [options] - Options of the stream and of the queue it creates.
+   * @throws {Error} If the transform is not a function, the order or retries are invalid, or any queue option is invalid.
+   * @class
+   */
+  constructor(transform, options = {}) {
+    if (typeof transform !== "function") {
+      throw new Error('The "transform" parameter must be a function');
+    }
+
+    const {
+      order = ResultOrder.INPUT,
+      retries = 0,
+      queue = null,
+      signal = null,
+      ...queueOptions
+    } = options;
+    if (!Object.values(ResultOrder).includes(order)) {
+      throw new Error('The "order" option is invalid');
+    }
+
+    if (typeof retries !== "number" || retries < 0) {
+      throw new Error('The "retries" option must be a positive number');
+    }
+
+    const target = queue ?? new ConcurrentCallbackQueue(queueOptions);
+    const { maxConcurrent } = target.getOptions();
+    const limit = Number.isFinite(maxConcurrent)
+      ? maxConcurrent
+      : defaultHighWaterMark;
+
+    super({
+      objectMode: true,
+      highWaterMark: limit,
+      ...(signal && { signal }),
+    });
+
+    this.#queue = target;
+    this.#transform = transform;
+    this.#ordered = order === ResultOrder.INPUT;
+    this.#retries = retries;
+    this.#limit = limit;
+  }
+
+  /**
+   * Adds a chunk to the queue, and waits for a free slot before accepting the next one.
+   *
+   * @param {*} chunk - The chunk to process.
+   * @param {string} encoding - Unused, the stream works in object mode.
+   * @param {Function} callback - Called once the stream can accept another chunk.
+   * @returns {void}
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    const handle = this.#enqueue(chunk, callback);
+    if (handle === null) {
+      return;
+    }
+
+    const entry = { settled: false, failed: false, result: null };
+    const { id, promise } = handle;
+    this.#entries.push(entry);
+    this.#tasks.add(id);
+    promise.then(
+      (result) => this.#settle(id, Object.assign(entry, { result })),
+      (error) =>
+        this.#settle(id, Object.assign(entry, { failed: true, result: error })),
+    );
+
+    if (this.#entries.length < this.#limit) {
+      callback();
+    } else {
+      this.#resumeWrite = callback;
+    }
+  }
+
+  /**
+   * Waits for every chunk to be pushed before ending the stream.
+   *
+   * @param {Function} callback - Called once every chunk is pushed.
+   * @returns {void}
+   * @private
+   */
+  _flush(callback) {
+    if (this.#entries.length === 0) {
+      callback();
+    } else {
+      this.#resumeFlush = callback;
+    }
+  }
+
+  /**
+   * Cancels the chunks in progress when the stream is destroyed.
+   *
+   * @param {Error|null} error - The error the stream is destroyed with, if any.
+   * @param {Function} callback - Called once the stream is destroyed.
+   * @returns {void}
+   * @private
+   */
+  _destroy(error, callback) {
+    for (const id of this.#tasks) {
+      this.#queue.cancel(id);
+    }
+
+    callback(error);
+  }
+
+  /**
+   * Adds the task of a chunk to the queue.
+   *
+   * A queue that refuses the chunk, because it was shut down or is full, fails the stream with its error.
+   *
+   * @param {*} chunk - The chunk to process.
+   * @param {Function} callback - Called with the error the queue threw, if any.
+   * @returns {TaskHandle|null} The handle of the task, or null if the queue refused it.
+   * @private
+   */
+  #enqueue(chunk, callback) {
+    try {
+      return this.#queue.enqueue(
+        (signal) => this.#transform(chunk, signal),
+        this.#retries,
+      );
+    } catch (error) {
+      callback(error);
+      return null;
+    }
+  }
+
+  /**
+   * Records the outcome of a chunk and pushes the results that are ready.
+   *
+   * @param {string|number} id - The id of the task of the chunk.
+   * @param {Object} entry - The entry of the chunk, with its outcome.
+   * @returns {void}
+   * @private
+   */
+  #settle(id, entry) {
+    this.#tasks.delete(id);
+    entry.settled = true;
+    if (this.destroyed) {
+      return;
+    }
+
+    // Failures are not held back, the chunks before them might never settle
+    if (entry.failed) {
+      this.destroy(entry.result);
+      return;
+    }
+
+    // Results are pushed in order, as soon as every chunk written before them settled
+    const unsettled = this.#entries.findIndex(({ settled }) => !settled);
+    const ready = this.#ordered
+      ? this.#entries.splice(
+          0,
+          unsettled < 0 ? this.#entries.length : unsettled,
+        )
+      : this.#entries.splice(this.#entries.indexOf(entry), 1);
+
+    for (const { result } of ready) {
+      if (result !== null && typeof result !== "undefined") {
+        this.push(result);
+      }
+    }
+
+    this.#resume();
+  }
+
+  /**
+   * Resumes the write or flush held back, if there is room for it now.
+   *
+   * @returns {void}
+   * @private
+   */
+  #resume() {
+    const write = this.#resumeWrite;
+    if (write && this.#entries.length < this.#limit) {
+      this.#resumeWrite = null;
+      write();
+    }
+
+    const flush = this.#resumeFlush;
+    if (flush && this.#entries.length === 0) {
+      this.#resumeFlush = null;
+      flush();
+    }
+  }
+}
+
+module.exports = {
+  QueueTransform,
+};
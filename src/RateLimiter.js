@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * Defines how many callbacks can be started within a time interval.
+ *
+ * @typedef {Object} RateLimit
+ * @property {number} limit - Number of callbacks that can be started per interval.
+ * @property {number} interval - Length of the interval in milliseconds.
+ * @property {number} [burst=1] - Number of callbacks that can be started at once, before falling back to a steady pace of limit per interval.
+ */
+
+/**
+ * A token bucket rate limiter.
+ *
+ * The bucket holds up to `burst` tokens and starts full, each callback takes a token to start,
+ * and tokens are refilled at a steady pace of `limit` per `interval`.
+ *
+ * @example
+ * const limiter = new RateLimiter({ limit: 50, interval: 60000 });
+ * if (limiter.tryAcquire()) {
+ *   // Start a callback
+ * } else {
+ *   setTimeout(retry, limiter.getDelay());
+ * }
+ *
+ * @ignore
+ */
+class RateLimiter {
+  /**
+   * Maximum number of tokens the bucket can hold.
+   *
+   * @type {number}
+   * @private
+   */
+  #capacity;
+
+  /**
+   * Number of tokens refilled per millisecond.
+   *
+   * @type {number}
+   * @private
+   */
+  #rate;
+
+  /**
+   * Number of tokens currently in the bucket, can be fractional between refills.
+   *
+   * @type {number}
+   * @private
+   */
+  #tokens;
+
+  /**
+   * Timestamp of the last refill.
+   *
+   * @type {number}
+   * @private
+   */
+  #refilledAt;
+
+  /**
+   * Creates a new rate limiter.
+   *
+   * @param {RateLimit} rateLimit - The rate limit to enforce.
+   * @class
+   */
+  constructor({ limit, interval, burst = 1 }) {
+    this.#capacity = burst;
+    this.#rate = limit / interval;
+    this.#tokens = burst;
+    this.#refilledAt = Date.now();
+  }
+
+  /**
+   * Checks that a rate limit is well formed.
+   *
+   * @param {RateLimit|Object} rateLimit - The rate limit to check.
+   * @returns {void}
+   * @throws {Error} If the rate limit is not an object or any of its properties is invalid.
+   * @static
+   */
+  static validate(rateLimit) {
+    if (!rateLimit || typeof rateLimit !== "object") {
+      throw new Error('The "rateLimit" option must be an object');
+    }
+
+    const { limit, interval, burst = 1 } = rateLimit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(
+        'The "rateLimit.limit" option must be a positive integer',
+      );
+    }
+
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new Error(
+        'The "rateLimit.interval" option must be a positive number',
+      );
+    }
+
+    if (!Number.isInteger(burst) || burst < 1) {
+      throw new Error(
+        'The "rateLimit.burst" option must be a positive integer',
+      );
+    }
+  }
+
+  /**
+   * Takes a token from the bucket, if there is one.
+   *
+   * @returns {boolean} True if a token was taken and a callback can be started.
+   */
+  tryAcquire() {
+    this.#refill();
+    if (this.#tokens < 1) {
+      return false;
+    }
+
+    this.#tokens--;
+    return true;
+  }
+
+  /**
+   * Returns how long until a token is available.
+   *
+   * @returns {number} Time in milliseconds, 0 if a token is available now.
+   */
+  getDelay() {
+    this.#refill();
+    return this.#tokens >= 1 ? 0 : Math.ceil((1 - this.#tokens) / this.#rate);
+  }
+
+  /**
+   * Adds the tokens earned since the last refill, up to the bucket capacity.
+   *
+   * @returns {void}
+   * @private
+   */
+  #refill() {
+    const now = Date.now();
+    this.#tokens = Math.min(
+      this.#capacity,
+      this.#tokens + (now - this.#refilledAt) * this.#rate,
+    );
+    this.#refilledAt = now;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+};
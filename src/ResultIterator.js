@@ -0,0 +1,299 @@
+"use strict";
+
+/**
+ * Outcome of a settled callback, holding either its value or its error.
+ *
+ * @typedef {Object} TaskResult
+ * @property {string|number} id - The id of the task.
+ * @property {*} [value] - The value the callback resolved with, only present if it succeeded.
+ * @property {*} [error] - The error the callback was rejected with, only present if it failed or was cancelled.
+ */
+
+/**
+ * Does nothing, used as default for the optional callbacks.
+ *
+ * @returns {void}
+ * @ignore
+ */
+const noop = () => {};
+
+/**
+ * An async iterator over the outcomes of task promises, yielded in completion or input order.
+ *
+ * Promises are collected as tasks are added, and the iterator finishes once it is ended and every collected promise has been yielded.
+ * Outcomes that are not read yet are buffered.
+ *
+ * @example
+ * const results = new ResultIterator(false);
+ * results.collect(1, Promise.resolve('a'));
+ * results.end();
+ * for await (const { id, value } of results) {
+ *   console.log(id, value); // 1 'a'
+ * }
+ *
+ * @ignore
+ */
+class ResultIterator {
+  /**
+   * Whether outcomes are yielded in the order they were collected rather than as they settle.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #ordered;
+
+  /**
+   * Number of promises collected so far, also the index of the next one.
+   *
+   * @type {number}
+   * @private
+   */
+  #collected = 0;
+
+  /**
+   * Index of the next outcome to release when ordered.
+   *
+   * @type {number}
+   * @private
+   */
+  #released = 0;
+
+  /**
+   * Outcomes of settled tasks held back until those collected before them settle, by collection index.
+   * Only used when ordered.
+   *
+   * @type {Map<number, TaskResult>}
+   * @private
+   */
+  #settled = new Map();
+
+  /**
+   * Outcomes ready to be yielded, in order.
+   *
+   * @type {Array<TaskResult>}
+   * @private
+   */
+  #ready = [];
+
+  /**
+   * Pending calls to next, waiting for an outcome.
+   *
+   * @type {Array<{resolve: Function, reject: Function}>}
+   * @private
+   */
+  #readers = [];
+
+  /**
+   * Number of collected promises that have not settled yet.
+   *
+   * @type {number}
+   * @private
+   */
+  #unsettled = 0;
+
+  /**
+   * Whether no more promises will be collected.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #ended = false;
+
+  /**
+   * Whether the consumer stopped iterating, outcomes are discarded from then on.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #closed = false;
+
+  /**
+   * Error thrown to the consumer once every outcome has been yielded, if the iterator was ended with one.
+   *
+   * @type {*}
+   * @private
+   */
+  #error = null;
+
+  /**
+   * Called every time an outcome is yielded to the consumer.
+   *
+   * @type {Function}
+   * @private
+   */
+  #onRead;
+
+  /**
+   * Called when the consumer stops iterating before the end.
+   *
+   * @type {Function}
+   * @private
+   */
+  #onClose;
+
+  /**
+   * Creates a new result iterator.
+   *
+   * @param {boolean} ordered - Whether outcomes are yielded in the order they were collected rather than as they settle.
+   * @param {Object} [callbacks] - Optional callbacks.
+   * @param {Function} [callbacks.onRead] - Called every time an outcome is yielded to the consumer.
+   * @param {Function} [callbacks.onClose] - Called when the consumer stops iterating before the end.
+   * @class
+   */
+  constructor(ordered, { onRead = noop, onClose = noop } = {}) {
+    this.#ordered = ordered;
+    this.#onRead = onRead;
+    this.#onClose = onClose;
+  }
+
+  /**
+   * Collects the outcome of a task, to be yielded once its promise settles.
+   *
+   * @param {string|number} id - The id of the task.
+   * @param {Promise<*>} promise - The promise of the task.
+   * @returns {void}
+   */
+  collect(id, promise) {
+    if (this.#ended || this.#closed) {
+      return;
+    }
+
+    const index = this.#collected++;
+    this.#unsettled++;
+    promise.then(
+      (value) => this.#settle(index, { id, value }),
+      (error) => this.#settle(index, { id, error }),
+    );
+  }
+
+  /**
+   * Stops collecting promises, the iterator finishes once the outcomes already collected are yielded.
+   *
+   * @param {*} [error] - Error thrown to the consumer after the last outcome, if any.
+   * @returns {void}
+   */
+  end(error = null) {
+    if (this.#ended) {
+      return;
+    }
+
+    this.#ended = true;
+    this.#error = error;
+    this.#flush();
+  }
+
+  /**
+   * Returns the next outcome, waiting for one to be ready if needed.
+   *
+   * @returns {Promise<IteratorResult<TaskResult>>} Resolves with the next outcome, or done once finished.
+   */
+  next() {
+    return new Promise((resolve, reject) => {
+      this.#readers.push({ resolve, reject });
+      this.#flush();
+    });
+  }
+
+  /**
+   * Stops iterating, discarding the outcomes not read yet.
+   * Called by `for await` loops exited early.
+   *
+   * @returns {Promise<IteratorResult<TaskResult>>} Resolves with done.
+   */
+  return() {
+    if (!this.#isFinished()) {
+      this.#closed = true;
+      this.#ready = [];
+      this.#error = null;
+      this.#onClose();
+    }
+
+    this.#flush();
+    return Promise.resolve({ done: true });
+  }
+
+  /**
+   * Returns the iterator itself, so that it can be used in `for await` loops.
+   *
+   * @returns {ResultIterator} The iterator.
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Checks if every outcome that will ever be yielded has been yielded.
+   *
+   * @returns {boolean} True if the iterator is finished.
+   * @private
+   */
+  #isFinished() {
+    return (
+      this.#closed ||
+      (this.#ended && this.#unsettled === 0 && this.#ready.length === 0)
+    );
+  }
+
+  /**
+   * Records the outcome of a collected promise.
+   *
+   * @param {number} index - The order in which the promise was collected.
+   * @param {TaskResult} result - The outcome of the task.
+   * @returns {void}
+   * @private
+   */
+  #settle(index, result) {
+    if (this.#closed) {
+      return;
+    }
+
+    this.#unsettled--;
+    if (!this.#ordered) {
+      this.#ready.push(result);
+      this.#flush();
+      return;
+    }
+
+    // Outcomes are released in order, as soon as every task collected before them settled
+    this.#settled.set(index, result);
+    while (this.#settled.has(this.#released)) {
+      this.#ready.push(this.#settled.get(this.#released));
+      this.#settled.delete(this.#released++);
+    }
+
+    this.#flush();
+  }
+
+  /**
+   * Hands ready outcomes to the pending calls to next, and finishes them once there is nothing left.
+   *
+   * @returns {void}
+   * @private
+   */
+  #flush() {
+    while (this.#readers.length > 0 && this.#ready.length > 0) {
+      this.#readers
+        .shift()
+        .resolve({ value: this.#ready.shift(), done: false });
+      this.#onRead();
+    }
+
+    if (!this.#isFinished()) {
+      return;
+    }
+
+    for (const { resolve, reject } of this.#readers.splice(0)) {
+      if (this.#error === null) {
+        resolve({ done: true });
+      } else {
+        // The error is only thrown once, the iterator is done afterward
+        reject(this.#error);
+        this.#error = null;
+      }
+    }
+  }
+}
+
+module.exports = {
+  ResultIterator,
+};
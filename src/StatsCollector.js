@@ -0,0 +1,176 @@
+"use strict";
+
+const { DurationSamples } = require("./DurationSamples");
+
+/**
+ * Length, in milliseconds, of the buckets settled callbacks are counted in.
+ *
+ * @type {number}
+ * @ignore
+ */
+const bucketLength = 1000;
+
+/**
+ * Collects the counters, durations and throughput of a queue.
+ *
+ * Recording is constant time and memory is bounded, durations are only sorted when the stats are read.
+ *
+ * @example
+ * const stats = new StatsCollector();
+ * stats.count("enqueued");
+ * stats.recordWait(12);
+ * stats.recordRun(340);
+ * stats.count("succeeded");
+ * console.log(stats.getStats().runTime.p95);
+ *
+ * @ignore
+ */
+class StatsCollector {
+  /**
+   * Length, in milliseconds, of the sliding window throughput is measured over.
+   *
+   * @type {number}
+   * @private
+   */
+  #window;
+
+  /**
+   * Timestamp of when the collection started.
+   *
+   * @type {number}
+   * @private
+   */
+  #since = Date.now();
+
+  /**
+   * Totals since the collection started, by name.
+   *
+   * @type {Object<string, number>}
+   * @private
+   */
+  #counters = {
+    enqueued: 0,
+    succeeded: 0,
+    failed: 0,
+    retried: 0,
+    cancelled: 0,
+    timedOut: 0,
+  };
+
+  /**
+   * Time the attempts waited to start once pending.
+   *
+   * @type {DurationSamples}
+   * @private
+   */
+  #wait;
+
+  /**
+   * Time the attempts ran.
+   *
+   * @type {DurationSamples}
+   * @private
+   */
+  #run;
+
+  /**
+   * Callbacks settled within the window, counted per bucket, oldest first.
+   *
+   * @type {Array<{at: number, count: number}>}
+   * @private
+   */
+  #settled = [];
+
+  /**
+   * Creates a new stats collector.
+   *
+   * @param {Object} [options] - How the stats are collected.
+   * @param {number} [options.window=60000] - Length, in milliseconds, of the sliding window throughput is measured over.
+   * @param {number} [options.sampleSize=1000] - Number of latest durations the percentiles are computed from.
+   * @class
+   */
+  constructor({ window = 60000, sampleSize = 1000 } = {}) {
+    this.#window = window;
+    this.#wait = new DurationSamples(sampleSize);
+    this.#run = new DurationSamples(sampleSize);
+  }
+
+  /**
+   * Adds one to a counter, callbacks that succeeded or failed count towards the throughput as well.
+   *
+   * @param {string} counter - The counter, one of enqueued, succeeded, failed, retried, cancelled or timedOut.
+   * @returns {void}
+   */
+  count(counter) {
+    this.#counters[counter]++;
+    if (counter !== "succeeded" && counter !== "failed") {
+      return;
+    }
+
+    const at = Math.floor(Date.now() / bucketLength) * bucketLength;
+    const last = this.#settled[this.#settled.length - 1];
+    if (last?.at === at) {
+      last.count++;
+    } else {
+      this.#settled.push({ at, count: 1 });
+      this.#forgetSettled();
+    }
+  }
+
+  /**
+   * Records how long an attempt waited to start.
+   *
+   * @param {number} duration - The wait time in milliseconds.
+   * @returns {void}
+   */
+  recordWait(duration) {
+    this.#wait.add(duration);
+  }
+
+  /**
+   * Records how long an attempt ran.
+   *
+   * @param {number} duration - The run time in milliseconds.
+   * @returns {void}
+   */
+  recordRun(duration) {
+    this.#run.add(duration);
+  }
+
+  /**
+   * Returns the stats collected so far.
+   *
+   * @returns {Object} The counters, along with `since`, `waitTime`, `runTime` and `throughput`.
+   */
+  getStats() {
+    this.#forgetSettled();
+
+    const settled = this.#settled.reduce((sum, { count }) => sum + count, 0);
+    const elapsed = Math.min(this.#window, Date.now() - this.#since);
+
+    return {
+      since: this.#since,
+      ...this.#counters,
+      waitTime: this.#wait.summarize(),
+      runTime: this.#run.summarize(),
+      throughput: elapsed > 0 ? (settled * bucketLength) / elapsed : 0,
+    };
+  }
+
+  /**
+   * Drops the buckets that left the window.
+   *
+   * @returns {void}
+   * @private
+   */
+  #forgetSettled() {
+    const start = Date.now() - this.#window;
+    while (this.#settled.length > 0 && this.#settled[0].at < start) {
+      this.#settled.shift();
+    }
+  }
+}
+
+module.exports = {
+  StatsCollector,
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+/**
+ * Error used to reject a callback that was cancelled, either while pending or while running.
+ *
+ * @example
+ * const { id, promise } = queue.enqueue((signal) => fetch('https://httpstat.us/200?sleep=5000', { signal }));
+ * queue.cancel(id);
+ * promise.catch((error) => console.log(error instanceof AbortError)); // true
+ */
+class AbortError extends Error {
+  /**
+   * Creates a new abort error.
+   *
+   * @param {string} [message] - Description of why the callback was aborted.
+   * @param {*} [cause] - The reason of the abort signal that triggered the cancellation, if any.
+   * @class
+   * @public
+   */
+  constructor(message = "The callback was aborted", cause = null) {
+    super(message);
+
+    /**
+     * Name of the error, matching the one used by the DOM for aborted operations.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "AbortError";
+
+    /**
+     * The reason of the abort signal that triggered the cancellation, null if there is none.
+     *
+     * @type {*}
+     * @public
+     */
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  AbortError,
+};
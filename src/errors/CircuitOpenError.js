@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Error a callback is rejected with when its circuit is open and the circuit policy is to fail callbacks.
+ *
+ * @example
+ * const queue = new ConcurrentCallbackQueue({
+ *   circuitBreaker: { failureThreshold: 5, policy: CircuitPolicy.FAIL },
+ * });
+ * queue.enqueue(() => fetch('https://api.example.com/users')).promise.catch((error) => {
+ *   if (error instanceof CircuitOpenError) {
+ *     showBanner('The service is unavailable, try again later');
+ *   }
+ * });
+ */
+class CircuitOpenError extends Error {
+  /**
+   * Creates a new circuit open error.
+   *
+   * @param {string|null} group - The group whose circuit is open, null for the circuit of the whole queue.
+   * @class
+   * @public
+   */
+  constructor(group) {
+    super(
+      group === null
+        ? "The circuit of the queue is open"
+        : `The circuit of the "${group}" group is open`,
+    );
+
+    /**
+     * Name of the error, useful to identify it when it crosses realms.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "CircuitOpenError";
+
+    /**
+     * The group whose circuit is open, null for the circuit of the whole queue.
+     *
+     * @type {string|null}
+     * @public
+     */
+    this.group = group;
+  }
+}
+
+module.exports = {
+  CircuitOpenError,
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+/**
+ * Error a task is rejected with when one of its dependencies did not succeed, unless its dependency policy is to run anyway.
+ *
+ * @example
+ * const queue = new ConcurrentCallbackQueue();
+ * queue.enqueue(() => createAlbum(), { id: 'album' });
+ * queue.enqueue(() => uploadPhoto(), { dependsOn: ['album'] }).promise.catch((error) => {
+ *   if (error instanceof DependencyError) {
+ *     console.warn(`Skipped the upload, ${error.dependency} did not succeed`);
+ *   }
+ * });
+ */
+class DependencyError extends Error {
+  /**
+   * Creates a new dependency error.
+   *
+   * @param {string|number} dependency - The identifier of the dependency that did not succeed.
+   * @class
+   * @public
+   */
+  constructor(dependency) {
+    super(`The dependency "${dependency}" did not succeed`);
+
+    /**
+     * Name of the error, useful to identify it when it crosses realms.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "DependencyError";
+
+    /**
+     * The identifier of the dependency that did not succeed.
+     *
+     * @type {string|number}
+     * @public
+     */
+    this.dependency = dependency;
+  }
+}
+
+module.exports = {
+  DependencyError,
+};
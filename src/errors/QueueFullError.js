@@ -0,0 +1,47 @@
+"use strict";
+
+/**
+ * Error thrown when a callback is added to a queue that already holds its maximum number of pending callbacks.
+ *
+ * @example
+ * const queue = new ConcurrentCallbackQueue({ maxPending: 1000 });
+ * try {
+ *   queue.enqueue(() => processChunk(chunk));
+ * } catch (error) {
+ *   if (error instanceof QueueFullError) {
+ *     console.warn(`Skipped a chunk, ${error.maxPending} are already pending`);
+ *   }
+ * }
+ */
+class QueueFullError extends Error {
+  /**
+   * Creates a new queue full error.
+   *
+   * @param {number} maxPending - The maximum number of pending callbacks that was reached.
+   * @class
+   * @public
+   */
+  constructor(maxPending) {
+    super(`The queue already holds ${maxPending} pending callbacks`);
+
+    /**
+     * Name of the error, useful to identify it when it crosses realms.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "QueueFullError";
+
+    /**
+     * The maximum number of pending callbacks that was reached.
+     *
+     * @type {number}
+     * @public
+     */
+    this.maxPending = maxPending;
+  }
+}
+
+module.exports = {
+  QueueFullError,
+};
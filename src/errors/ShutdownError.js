@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * Error thrown when a callback is added to a queue that was shut down.
+ *
+ * @example
+ * process.on('SIGTERM', () => queue.shutdown({ timeout: 10000 }));
+ *
+ * try {
+ *   queue.enqueue(() => processJob(job));
+ * } catch (error) {
+ *   if (error instanceof ShutdownError) {
+ *     await jobs.release(job);
+ *   }
+ * }
+ */
+class ShutdownError extends Error {
+  /**
+   * Creates a new shutdown error.
+   *
+   * @class
+   * @public
+   */
+  constructor() {
+    super("The queue was shut down and no longer accepts callbacks");
+
+    /**
+     * Name of the error, useful to identify it when it crosses realms.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "ShutdownError";
+  }
+}
+
+module.exports = {
+  ShutdownError,
+};
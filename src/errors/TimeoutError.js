@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Error used to reject a callback that does not settle within its timeout.
+ *
+ * @example
+ * queue.enqueue(() => fetch('https://httpstat.us/200?sleep=5000'), { timeout: 1000 })
+ *   .promise.catch((error) => {
+ *     if (error instanceof TimeoutError) {
+ *       console.error(`Gave up after ${error.timeout}ms`);
+ *     }
+ *   });
+ */
+class TimeoutError extends Error {
+  /**
+   * Creates a new timeout error.
+   *
+   * @param {number} timeout - The timeout, in milliseconds, that was exceeded.
+   * @class
+   * @public
+   */
+  constructor(timeout) {
+    super(`The callback did not settle within ${timeout}ms`);
+
+    /**
+     * Name of the error, useful to identify it when it crosses realms.
+     *
+     * @type {string}
+     * @public
+     */
+    this.name = "TimeoutError";
+
+    /**
+     * The timeout, in milliseconds, that was exceeded.
+     *
+     * @type {number}
+     * @public
+     */
+    this.timeout = timeout;
+  }
+}
+
+module.exports = {
+  TimeoutError,
+};
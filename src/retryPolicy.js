@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * Defines how failed callbacks are retried.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {string} strategy - How the delay grows between attempts, one of {@link BackoffStrategy}.
+ * @property {number} delay - Base delay, in milliseconds, before retrying a failed callback.
+ * @property {number} factor - Multiplier applied to the delay on each attempt by the exponential strategy.
+ * @property {number} maxDelay - Upper bound, in milliseconds, for the delay before jitter is applied.
+ * @property {string} jitter - Randomization applied to the delay, one of {@link JitterMode}.
+ * @property {Function} shouldRetry - Predicate that receives the error and the attempt number, a falsy return value fails the callback without retrying.
+ */
+
+/**
+ * Enumerates the strategies used to compute the delay between retry attempts.
+ * This object is frozen to prevent modifications to the strategy values.
+ *
+ * @type {Object}
+ * @property {string} FIXED - Always wait the base delay.
+ * @property {string} LINEAR - Wait the base delay multiplied by the attempt number.
+ * @property {string} EXPONENTIAL - Wait the base delay multiplied by the factor raised to the number of previous attempts.
+ * @example
+ * const BackoffStrategy = {
+ *   FIXED: "fixed",
+ *   LINEAR: "linear",
+ *   EXPONENTIAL: "exponential",
+ * };
+ */
+const BackoffStrategy = Object.freeze({
+  FIXED: "fixed",
+  LINEAR: "linear",
+  EXPONENTIAL: "exponential",
+});
+
+/**
+ * Enumerates the randomization modes that can be applied to retry delays.
+ * This object is frozen to prevent modifications to the jitter values.
+ *
+ * @type {Object}
+ * @property {string} NONE - Use the computed delay as is.
+ * @property {string} FULL - Wait a random time between zero and the computed delay.
+ * @property {string} EQUAL - Wait half the computed delay plus a random time up to the other half.
+ * @example
+ * const JitterMode = {
+ *   NONE: "none",
+ *   FULL: "full",
+ *   EQUAL: "equal",
+ * };
+ */
+const JitterMode = Object.freeze({
+  NONE: "none",
+  FULL: "full",
+  EQUAL: "equal",
+});
+
+/**
+ * The default retry policy, failed callbacks are retried immediately.
+ * This object is frozen to prevent modifications to the default values.
+ *
+ * @type {RetryPolicy}
+ * @example
+ * const defaultRetryPolicy = {
+ *   strategy: BackoffStrategy.FIXED,
+ *   delay: 0,
+ *   factor: 2,
+ *   maxDelay: Infinity,
+ *   jitter: JitterMode.NONE,
+ *   shouldRetry: () => true,
+ * };
+ */
+const defaultRetryPolicy = Object.freeze({
+  strategy: BackoffStrategy.FIXED,
+  delay: 0,
+  factor: 2,
+  maxDelay: Infinity,
+  jitter: JitterMode.NONE,
+  shouldRetry: () => true,
+});
+
+/**
+ * Share of the delay that is always waited when using equal jitter.
+ *
+ * @type {number}
+ * @ignore
+ */
+const HALF = 0.5;
+
+/**
+ * Checks that every property set on a retry policy holds a valid value.
+ * Unset properties are left out so that they can be inherited from another policy.
+ *
+ * @param {RetryPolicy|Object} policy - The, possibly partial, retry policy to validate.
+ * @returns {Object} - A copy of the policy holding only the known properties.
+ * @throws {Error} If the policy is not an object or any of its properties is invalid.
+ * @ignore
+ */
+const validateRetryPolicy = (policy) => {
+  if (!policy || typeof policy !== "object") {
+    throw new Error('The "retryPolicy" parameter must be an object');
+  }
+
+  const validated = {};
+  for (const key of Object.keys(defaultRetryPolicy)) {
+    if (!(key in policy)) {
+      continue;
+    }
+
+    const value = policy[key];
+    const valid = {
+      strategy: Object.values(BackoffStrategy).includes(value),
+      delay: typeof value === "number" && value >= 0,
+      factor: typeof value === "number" && value >= 1,
+      maxDelay: typeof value === "number" && value >= 0,
+      jitter: Object.values(JitterMode).includes(value),
+      shouldRetry: typeof value === "function",
+    }[key];
+
+    if (!valid) {
+      throw new Error(`The "retryPolicy.${key}" option is invalid`);
+    }
+
+    validated[key] = value;
+  }
+
+  return validated;
+};
+
+/**
+ * Computes how long to wait before retrying a callback.
+ *
+ * @param {RetryPolicy} policy - The retry policy of the callback.
+ * @param {number} attempt - Number of the attempt that failed, starting at 1.
+ * @returns {number} - Delay in milliseconds.
+ * @ignore
+ */
+const getRetryDelay = (policy, attempt) => {
+  let { delay } = policy;
+  if (policy.strategy === BackoffStrategy.LINEAR) {
+    delay *= attempt;
+  } else if (policy.strategy === BackoffStrategy.EXPONENTIAL) {
+    delay *= policy.factor ** (attempt - 1);
+  }
+
+  delay = Math.min(delay, policy.maxDelay);
+
+  switch (policy.jitter) {
+    case JitterMode.FULL:
+      return Math.random() * delay;
+    case JitterMode.EQUAL: {
+      const half = delay * HALF;
+      return half + Math.random() * half;
+    }
+    default:
+      return delay;
+  }
+};
+
+module.exports = {
+  BackoffStrategy,
+  JitterMode,
+  defaultRetryPolicy,
+  getRetryDelay,
+  validateRetryPolicy,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+/*
+ * Needs the Node.js file system, so unlike the Web Storage and IndexedDB adapters it is not exported by the main entry.
+ * Import it from "@diomeh/concurrent_callback_queue/src/storage/FileStorage".
+ */
+
+const { readFile, rename, rm, writeFile } = require("fs/promises");
+
+/**
+ * A storage adapter keeping saved tasks in a JSON file.
+ *
+ * Tasks are written to a temporary file next to the target, which then replaces it,
+ * so a crash while saving leaves the previous tasks in place rather than a truncated file.
+ * The file is removed once there is nothing left to save.
+ *
+ * @example
+ * const { FileStorage } = require('@diomeh/concurrent_callback_queue/src/storage/FileStorage');
+ *
+ * const queue = new ConcurrentCallbackQueue({ handlers, storage: new FileStorage('./queue.json') });
+ * await queue.restore();
+ *
+ * @public
+ */
+class FileStorage {
+  /**
+   * Path of the file the tasks are saved in.
+   *
+   * @type {string}
+   * @private
+   */
+  #path;
+
+  /**
+   * Creates a new file adapter.
+   *
+   * @param {string} path - Path of the file the tasks are saved in, its directory must exist.
+   * @throws {Error} If the path is not a non-empty string.
+   * @class
+   */
+  constructor(path) {
+    if (typeof path !== "string" || path === "") {
+      throw new Error('The "path" parameter must be a non-empty string');
+    }
+
+    this.#path = path;
+  }
+
+  /**
+   * Returns the saved tasks.
+   *
+   * @returns {Promise<Array<StoredTask>>} Resolves with the saved tasks, an empty array if the file does not exist.
+   * @public
+   */
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.#path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the saved tasks.
+   *
+   * @param {Array<StoredTask>} tasks - The tasks to save.
+   * @returns {Promise<void>} Resolves once the file is written.
+   * @public
+   */
+  async save(tasks) {
+    if (tasks.length === 0) {
+      await rm(this.#path, { force: true });
+      return;
+    }
+
+    const temporary = `${this.#path}.tmp`;
+    await writeFile(temporary, JSON.stringify(tasks));
+    await rename(temporary, this.#path);
+  }
+}
+
+module.exports = {
+  FileStorage,
+};
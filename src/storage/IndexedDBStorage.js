@@ -0,0 +1,153 @@
+"use strict";
+
+/**
+ * Name of the object store holding the saved tasks.
+ *
+ * @type {string}
+ * @ignore
+ */
+const storeName = "tasks";
+
+/**
+ * Key of the record holding the saved tasks, all of them are kept in a single record so that they are replaced at once.
+ *
+ * @type {string}
+ * @ignore
+ */
+const recordKey = "pending";
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} Resolves with the result of the request, or rejects with its error.
+ * @ignore
+ */
+const settle = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * A storage adapter keeping saved tasks in an IndexedDB database.
+ *
+ * The database is opened on first use and holds a single object store, the tasks are saved as they are,
+ * so their payloads must be supported by the structured clone algorithm.
+ *
+ * @example
+ * const storage = new IndexedDBStorage('uploads');
+ * const queue = new ConcurrentCallbackQueue({ handlers, storage });
+ * await queue.restore();
+ *
+ * @public
+ */
+class IndexedDBStorage {
+  /**
+   * Name of the database.
+   *
+   * @type {string}
+   * @private
+   */
+  #name;
+
+  /**
+   * Factory used to open the database.
+   *
+   * @type {IDBFactory}
+   * @private
+   */
+  #factory;
+
+  /**
+   * The database, once it is being opened.
+   *
+   * @type {Promise<IDBDatabase>|null}
+   * @private
+   */
+  #database = null;
+
+  /**
+   * Creates a new IndexedDB adapter.
+   *
+   * @param {string} name - Name of the database, must be unique to the queue.
+   * @param {IDBFactory} [factory=indexedDB] - Factory used to open the database.
+   * @throws {Error} If the name is not a non-empty string or IndexedDB is not available.
+   * @class
+   */
+  constructor(name, factory = globalThis.indexedDB) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error('The "name" parameter must be a non-empty string');
+    }
+
+    if (typeof factory?.open !== "function") {
+      throw new Error('The "factory" parameter must be an IDBFactory');
+    }
+
+    this.#name = name;
+    this.#factory = factory;
+  }
+
+  /**
+   * Returns the saved tasks.
+   *
+   * @returns {Promise<Array<StoredTask>>} Resolves with the saved tasks, an empty array if there are none.
+   * @public
+   */
+  async load() {
+    const database = await this.#open();
+    const tasks = await settle(
+      database
+        .transaction(storeName, "readonly")
+        .objectStore(storeName)
+        .get(recordKey),
+    );
+
+    return tasks ?? [];
+  }
+
+  /**
+   * Replaces the saved tasks.
+   *
+   * @param {Array<StoredTask>} tasks - The tasks to save.
+   * @returns {Promise<void>} Resolves once the transaction is committed.
+   * @public
+   */
+  async save(tasks) {
+    const database = await this.#open();
+    const transaction = database.transaction(storeName, "readwrite");
+    transaction.objectStore(storeName).put(tasks, recordKey);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Opens the database, creating its object store the first time.
+   *
+   * @returns {Promise<IDBDatabase>} Resolves with the database.
+   * @private
+   */
+  #open() {
+    if (this.#database === null) {
+      const request = this.#factory.open(this.#name, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(storeName);
+
+      // Try again on the next call if the database could not be opened
+      this.#database = settle(request).catch((error) => {
+        this.#database = null;
+        throw error;
+      });
+    }
+
+    return this.#database;
+  }
+}
+
+module.exports = {
+  IndexedDBStorage,
+};
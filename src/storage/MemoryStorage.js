@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * A storage adapter keeping saved tasks in memory, mostly useful for tests and as a reference implementation.
+ *
+ * Tasks are copied through JSON on the way in and out, so that they behave as they would with a persistent storage.
+ * They are lost along with the process, see {@link WebStorage}, {@link IndexedDBStorage} or FileStorage to keep them around.
+ *
+ * @example
+ * const storage = new MemoryStorage();
+ * const queue = new ConcurrentCallbackQueue({ handlers, storage });
+ *
+ * @public
+ */
+class MemoryStorage {
+  /**
+   * Saved tasks, serialized as JSON.
+   *
+   * @type {string}
+   * @private
+   */
+  #json = "[]";
+
+  /**
+   * Returns the saved tasks.
+   *
+   * @returns {Array<StoredTask>} The saved tasks, an empty array if there are none.
+   * @public
+   */
+  load() {
+    return JSON.parse(this.#json);
+  }
+
+  /**
+   * Replaces the saved tasks.
+   *
+   * @param {Array<StoredTask>} tasks - The tasks to save.
+   * @returns {void}
+   * @public
+   */
+  save(tasks) {
+    this.#json = JSON.stringify(tasks);
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+};
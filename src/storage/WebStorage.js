@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * A storage adapter keeping saved tasks in a Web Storage area, localStorage by default.
+ *
+ * Tasks are serialized as JSON under a single key, which is removed once there is nothing left to save.
+ * Web Storage is synchronous and limited to a few megabytes, prefer {@link IndexedDBStorage} for large payloads.
+ *
+ * @example
+ * const storage = new WebStorage('uploads');
+ * const queue = new ConcurrentCallbackQueue({ handlers, storage });
+ * await queue.restore();
+ *
+ * @public
+ */
+class WebStorage {
+  /**
+   * Key the tasks are saved under.
+   *
+   * @type {string}
+   * @private
+   */
+  #key;
+
+  /**
+   * Storage area the tasks are saved in.
+   *
+   * @type {Storage}
+   * @private
+   */
+  #storage;
+
+  /**
+   * Creates a new Web Storage adapter.
+   *
+   * @param {string} key - Key the tasks are saved under, must be unique to the queue.
+   * @param {Storage} [storage=localStorage] - Storage area the tasks are saved in, such as localStorage or sessionStorage.
+   * @throws {Error} If the key is not a non-empty string or the storage area is not available.
+   * @class
+   */
+  constructor(key, storage = globalThis.localStorage) {
+    if (typeof key !== "string" || key === "") {
+      throw new Error('The "key" parameter must be a non-empty string');
+    }
+
+    if (typeof storage?.getItem !== "function") {
+      throw new Error('The "storage" parameter must be a Web Storage area');
+    }
+
+    this.#key = key;
+    this.#storage = storage;
+  }
+
+  /**
+   * Returns the saved tasks.
+   *
+   * @returns {Array<StoredTask>} The saved tasks, an empty array if there are none.
+   * @public
+   */
+  load() {
+    return JSON.parse(this.#storage.getItem(this.#key) ?? "[]");
+  }
+
+  /**
+   * Replaces the saved tasks.
+   *
+   * @param {Array<StoredTask>} tasks - The tasks to save.
+   * @returns {void}
+   * @throws {Error} If the storage area is full.
+   * @public
+   */
+  save(tasks) {
+    if (tasks.length === 0) {
+      this.#storage.removeItem(this.#key);
+    } else {
+      this.#storage.setItem(this.#key, JSON.stringify(tasks));
+    }
+  }
+}
+
+module.exports = {
+  WebStorage,
+};
@@ -0,0 +1,80 @@
+const {AdaptiveConcurrency} = require('../src/AdaptiveConcurrency');
+
+describe('unit', () => {
+	beforeEach(() => {
+		jest.useFakeTimers({now: 0});
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	const healthy = (running) => ({startedAt: Date.now(), duration: 10, failed: false, running});
+
+	test('should start from the initial limit, within the bounds', () => {
+		expect(new AdaptiveConcurrency({}, 10).getLimit()).toBe(10);
+		expect(new AdaptiveConcurrency({min: 5}, 2).getLimit()).toBe(5);
+		expect(new AdaptiveConcurrency({max: 8}, 10).getLimit()).toBe(8);
+	});
+
+	test('should raise the limit once as many attempts as the limit succeeded while it was reached', () => {
+		const concurrency = new AdaptiveConcurrency({max: 5, increase: 2}, 2);
+
+		// Attempts that did not reach the limit prove nothing
+		expect(concurrency.record(healthy(1))).toBeNull();
+		expect(concurrency.record(healthy(2))).toBeNull();
+		expect(concurrency.record(healthy(2))).toBe(4);
+
+		[1, 2, 3].forEach(() => concurrency.record(healthy(4)));
+		expect(concurrency.record(healthy(4))).toBe(5);
+		[1, 2, 3, 4].forEach(() => concurrency.record(healthy(5)));
+		expect(concurrency.record(healthy(5))).toBeNull();
+		expect(concurrency.getLimit()).toBe(5);
+	});
+
+	test('should lower the limit on failures and latency spikes, once per burst', () => {
+		jest.setSystemTime(100);
+		const concurrency = new AdaptiveConcurrency({min: 2, latencyThreshold: 1000}, 20);
+
+		expect(concurrency.record({startedAt: 50, duration: 50, failed: true, running: 20})).toBe(10);
+
+		// Attempts started before the decrease already ran with the previous limit
+		expect(concurrency.record({startedAt: 60, duration: 40, failed: true, running: 10})).toBeNull();
+		expect(concurrency.record({startedAt: 100, duration: 0, failed: true, running: 10})).toBeNull();
+
+		jest.advanceTimersByTime(1500);
+		expect(concurrency.record({startedAt: 150, duration: 1450, failed: false, running: 10})).toBe(5);
+		jest.advanceTimersByTime(1);
+		expect(concurrency.record({startedAt: 1601, duration: 0, failed: true, running: 5})).toBe(2);
+		jest.advanceTimersByTime(1);
+		expect(concurrency.record({startedAt: 1602, duration: 0, failed: true, running: 2})).toBeNull();
+		expect(concurrency.getLimit()).toBe(2);
+	});
+
+	test('should start counting healthy attempts over when the limit is overridden or lowered', () => {
+		const concurrency = new AdaptiveConcurrency({}, 2);
+
+		concurrency.record(healthy(2));
+		expect(concurrency.setLimit(3)).toBe(3);
+		concurrency.record(healthy(3));
+		concurrency.record(healthy(3));
+		expect(concurrency.record(healthy(3))).toBe(4);
+
+		expect(concurrency.setLimit(500)).toBe(100);
+		expect(concurrency.setLimit(0)).toBe(1);
+	});
+
+	test('should validate adaptive concurrency options', () => {
+		expect(() => AdaptiveConcurrency.validate({})).not.toThrow();
+		expect(() => AdaptiveConcurrency.validate({min: 1, max: Infinity, increase: 5, decrease: 0.9, latencyThreshold: 500})).not.toThrow();
+
+		expect(() => AdaptiveConcurrency.validate(true)).toThrow('The "adaptiveConcurrency" option must be an object');
+		expect(() => AdaptiveConcurrency.validate({min: 0})).toThrow('The "adaptiveConcurrency.min" option must be a positive integer');
+		expect(() => AdaptiveConcurrency.validate({min: 1.5})).toThrow('The "adaptiveConcurrency.min" option must be a positive integer');
+		expect(() => AdaptiveConcurrency.validate({min: 10, max: 5})).toThrow('The "adaptiveConcurrency.max" option must be an integer no lower than min');
+		expect(() => AdaptiveConcurrency.validate({increase: 0.5})).toThrow('The "adaptiveConcurrency.increase" option must be a positive integer');
+		expect(() => AdaptiveConcurrency.validate({decrease: 1})).toThrow('The "adaptiveConcurrency.decrease" option must be a number between 0 and 1');
+		expect(() => AdaptiveConcurrency.validate({decrease: 0})).toThrow('The "adaptiveConcurrency.decrease" option must be a number between 0 and 1');
+		expect(() => AdaptiveConcurrency.validate({latencyThreshold: 0})).toThrow('The "adaptiveConcurrency.latencyThreshold" option must be a positive number');
+	});
+});
@@ -0,0 +1,116 @@
+const {CircuitBreaker, CircuitPolicy, CircuitState} = require('../src/CircuitBreaker');
+
+describe('unit', () => {
+	beforeEach(() => {
+		jest.useFakeTimers({now: 0});
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	const error = new Error('Test Error');
+
+	test('should open once the failures within the window reach the threshold', () => {
+		const breaker = new CircuitBreaker({failureThreshold: 3, window: 1000, cooldown: 500});
+
+		expect(breaker.getState()).toBe(CircuitState.CLOSED);
+		expect(breaker.record(error, Date.now())).toBeNull();
+		jest.advanceTimersByTime(500);
+		expect(breaker.record(null, Date.now())).toBeNull();
+		expect(breaker.record(error, Date.now())).toBeNull();
+
+		// The first failure leaves the window
+		jest.advanceTimersByTime(500);
+		expect(breaker.record(error, Date.now())).toBeNull();
+		expect(breaker.record(error, Date.now())).toBe(CircuitState.OPEN);
+
+		expect(breaker.canPass()).toBe(false);
+		expect(breaker.tryAcquire()).toBe(false);
+		expect(breaker.getDelay()).toBe(500);
+
+		jest.advanceTimersByTime(200);
+		expect(breaker.getDelay()).toBe(300);
+	});
+
+	test('should only open once the failure ratio is reached as well', () => {
+		const breaker = new CircuitBreaker({failureThreshold: 2, failureRatio: 0.5});
+
+		[null, null, null].forEach((outcome) => breaker.record(outcome, Date.now()));
+		expect(breaker.record(error, Date.now())).toBeNull();
+		expect(breaker.record(error, Date.now())).toBeNull();
+		expect(breaker.record(error, Date.now())).toBe(CircuitState.OPEN);
+	});
+
+	test('should let a single probe through once half-open', () => {
+		const breaker = new CircuitBreaker({failureThreshold: 1});
+		breaker.record(error, 0);
+		jest.advanceTimersByTime(100);
+
+		expect(breaker.halfOpen()).toBe(CircuitState.HALF_OPEN);
+		expect(breaker.halfOpen()).toBeNull();
+		expect(breaker.getDelay()).toBe(0);
+		expect(breaker.tryAcquire()).toBe(true);
+		expect(breaker.tryAcquire()).toBe(false);
+
+		// A cancelled probe gives its turn back
+		breaker.release();
+		expect(breaker.tryAcquire()).toBe(true);
+
+		expect(breaker.record(error, Date.now())).toBe(CircuitState.OPEN);
+		jest.advanceTimersByTime(100);
+		breaker.halfOpen();
+		breaker.tryAcquire();
+		expect(breaker.record(null, Date.now())).toBe(CircuitState.CLOSED);
+		expect(breaker.tryAcquire()).toBe(true);
+		expect(breaker.tryAcquire()).toBe(true);
+	});
+
+	test('should only let the probe move a half-open circuit', () => {
+		const breaker = new CircuitBreaker({failureThreshold: 1});
+		breaker.record(error, 0);
+		jest.advanceTimersByTime(100);
+		breaker.halfOpen();
+		breaker.tryAcquire();
+
+		// Attempts started before the circuit opened don't tell whether it recovered
+		expect(breaker.record(null, 0)).toBeNull();
+		expect(breaker.record(error, 0)).toBeNull();
+		expect(breaker.getState()).toBe(CircuitState.HALF_OPEN);
+		expect(breaker.canPass()).toBe(false);
+
+		expect(breaker.record(null, 100)).toBe(CircuitState.CLOSED);
+	});
+
+	test('should ignore attempts ending while open and errors that are not failures', () => {
+		const breaker = new CircuitBreaker({
+			failureThreshold: 1,
+			isFailure: (failure) => failure.message !== 'Not Found',
+		});
+
+		expect(breaker.record(new Error('Not Found'), Date.now())).toBeNull();
+		expect(breaker.record(error, Date.now())).toBe(CircuitState.OPEN);
+		expect(breaker.record(null, Date.now())).toBeNull();
+		expect(breaker.getState()).toBe(CircuitState.OPEN);
+	});
+
+	test('should hold callbacks by default', () => {
+		expect(new CircuitBreaker({}).getPolicy()).toBe(CircuitPolicy.HOLD);
+		expect(new CircuitBreaker({policy: CircuitPolicy.FAIL}).getPolicy()).toBe(CircuitPolicy.FAIL);
+	});
+
+	test('should validate circuit breaker options', () => {
+		expect(() => CircuitBreaker.validate({})).not.toThrow();
+		expect(() => CircuitBreaker.validate({failureThreshold: 1, failureRatio: 1, window: 1, cooldown: 1})).not.toThrow();
+
+		expect(() => CircuitBreaker.validate(5)).toThrow('The "circuitBreaker" option must be an object');
+		expect(() => CircuitBreaker.validate({failureThreshold: 0})).toThrow('The "circuitBreaker.failureThreshold" option must be a positive integer');
+		expect(() => CircuitBreaker.validate({failureRatio: 0})).toThrow('The "circuitBreaker.failureRatio" option must be a number between 0 and 1');
+		expect(() => CircuitBreaker.validate({failureRatio: 1.5})).toThrow('The "circuitBreaker.failureRatio" option must be a number between 0 and 1');
+		expect(() => CircuitBreaker.validate({window: 0})).toThrow('The "circuitBreaker.window" option must be a positive number');
+		expect(() => CircuitBreaker.validate({cooldown: Infinity})).toThrow('The "circuitBreaker.cooldown" option must be a positive number');
+		expect(() => CircuitBreaker.validate({policy: 'drop'})).toThrow('The "circuitBreaker.policy" option is invalid');
+		expect(() => CircuitBreaker.validate({isFailure: true})).toThrow('The "circuitBreaker.isFailure" option must be a function');
+		expect(() => CircuitBreaker.validate({window: -1}, 'groups.api.circuitBreaker')).toThrow('The "groups.api.circuitBreaker.window" option must be a positive number');
+	});
+});
@@ -2,7 +2,24 @@
 
 const {
 	ConcurrentCallbackQueue,
+	mapConcurrent,
 	QueueState,
+	QueueEvent,
+	TaskStatus,
+	DedupeMode,
+	OverflowPolicy,
+	DependencyPolicy,
+	CircuitState,
+	CircuitPolicy,
+	ResultOrder,
+	BackoffStrategy,
+	AbortError,
+	TimeoutError,
+	QueueFullError,
+	ShutdownError,
+	DependencyError,
+	CircuitOpenError,
+	MemoryStorage,
 	defaultQueueOptions,
 } = require('../src/ConcurrentCallbackQueue');
 
@@ -119,7 +136,7 @@ describe('unit', () => {
 		});
 
 		expect(mockCallback).toHaveBeenCalledTimes(3); // 1 initial + 2 retries
-		expect(onCallbackError).toHaveBeenCalledWith(expect.any(Error));
+		expect(onCallbackError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({final: false}));
 	});
 
 	test('should enqueue multiple callbacks', async () => {
@@ -188,7 +205,10 @@ describe('unit', () => {
 		expect(mockCallback).not.toHaveBeenCalled();
 		expect(onQueueStop).toHaveBeenCalled();
 		expect(queue.getPendingCount()).toBe(0);
-		expect(queue.getRunningCount()).toBe(0);
+
+		// The callback started before the queue stopped, it is called on the next microtask
+		expect(queue.getRunningCount()).toBe(1);
+		expect(queue.getRunning()).toHaveLength(1);
 	});
 
 	test('should clear all pending callbacks', () => {
@@ -335,209 +355,2542 @@ describe('unit', () => {
 		queue.stop();
 		expect(onQueueStop).toHaveBeenCalled();
 	});
-});
 
-describe('integration', () => {
-	test('should process callbacks in parallel up to maxConcurrent limit', async () => {
-		const callbackResults = [];
-		const queue = new ConcurrentCallbackQueue({
-			autoStart: false,
-			maxConcurrent: 2,
+	test('should resolve the task handle with the callback result', async () => {
+		const onCallbackSuccess = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackSuccess});
+
+		const handle = queue.enqueue(() => Promise.resolve('foo'));
+
+		await expect(handle.promise).resolves.toBe('foo');
+		expect(onCallbackSuccess).toHaveBeenCalled();
+	});
+
+	test('should reject the task handle once retries are exhausted', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError});
+		const mockCallback = jest.fn()
+			.mockRejectedValueOnce(new Error('First Error'))
+			.mockRejectedValueOnce(new Error('Last Error'));
+
+		const handle = queue.enqueue(mockCallback, 1);
+
+		await expect(handle.promise).rejects.toThrow('Last Error');
+		expect(mockCallback).toHaveBeenCalledTimes(2);
+		expect(onCallbackError).toHaveBeenCalledTimes(2);
+	});
+
+	test('should return a task handle per callback when enqueueing multiple callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const callbacks = Array.from({length: 3}, (_, i) => () => Promise.resolve(i));
+
+		const handles = queue.enqueueAll(callbacks);
+
+		expect(handles).toHaveLength(3);
+		await expect(Promise.all(handles.map((handle) => handle.promise))).resolves.toEqual([0, 1, 2]);
+	});
+
+	test('should reject the task handle of dequeued callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const mockCallback = jest.fn();
+
+		const handle = queue.enqueue(mockCallback);
+		const tuple = queue.dequeue();
+
+		expect(tuple.callback).toBe(mockCallback);
+		await expect(handle.promise).rejects.toThrow('The callback was removed from the queue before it was executed');
+		expect(mockCallback).not.toHaveBeenCalled();
+	});
+
+	test('should pass the result and task context to onCallbackSuccess', async () => {
+		const onCallbackSuccess = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackSuccess});
+
+		const handle = queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(() => resolve('foo'), 50)
+		}), 2);
+		await handle.promise;
+
+		expect(onCallbackSuccess).toHaveBeenCalledTimes(1);
+
+		const [result, context] = onCallbackSuccess.mock.calls[0];
+		expect(result).toBe('foo');
+		expect(context).toEqual({
+			id: handle.id,
+			result: 'foo',
+			attempt: 1,
+			maxRetries: 2,
+			timeout: 0,
+			final: true,
+			startedAt: expect.any(Number),
+			endedAt: expect.any(Number),
+			duration: expect.any(Number),
 		});
+		expect(context.duration).toBe(context.endedAt - context.startedAt);
+		expect(context.duration).toBeGreaterThanOrEqual(40);
+	});
 
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
-		];
+	test('should pass the error and task context to onCallbackError', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError});
+		const error = new Error('Test Error');
 
-		queue.enqueueAll(callbacks);
-		queue.start();
+		const handle = queue.enqueue(jest.fn().mockRejectedValue(error), 2);
+		await expect(handle.promise).rejects.toBe(error);
 
-		await new Promise(resolve => setTimeout(resolve, 200));
+		expect(onCallbackError).toHaveBeenCalledTimes(3);
 
-		expect(callbackResults).toEqual([2, 3, 1]);
+		const contexts = onCallbackError.mock.calls.map(([e, context]) => {
+			expect(e).toBe(error);
+			expect(context.id).toBe(handle.id);
+			expect(context.error).toBe(error);
+			expect(context.maxRetries).toBe(2);
+			return [context.attempt, context.final];
+		});
+		expect(contexts).toEqual([[1, false], [2, false], [3, true]]);
 	});
 
-	test('should handle sequential and parallel callback processing correctly', async () => {
-		const callbackResults = [];
+	test('should assign unique ids to tasks enqueued at the same time', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		const handle = queue.enqueue(() => {});
+		const handles = queue.enqueueAll([() => {}, () => {}]);
+		const ids = new Set([handle, ...handles].map(({id}) => id));
+
+		expect(ids.size).toBe(3);
+	});
+
+	test('should wait the retry policy delay between attempts', async () => {
+		const onCallbackError = jest.fn();
 		const queue = new ConcurrentCallbackQueue({
-			autoStart: false,
-			maxConcurrent: 2,
+			onCallbackError,
+			retryPolicy: {strategy: BackoffStrategy.LINEAR, delay: 50},
 		});
+		const mockCallback = jest.fn().mockRejectedValue(new Error('Test Error'));
 
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('A')), 100))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('B')), 50))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('C')), 10))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('D')), 20))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('E')), 60))),
-		];
+		const handle = queue.enqueue(mockCallback, 2);
 
-		queue.enqueueAll(callbacks);
-		queue.start();
+		await new Promise((resolve) => {
+			setTimeout(resolve, 25)
+		});
+		expect(mockCallback).toHaveBeenCalledTimes(1);
+		expect(queue.getPendingCount()).toBe(1);
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.BUSY);
 
-		await new Promise(resolve => setTimeout(resolve, 300));
+		await expect(handle.promise).rejects.toThrow('Test Error');
+		expect(mockCallback).toHaveBeenCalledTimes(3);
+		expect(onCallbackError.mock.calls.map(([, context]) => context.retryDelay)).toEqual([50, 100, undefined]);
+	});
 
-		expect(callbackResults).toEqual(['B', 'C', 'D', 'A', 'E']);
+	test('should not retry errors rejected by shouldRetry', async () => {
+		const shouldRetry = jest.fn((error) => error.status >= 500);
+		const queue = new ConcurrentCallbackQueue({retryPolicy: {shouldRetry}});
+		const clientError = Object.assign(new Error('Not Found'), {status: 404});
+		const serverError = Object.assign(new Error('Unavailable'), {status: 503});
+		const mockCallback = jest.fn()
+			.mockRejectedValueOnce(serverError)
+			.mockRejectedValueOnce(clientError);
+
+		const handle = queue.enqueue(mockCallback, 5);
+
+		await expect(handle.promise).rejects.toBe(clientError);
+		expect(mockCallback).toHaveBeenCalledTimes(2);
+		expect(shouldRetry.mock.calls).toEqual([[serverError, 1], [clientError, 2]]);
 	});
 
-	test('should retry failed callbacks up to the specified retry limit', async () => {
+	test('should override the queue retry policy per callback', async () => {
+		const queue = new ConcurrentCallbackQueue({retryPolicy: {delay: 1000}});
+		const mockCallback = jest.fn()
+			.mockRejectedValueOnce(new Error('Test Error'))
+			.mockResolvedValue('foo');
+
+		const handle = queue.enqueue(mockCallback, {retries: 1, retryPolicy: {delay: 10}});
+
+		await expect(handle.promise).resolves.toBe('foo');
+		expect(mockCallback).toHaveBeenCalledTimes(2);
+		expect(() => queue.enqueue(mockCallback, {retryPolicy: {strategy: 'foo'}}))
+			.toThrow('The "retryPolicy.strategy" option is invalid');
+	});
+
+	test('should discard callbacks waiting to be retried when cleared', async () => {
+		const queue = new ConcurrentCallbackQueue({retryPolicy: {delay: 50}});
+		const mockCallback = jest.fn().mockRejectedValue(new Error('Test Error'));
+
+		const handle = queue.enqueue(mockCallback, 1);
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 25)
+		});
+		expect(queue.clear()).toHaveLength(1);
+		await expect(handle.promise).rejects.toThrow('The callback was removed from the queue before it was executed');
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 50)
+		});
+		expect(mockCallback).toHaveBeenCalledTimes(1);
+	});
+
+	test('should fail callbacks that exceed the timeout', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError, timeout: 50});
+
+		const handle = queue.enqueue(() => new Promise(() => {}));
+
+		await expect(handle.promise).rejects.toBeInstanceOf(TimeoutError);
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+
+		const [error, context] = onCallbackError.mock.calls[0];
+		expect(error.timeout).toBe(50);
+		expect(error.message).toBe('The callback did not settle within 50ms');
+		expect(context).toEqual(expect.objectContaining({id: handle.id, error, timeout: 50, final: true}));
+	});
+
+	test('should retry callbacks that time out', async () => {
 		const queue = new ConcurrentCallbackQueue();
-		const failingCallback = jest.fn().mockRejectedValue(new Error('Retry Test Error'));
+		const mockCallback = jest.fn()
+			.mockImplementationOnce(() => new Promise(() => {}))
+			.mockResolvedValue('foo');
 
-		queue.enqueue(failingCallback, 3); // 3 retries
+		const handle = queue.enqueue(mockCallback, {retries: 1, timeout: 50});
 
-		queue.start();
+		await expect(handle.promise).resolves.toBe('foo');
+		expect(mockCallback).toHaveBeenCalledTimes(2);
+	});
 
-		await new Promise(resolve => setTimeout(resolve, 400));
+	test('should override the queue timeout per callback', async () => {
+		const queue = new ConcurrentCallbackQueue({timeout: 10});
+		const slowCallback = () => new Promise((resolve) => {
+			setTimeout(() => resolve('foo'), 50)
+		});
 
-		expect(failingCallback).toHaveBeenCalledTimes(4); // initial + 3 retries
+		const disabled = queue.enqueue(slowCallback, {timeout: 0});
+		const overridden = queue.enqueue(slowCallback, {timeout: 100});
+		const inherited = queue.enqueue(slowCallback);
+
+		await expect(disabled.promise).resolves.toBe('foo');
+		await expect(overridden.promise).resolves.toBe('foo');
+		await expect(inherited.promise).rejects.toBeInstanceOf(TimeoutError);
 	});
 
-	test('should process callbacks in sequence when maxConcurrent is 1', async () => {
-		const callbackResults = [];
-		const queue = new ConcurrentCallbackQueue({
-			autoStart: false,
-			maxConcurrent: 1,
+	test('should trigger exceptions on invalid timeouts', () => {
+		expect(() => new ConcurrentCallbackQueue({timeout: -1}))
+			.toThrow('The "timeout" option must be a positive number');
+
+		const queue = new ConcurrentCallbackQueue();
+		expect(() => queue.enqueue(() => {}, {timeout: 'foo'}))
+			.toThrow('The "timeout" option must be a positive number');
+	});
+
+	test('should pass an abort signal to callbacks and abort it on timeout', async () => {
+		const queue = new ConcurrentCallbackQueue({timeout: 50});
+		let receivedSignal = null;
+
+		const handle = queue.enqueue((signal) => {
+			receivedSignal = signal;
+			return new Promise(() => {});
 		});
 
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(4)), 20))),
-		];
+		await expect(handle.promise).rejects.toBeInstanceOf(TimeoutError);
+		expect(receivedSignal).toBeInstanceOf(AbortSignal);
+		expect(receivedSignal.aborted).toBe(true);
+		expect(receivedSignal.reason).toBeInstanceOf(TimeoutError);
+	});
 
-		queue.enqueueAll(callbacks);
-		queue.start();
+	test('should run callbacks without a signal where AbortController is missing', async () => {
+		const {AbortController: Controller} = globalThis;
+		delete globalThis.AbortController;
 
-		await new Promise(resolve => setTimeout(resolve, 300));
+		try {
+			const queue = new ConcurrentCallbackQueue({timeout: 20});
+			const callback = jest.fn(() => 'done');
+
+			await expect(queue.enqueue(callback).promise).resolves.toBe('done');
+			expect(callback).toHaveBeenCalledWith(undefined);
+			await expect(queue.enqueue(() => new Promise(() => {})).promise).rejects.toBeInstanceOf(TimeoutError);
+		} finally {
+			globalThis.AbortController = Controller;
+		}
+	});
 
-		expect(callbackResults).toEqual([1, 2, 3, 4]);
+	test('should cancel pending callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const mockCallback = jest.fn();
+
+		const handle = queue.enqueue(mockCallback);
+
+		expect(queue.cancel(handle.id)).toBe(true);
+		expect(queue.cancel(handle.id)).toBe(false);
+		expect(queue.cancel(-1)).toBe(false);
+		expect(queue.getPendingCount()).toBe(0);
+
+		await expect(handle.promise).rejects.toBeInstanceOf(AbortError);
+		await expect(handle.promise).rejects.toThrow('The callback was cancelled');
+		expect(mockCallback).not.toHaveBeenCalled();
 	});
 
-	test('should call lifecycle hooks appropriately during processing', async () => {
-		const onCallbackSuccess = jest.fn();
+	test('should cancel running callbacks without retrying them', async () => {
 		const onCallbackError = jest.fn();
-		const onQueueIdle = jest.fn();
-		const onQueueBusy = jest.fn();
-		const onQueueStop = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError});
+		const mockCallback = jest.fn(() => new Promise(() => {}));
 
-		const queue = new ConcurrentCallbackQueue({
-			autoStart: true,
-			maxConcurrent: 1,
-			onCallbackSuccess,
-			onCallbackError,
-			onQueueIdle,
-			onQueueBusy,
-			onQueueStop,
+		const handle = queue.enqueue(mockCallback, 3);
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
 		});
+		expect(queue.getRunningCount()).toBe(1);
+		expect(queue.cancel(handle.id)).toBe(true);
 
-		const successfulCallback = jest.fn().mockResolvedValue(true);
-		const failingCallback = jest.fn().mockRejectedValue(new Error('Test Error'));
+		await expect(handle.promise).rejects.toBeInstanceOf(AbortError);
+		expect(mockCallback.mock.calls[0][0].aborted).toBe(true);
+		expect(mockCallback).toHaveBeenCalledTimes(1);
+		expect(onCallbackError).not.toHaveBeenCalled();
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
 
-		queue.enqueue(successfulCallback);
-		queue.enqueue(failingCallback, 1); // 1 retry
+	test('should cancel callbacks when their external signal is aborted', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1});
+		const controller = new AbortController();
+		const callbacks = Array.from({length: 3}, () => jest.fn((signal) => new Promise((resolve, reject) => {
+			signal.addEventListener('abort', () => reject(signal.reason));
+		})));
 
-		await new Promise(resolve => setTimeout(resolve, 300));
+		const handles = queue.enqueueAll(callbacks, {signal: controller.signal});
 
-		expect(onCallbackSuccess).toHaveBeenCalledTimes(1);
-		expect(onCallbackError).toHaveBeenCalledTimes(2); // initial + 1 retry
-		expect(onQueueIdle).toHaveBeenCalled();
-		expect(onQueueBusy).toHaveBeenCalled();
-		expect(onQueueStop).not.toHaveBeenCalled();
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+		controller.abort('navigation');
+
+		const errors = await Promise.all(handles.map((handle) => handle.promise.catch((error) => error)));
+		errors.forEach((error) => {
+			expect(error).toBeInstanceOf(AbortError);
+			expect(error.cause).toBe('navigation');
+		});
+		expect(callbacks[0]).toHaveBeenCalled();
+		expect(callbacks[1]).not.toHaveBeenCalled();
+		expect(callbacks[2]).not.toHaveBeenCalled();
+		expect(queue.getPendingCount()).toBe(0);
+		expect(queue.getRunningCount()).toBe(0);
 	});
 
-	test('should pause and resume the queue correctly', async () => {
-		const callbackResults = [];
-		const queue = new ConcurrentCallbackQueue({ maxConcurrent: 2 });
+	test('should reject callbacks enqueued with an aborted signal', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const mockCallback = jest.fn();
 
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('A')), 100))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('B')), 50))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('C')), 10))),
-		];
+		const handle = queue.enqueue(mockCallback, {signal: AbortSignal.abort()});
 
-		queue.enqueueAll(callbacks);
-		queue.start();
+		await expect(handle.promise).rejects.toThrow('The callback was aborted by its signal');
+		expect(mockCallback).not.toHaveBeenCalled();
+		expect(queue.getState()).toBe(QueueState.IDLE);
+		expect(() => queue.enqueue(mockCallback, {signal: 'foo'}))
+			.toThrow('The "signal" option must be an AbortSignal');
+	});
 
-		// Pause the queue after some time
-		setTimeout(() => queue.stop(), 20);
+	test('should abort running callbacks when aborting the queue', async () => {
+		const onQueueStop = jest.fn();
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, onQueueStop});
 
-		// Resume the queue after some time
-		setTimeout(() => queue.start(), 150);
+		const running = queue.enqueue(() => new Promise(() => {}));
+		const pending = queue.enqueue(() => {});
 
-		await new Promise(resolve => setTimeout(resolve, 300));
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+		const cleared = queue.abort();
 
-		expect(callbackResults).toEqual(['B', 'A', 'C']);
+		expect(cleared).toHaveLength(1);
+		expect(onQueueStop).toHaveBeenCalled();
+		expect(queue.getState()).toBe(QueueState.STOPPED);
+		await expect(running.promise).rejects.toThrow('The queue was aborted');
+		await expect(pending.promise).rejects.toThrow('The callback was removed from the queue before it was executed');
+		expect(queue.getRunningCount()).toBe(0);
 	});
 
-	test('should handle a mix of successful and failing callbacks', async () => {
+	test('should run pending callbacks by priority', async () => {
 		const callbackResults = [];
-		const onCallbackError = jest.fn();
-		const queue = new ConcurrentCallbackQueue({
-			maxConcurrent: 2,
-			onCallbackError,
+		const queue = new ConcurrentCallbackQueue({autoStart: false, maxConcurrent: 1});
+		const push = (name) => () => callbackResults.push(name);
+
+		queue.enqueue(push('low'), {priority: -1});
+		queue.enqueue(push('normal1'));
+		queue.enqueue(push('high1'), {priority: 10});
+		queue.enqueue(push('normal2'));
+		const handles = queue.enqueueAll([push('high2'), push('high3')], {priority: 10});
+		queue.start();
+
+		await Promise.all(handles.map(({promise}) => promise));
+		await new Promise((resolve) => {
+			setTimeout(resolve, 50)
 		});
 
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Success1')), 50))),
-			jest.fn(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Fail1')), 30))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Success2')), 10))),
-			jest.fn(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Fail2')), 20))),
-		];
+		expect(callbackResults).toEqual(['high1', 'high2', 'high3', 'normal1', 'normal2', 'low']);
+	});
 
-		queue.enqueueAll(callbacks);
-		queue.start();
+	test('should dequeue the callback with the highest priority', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const low = jest.fn();
+		const high = jest.fn();
 
-		await new Promise(resolve => setTimeout(resolve, 200));
+		queue.enqueue(low);
+		queue.enqueue(high, {priority: 1});
 
-		expect(callbackResults).toEqual(['Success2', 'Success1']);
-		expect(onCallbackError).toHaveBeenCalledTimes(2);
+		expect(queue.dequeue().callback).toBe(high);
+		expect(queue.dequeueAll().map(({callback}) => callback)).toEqual([low]);
 	});
 
-	test('should process long-running callbacks without issues', async () => {
+	test('should order priorities with a custom comparator', async () => {
+		const levels = {high: 0, normal: 1, low: 2};
 		const callbackResults = [];
-		const queue = new ConcurrentCallbackQueue({ maxConcurrent: 2 });
-
-		const callbacks = [
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Long1')), 200))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Short1')), 50))),
-			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Short2')), 30))),
-		];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			maxConcurrent: 1,
+			priorityComparator: (a, b) => levels[a] - levels[b],
+		});
 
-		queue.enqueueAll(callbacks);
+		queue.enqueue(() => callbackResults.push('low'), {priority: 'low'});
+		queue.enqueue(() => callbackResults.push('normal'), {priority: 'normal'});
+		const {promise} = queue.enqueue(() => callbackResults.push('high'), {priority: 'high'});
 		queue.start();
 
-		await new Promise(resolve => setTimeout(resolve, 300));
+		await promise;
+		await new Promise((resolve) => {
+			setTimeout(resolve, 50)
+		});
 
-		expect(callbackResults).toEqual(['Short1', 'Short2', 'Long1']);
+		expect(callbackResults).toEqual(['high', 'normal', 'low']);
 	});
 
-	test('should respect maxConcurrent limit when set to various values', async () => {
-		const callbackResults = [];
+	test('should trigger exceptions on invalid priorities', () => {
+		const queue = new ConcurrentCallbackQueue();
 
-		const runTest = async (maxConcurrent, expectedResults) => {
-			const queue = new ConcurrentCallbackQueue({ maxConcurrent });
-			const callbacks = [
-				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
-				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
-				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
-				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(4)), 15))),
-			];
+		expect(() => queue.enqueue(() => {}, {priority: 'high'}))
+			.toThrow('The "priority" option must be a number');
+	});
 
-			queue.enqueueAll(callbacks);
-			queue.start();
+	test('should trigger exceptions on invalid rate limits', () => {
+		expect(() => new ConcurrentCallbackQueue({rateLimit: {limit: 0, interval: 1000}}))
+			.toThrow('The "rateLimit.limit" option must be a positive integer');
+		expect(() => new ConcurrentCallbackQueue({rateLimit: {limit: 5}}))
+			.toThrow('The "rateLimit.interval" option must be a positive number');
+	});
 
-			await new Promise(resolve => setTimeout(resolve, 200));
+	test('should report when the rate limit allows the next callback', async () => {
+		const unlimited = new ConcurrentCallbackQueue();
+		expect(unlimited.getRateLimitDelay()).toBe(0);
 
-			expect(callbackResults).toEqual(expectedResults);
+		const queue = new ConcurrentCallbackQueue({rateLimit: {limit: 1, interval: 1000}});
+		expect(queue.getRateLimitDelay()).toBe(0);
+
+		queue.enqueue(() => {});
+		queue.enqueue(() => {});
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+
+		expect(queue.getPendingCount()).toBe(1);
+		expect(queue.getRateLimitDelay()).toBeGreaterThan(900);
+		expect(queue.getRateLimitDelay()).toBeLessThanOrEqual(1000);
+
+		queue.stop();
+	});
+
+	test('should resolve waiting promises right away when the condition already holds', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		await expect(queue.onIdle()).resolves.toBeUndefined();
+		await expect(queue.onEmpty()).resolves.toBeUndefined();
+
+		queue.enqueue(() => {});
+		await expect(queue.onSizeLessThan(2)).resolves.toBeUndefined();
+	});
+
+	test('should trigger exceptions on invalid size limits', () => {
+		const queue = new ConcurrentCallbackQueue();
+
+		expect(() => queue.onSizeLessThan(0)).toThrow('The "limit" parameter must be a positive number');
+		expect(() => queue.onSizeLessThan('1')).toThrow('The "limit" parameter must be a positive number');
+	});
+
+	test('should resolve waiting promises when callbacks are removed', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueueAll([() => {}, () => {}]);
+
+		const idle = queue.onIdle();
+		queue.clear();
+
+		await expect(idle).resolves.toBeUndefined();
+	});
+
+	test('should add and remove event listeners', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const listener = jest.fn();
+		const onceListener = jest.fn();
+
+		expect(queue.on(QueueEvent.ENQUEUE, listener).once(QueueEvent.ENQUEUE, onceListener)).toBe(queue);
+
+		const {id} = queue.enqueue(() => {}, {priority: 3});
+		queue.enqueue(() => {});
+		queue.off(QueueEvent.ENQUEUE, listener);
+		queue.enqueue(() => {});
+
+		expect(listener).toHaveBeenCalledTimes(2);
+		expect(listener).toHaveBeenNthCalledWith(1, {id, priority: 3});
+		expect(onceListener).toHaveBeenCalledTimes(1);
+	});
+
+	test('should trigger exceptions on invalid events and listeners', () => {
+		const queue = new ConcurrentCallbackQueue();
+
+		expect(() => queue.on('unknown', () => {})).toThrow('The "event" parameter must be a queue event');
+		expect(() => queue.off('unknown', () => {})).toThrow('The "event" parameter must be a queue event');
+		expect(() => queue.once(QueueEvent.IDLE, null)).toThrow('The "listener" parameter must be a function');
+	});
+
+	test('should emit state events after the hooks', () => {
+		const calls = [];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			onQueueStop: () => calls.push('hook'),
+		});
+		queue.on(QueueEvent.STOP, () => calls.push('listener'));
+
+		queue.stop();
+
+		expect(calls).toEqual(['hook', 'listener']);
+	});
+
+	test('should emit cancel events for removed callbacks', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const onCancel = jest.fn();
+		queue.on(QueueEvent.CANCEL, onCancel);
+
+		const {id} = queue.enqueue(() => {});
+		queue.enqueue(() => {}, {signal: AbortSignal.abort()});
+		queue.cancel(id);
+
+		expect(onCancel).toHaveBeenCalledTimes(2);
+		expect(onCancel).toHaveBeenCalledWith(expect.any(AbortError), {id});
+	});
+
+	test('should not change options through getOptions', () => {
+		const queue = new ConcurrentCallbackQueue();
+		queue.getOptions().maxConcurrent = 1;
+
+		expect(queue.getOptions().maxConcurrent).toBe(defaultQueueOptions.maxConcurrent);
+	});
+
+	test('should not change nested options through getOptions', () => {
+		const circuitBreaker = {failureThreshold: 1};
+		const queue = new ConcurrentCallbackQueue({
+			groups: {api: {maxConcurrent: 2, circuitBreaker}},
+			retryPolicy: {retries: 1},
+		});
+		const options = queue.getOptions();
+
+		options.groups.api.maxConcurrent = 0;
+		options.retryPolicy.delay = -5;
+
+		expect(Object.isFrozen(options.groups)).toBe(true);
+		expect(queue.getOptions().groups.api.maxConcurrent).toBe(2);
+		expect(queue.getOptions().retryPolicy.delay).toBe(defaultQueueOptions.retryPolicy.delay);
+
+		// The options the queue was given are copied, not frozen
+		circuitBreaker.failureThreshold = 0;
+		expect(Object.isFrozen(circuitBreaker)).toBe(false);
+		expect(queue.getOptions().groups.api.circuitBreaker.failureThreshold).toBe(1);
+
+		// Options handed back keep their state
+		queue.setOptions(queue.getOptions());
+		expect(queue.getOptions().groups.api.circuitBreaker).toBe(options.groups.api.circuitBreaker);
+	});
+
+	test('should change options at runtime', () => {
+		const queue = new ConcurrentCallbackQueue();
+		const onQueueStop = jest.fn();
+		const onConfig = jest.fn();
+		queue.on(QueueEvent.CONFIG, onConfig);
+
+		queue.setOptions({onQueueStop, timeout: 500, retryPolicy: {delay: 100}});
+		queue.setMaxConcurrent(3);
+		queue.stop();
+
+		const options = queue.getOptions();
+		expect(options.maxConcurrent).toBe(3);
+		expect(options.timeout).toBe(500);
+		expect(options.retryPolicy.delay).toBe(100);
+		expect(options.autoStart).toBe(true);
+		expect(onQueueStop).toHaveBeenCalled();
+		expect(onConfig).toHaveBeenCalledTimes(2);
+		expect(onConfig).toHaveBeenLastCalledWith(
+			expect.objectContaining({maxConcurrent: 3}),
+			expect.objectContaining({maxConcurrent: defaultQueueOptions.maxConcurrent}),
+		);
+	});
+
+	test('should reject invalid options at runtime, leaving the configuration untouched', () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 2});
+		const onConfig = jest.fn();
+		queue.on(QueueEvent.CONFIG, onConfig);
+
+		expect(() => queue.setOptions(null)).toThrow('The "options" parameter must be an object');
+		expect(() => queue.setMaxConcurrent(0)).toThrow('The "maxConcurrent" option must be a positive integer');
+		expect(() => queue.setMaxConcurrent(1.5)).toThrow('The "maxConcurrent" option must be a positive integer');
+		expect(() => queue.setOptions({maxConcurrent: 4, timeout: -1})).toThrow('The "timeout" option must be a positive number');
+
+		expect(queue.getOptions().maxConcurrent).toBe(2);
+		expect(onConfig).not.toHaveBeenCalled();
+	});
+
+	test('should sort pending callbacks again when the comparator changes', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => 'low', {priority: 1});
+		queue.enqueue(() => 'high', {priority: 2});
+
+		queue.setOptions({priorityComparator: (a, b) => a - b});
+
+		expect(queue.dequeueAll().map(({callback}) => callback())).toEqual(['low', 'high']);
+	});
+
+	test('should fill every free slot at once', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 3});
+		const callbacks = Array.from({length: 5}, () => jest.fn(() => new Promise(() => {})));
+
+		queue.enqueueAll(callbacks);
+		expect(queue.getPendingCount()).toBe(2);
+
+		// Callbacks are called on the next microtask, without waiting for any timer
+		await Promise.resolve();
+		expect(callbacks.filter((callback) => callback.mock.calls.length > 0)).toHaveLength(3);
+		expect(queue.getRunningCount()).toBe(3);
+
+		queue.abort();
+	});
+
+	test('should cancel callbacks that are about to be called', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const callback = jest.fn();
+
+		const {id, promise} = queue.enqueue(callback);
+		expect(queue.cancel(id)).toBe(true);
+
+		await expect(promise).rejects.toThrow(AbortError);
+		expect(callback).not.toHaveBeenCalled();
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should assign unique ids, or use the given ones', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		const first = queue.enqueue(() => {}, {id: 2});
+		const generated = queue.enqueueAll([() => {}, () => {}, () => {}]).map(({id}) => id);
+		const named = queue.enqueue(() => {}, {id: 'report'});
+
+		expect(first.id).toBe(2);
+		expect(generated).toEqual([1, 3, 4]);
+		expect(named.id).toBe('report');
+		expect(queue.cancel('report')).toBe(true);
+	});
+
+	test('should trigger exceptions on invalid or duplicate ids', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'task'});
+
+		expect(() => queue.enqueue(() => {}, {id: 'task'})).toThrow('A task with id "task" is already in the queue');
+		expect(() => queue.enqueue(() => {}, {id: ''})).toThrow('The "id" option must be a string or a number');
+		expect(() => queue.enqueue(() => {}, {id: {}})).toThrow('The "id" option must be a string or a number');
+		expect(() => queue.enqueueAll([() => {}], {id: 'all'})).toThrow('The "id" option cannot be shared by multiple callbacks');
+		expect(() => new ConcurrentCallbackQueue({historyLimit: -1})).toThrow('The "historyLimit" option must be a positive integer');
+		expect(queue.getPendingCount()).toBe(1);
+	});
+
+	test('should list pending tasks in the order they will run', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'low'});
+		queue.enqueue(() => {}, {id: 'high', priority: 1, retries: 2});
+
+		expect(queue.getPending()).toEqual([
+			{
+				id: 'high',
+				status: TaskStatus.PENDING,
+				key: null,
+				group: null,
+				dependsOn: [],
+				runAt: null,
+				every: null,
+				priority: 1,
+				attempts: 0,
+				maxRetries: 2,
+				enqueuedAt: expect.any(Number),
+				startedAt: null,
+				endedAt: null,
+			},
+			expect.objectContaining({id: 'low', status: TaskStatus.PENDING}),
+		]);
+		expect(queue.getRunning()).toEqual([]);
+		expect(queue.getTask('low')).toEqual(queue.getPending()[1]);
+		expect(queue.getTask('unknown')).toBe(null);
+	});
+
+	test('should keep settled tasks up to the history limit', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, historyLimit: 2});
+		const ids = queue.enqueueAll([() => {}, () => {}, () => {}]).map(({id}) => id);
+		queue.dequeueAll();
+
+		expect(queue.getTask(ids[0])).toBe(null);
+		expect(queue.getTask(ids[1])).toEqual(expect.objectContaining({status: TaskStatus.CANCELLED, endedAt: expect.any(Number)}));
+		expect(queue.getTask(ids[2])).toEqual(expect.objectContaining({status: TaskStatus.CANCELLED}));
+
+		queue.setOptions({historyLimit: 0});
+		expect(queue.getTask(ids[2])).toBe(null);
+	});
+
+	test('should return the handle of pending tasks sharing a key', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		const first = queue.enqueue(() => 'first', {key: 'upload'});
+		const second = queue.enqueue(() => 'second', {key: 'upload'});
+		const other = queue.enqueue(() => 'other', {key: 'download'});
+
+		expect(second).toEqual(first);
+		expect(other.id).not.toBe(first.id);
+		expect(queue.getPendingCount()).toBe(2);
+		expect(queue.getTask(first.id).key).toBe('upload');
+		expect(queue.dequeueAll().map(({callback}) => callback())).toEqual(['first', 'other']);
+
+		// Keys are released once their task settles
+		expect(queue.enqueue(() => 'third', {key: 'upload'}).id).not.toBe(first.id);
+	});
+
+	test('should replace the callback of pending tasks sharing a key', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, dedupe: DedupeMode.REPLACE});
+
+		const [first, second] = queue.enqueueAll([() => 'first', () => 'second'], {key: 'save'});
+
+		expect(second).toEqual(first);
+		expect(queue.dequeueAll().map(({callback}) => callback())).toEqual(['second']);
+	});
+
+	test('should ignore keys when always enqueueing', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, dedupe: DedupeMode.ALWAYS});
+
+		queue.enqueue(() => {}, {key: 'save'});
+		queue.enqueue(() => {}, {key: 'save'});
+
+		expect(queue.getPendingCount()).toBe(2);
+	});
+
+	test('should trigger exceptions on invalid keys and dedupe modes', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		expect(() => queue.enqueue(() => {}, {key: null})).not.toThrow();
+		expect(() => queue.enqueue(() => {}, {key: []})).toThrow('The "key" option must be a string or a number');
+		expect(() => new ConcurrentCallbackQueue({dedupe: 'never'})).toThrow('The "dedupe" option is invalid');
+	});
+
+	test('should count, clear and report the pending tasks of a group', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, groups: {api: {maxConcurrent: 2}}});
+		queue.enqueue(() => 'api', {group: 'api'});
+		queue.enqueue(() => 'api', {group: 'api'});
+		queue.enqueue(() => 'db', {group: 'db'});
+		queue.enqueue(() => 'none');
+
+		expect(queue.getGroup('api')).toEqual({pending: 2, running: 0, paused: false, maxConcurrent: 2, circuit: null});
+		expect(queue.getGroup('db')).toEqual({pending: 1, running: 0, paused: false, maxConcurrent: Infinity, circuit: null});
+		expect(queue.getTask(queue.getPending()[0].id).group).toBe('api');
+
+		queue.pauseGroup('db');
+		expect(queue.getGroup('db').paused).toBe(true);
+
+		expect(queue.clearGroup('api').map(({callback}) => callback())).toEqual(['api', 'api']);
+		expect(queue.getGroup('api').pending).toBe(0);
+		expect(queue.getPendingCount()).toBe(2);
+	});
+
+	test('should treat numeric groups as their names', async () => {
+		const queue = new ConcurrentCallbackQueue({groups: {1: {maxConcurrent: 1}}});
+		queue.pauseGroup('1');
+		const {id, promise} = queue.enqueue(() => 'paused', {group: 1});
+		queue.enqueue(() => 'paused', {group: '1'});
+
+		expect(queue.getTask(id).group).toBe('1');
+		expect(queue.getGroup(1)).toEqual({pending: 2, running: 0, paused: true, maxConcurrent: 1, circuit: null});
+		expect(queue.getGroup('1').pending).toBe(2);
+
+		queue.resumeGroup(1);
+		await expect(promise).resolves.toBe('paused');
+		await queue.onIdle();
+	});
+
+	test('should trigger exceptions on invalid groups', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+
+		expect(() => queue.enqueue(() => {}, {group: {}})).toThrow('The "group" option must be a string or a number');
+		expect(() => new ConcurrentCallbackQueue({groups: null})).toThrow('The "groups" option must be an object');
+		expect(() => new ConcurrentCallbackQueue({groups: {api: {maxConcurrent: 0}}})).toThrow('The "groups.api.maxConcurrent" option must be a positive integer');
+		expect(() => new ConcurrentCallbackQueue({groups: {api: null}})).toThrow('The "groups.api.maxConcurrent" option must be a positive integer');
+		expect(() => queue.setOptions({groups: {api: {maxConcurrent: Infinity}}})).not.toThrow();
+	});
+
+	test('should throw when adding callbacks to a full queue', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, maxPending: 2});
+		const overflow = jest.fn();
+		queue.on(QueueEvent.OVERFLOW, overflow);
+		queue.enqueue(() => {}, {key: 'first'});
+		queue.enqueue(() => {});
+
+		expect(() => queue.enqueue(() => {}, {id: 'third'})).toThrow(QueueFullError);
+		expect(overflow).toHaveBeenCalledWith({id: 'third', policy: OverflowPolicy.THROW});
+		expect(() => queue.enqueue(() => {}, {key: 'first'})).not.toThrow();
+		expect(queue.getTask('third')).toBe(null);
+
+		queue.dequeue();
+		expect(() => queue.enqueueAll([() => {}, () => {}])).toThrow('The queue already holds 2 pending callbacks');
+		expect(queue.getPendingCount()).toBe(1);
+	});
+
+	test('should drop the newest callback when the queue is full', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, maxPending: 1, overflow: OverflowPolicy.DROP_NEWEST});
+		const overflow = jest.fn();
+		queue.on(QueueEvent.OVERFLOW, overflow);
+		queue.enqueue(() => 'kept');
+		const dropped = queue.enqueue(() => 'dropped');
+
+		await expect(dropped.promise).rejects.toThrow(AbortError);
+		expect(overflow).toHaveBeenCalledWith({id: dropped.id, policy: OverflowPolicy.DROP_NEWEST});
+		expect(queue.getTask(dropped.id).status).toBe(TaskStatus.CANCELLED);
+		expect(queue.dequeueAll().map(({callback}) => callback())).toEqual(['kept']);
+	});
+
+	test('should drop the oldest callback when the queue is full', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false, maxPending: 2, overflow: OverflowPolicy.DROP_OLDEST});
+		const overflow = jest.fn();
+		queue.on(QueueEvent.OVERFLOW, overflow);
+		const oldest = queue.enqueue(() => 'first');
+		queue.enqueue(() => 'second', {priority: -1});
+		queue.enqueue(() => 'third');
+
+		await expect(oldest.promise).rejects.toThrow('The callback was dropped because the queue is full');
+		expect(overflow).toHaveBeenCalledWith({id: oldest.id, policy: OverflowPolicy.DROP_OLDEST});
+		expect(queue.dequeueAll().map(({callback}) => callback())).toEqual(['third', 'second']);
+	});
+
+	test('should trigger exceptions on invalid capacity options', () => {
+		expect(() => new ConcurrentCallbackQueue({maxPending: 0})).toThrow('The "maxPending" option must be a positive integer');
+		expect(() => new ConcurrentCallbackQueue({maxPending: 1.5})).toThrow('The "maxPending" option must be a positive integer');
+		expect(() => new ConcurrentCallbackQueue({overflow: 'block'})).toThrow('The "overflow" option is invalid');
+		expect(new ConcurrentCallbackQueue().getOptions()).toEqual(expect.objectContaining({maxPending: Infinity, overflow: OverflowPolicy.THROW}));
+	});
+
+	test('should trigger exceptions on invalid result iteration arguments', () => {
+		const queue = new ConcurrentCallbackQueue();
+
+		expect(() => queue.results({order: 'random'})).toThrow('The "order" option is invalid');
+		expect(() => mapConcurrent([], 'not a function')).toThrow('The "mapper" parameter must be a function');
+		expect(() => mapConcurrent(42, () => {})).toThrow('The "iterable" parameter must be an iterable or an async iterable');
+		expect(() => mapConcurrent([], () => {}, {order: 'random'})).toThrow('The "order" option is invalid');
+		expect(() => mapConcurrent([], () => {}, {maxConcurrent: 0})).toThrow('The "maxConcurrent" option must be a positive integer');
+	});
+
+	test('should pause an idle queue right away and resume it', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const states = [];
+		queue.on(QueueEvent.PAUSING, () => states.push('pausing'));
+		queue.on(QueueEvent.PAUSE, () => states.push('pause'));
+
+		await queue.pause();
+		expect(queue.getState()).toBe(QueueState.PAUSED);
+		expect(states).toEqual(['pausing', 'pause']);
+
+		queue.enqueue(() => {});
+		expect(queue.getState()).toBe(QueueState.PAUSED);
+		expect(queue.getPendingCount()).toBe(1);
+
+		queue.start();
+		expect(queue.getState()).toBe(QueueState.BUSY);
+
+		queue.resume();
+		expect(queue.getState()).toBe(QueueState.BUSY);
+	});
+
+	test('should reject callbacks once shut down', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const report = await queue.shutdown();
+
+		expect(report).toEqual({completed: [], aborted: [], running: [], pending: []});
+		expect(queue.getState()).toBe(QueueState.STOPPED);
+		expect(() => queue.enqueue(() => {})).toThrow(ShutdownError);
+		expect(() => queue.enqueueAll([() => {}])).toThrow('The queue was shut down and no longer accepts callbacks');
+		await expect(queue.enqueueAsync(() => {})).rejects.toThrow(ShutdownError);
+
+		queue.start();
+		expect(queue.getState()).toBe(QueueState.STOPPED);
+	});
+
+	test('should validate the shutdown timeout', async () => {
+		const queue = new ConcurrentCallbackQueue();
+
+		await expect(queue.shutdown({timeout: -1})).rejects.toThrow('The "timeout" option must be a positive number');
+		await expect(queue.shutdown({timeout: 'soon'})).rejects.toThrow('The "timeout" option must be a positive number');
+		expect(() => queue.enqueue(() => {})).not.toThrow();
+	});
+
+	test('should trigger exceptions on invalid persistence options', async () => {
+		expect(() => new ConcurrentCallbackQueue({handlers: null})).toThrow('The "handlers" option must be an object');
+		expect(() => new ConcurrentCallbackQueue({handlers: {send: 'send'}})).toThrow('The "handlers.send" option must be a function');
+		expect(() => new ConcurrentCallbackQueue({storage: {load: () => []}})).toThrow('The "storage" option must have load and save methods');
+
+		const queue = new ConcurrentCallbackQueue({handlers: {send: () => {}}});
+		expect(() => queue.dispatch('receive', {})).toThrow('The "receive" handler is not registered');
+		expect(() => queue.dispatch('send', {}, {retries: -1})).toThrow('The "retries" parameter must be a positive number');
+		expect(() => queue.save()).toThrow('The "storage" option must be set to save tasks');
+		await expect(queue.restore()).rejects.toThrow('The "storage" option must be set to restore tasks');
+	});
+
+	test('should run dispatched tasks with their handler and payload', async () => {
+		const send = jest.fn((payload, signal) => `${payload.to} ${signal.aborted}`);
+		const queue = new ConcurrentCallbackQueue({handlers: {send}});
+
+		const {id, promise} = queue.dispatch('send', {to: 'a@b.c'}, {id: 'welcome'});
+		expect(id).toBe('welcome');
+		await expect(promise).resolves.toBe('a@b.c false');
+		expect(send).toHaveBeenCalledTimes(1);
+	});
+
+	test('should trigger exceptions on invalid dependencies', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'a'});
+
+		expect(() => queue.enqueue(() => {}, {dependsOn: 'a'})).toThrow('The "dependsOn" option must be an array');
+		expect(() => queue.enqueue(() => {}, {dependsOn: [null]})).toThrow('The "dependsOn" option must be a string or a number');
+		expect(() => queue.enqueue(() => {}, {dependsOn: ['a'], dependencyPolicy: 'ignore'})).toThrow('The "dependencyPolicy" option is invalid');
+		expect(() => queue.enqueue(() => {}, {dependsOn: ['b']})).toThrow('The dependency "b" is not in the queue');
+		expect(() => queue.enqueue(() => {}, {id: 'b', dependsOn: ['b']})).toThrow("A task can't depend on itself");
+		expect(queue.getPendingCount()).toBe(1);
+	});
+
+	test('should hold tasks until their dependencies succeed', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'a'});
+		queue.enqueue(() => {}, {id: 'b', dependsOn: ['a', 'a'], priority: 10});
+
+		expect(queue.getPendingCount()).toBe(2);
+		expect(queue.getPending().map(({id}) => id)).toEqual(['a', 'b']);
+		expect(queue.getTask('b')).toMatchObject({status: TaskStatus.PENDING, dependsOn: ['a']});
+	});
+
+	test('should trigger exceptions on invalid graphs', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'taken'});
+
+		await expect(queue.runGraph(null)).rejects.toThrow('The "graph" parameter must be an object');
+		await expect(queue.runGraph({a: () => {}}, {id: 'a'})).rejects.toThrow('The "id" option cannot be shared by multiple callbacks');
+		await expect(queue.runGraph({a: {dependsOn: []}})).rejects.toThrow('The "a" node must be a function or have a callback');
+		await expect(queue.runGraph({a: {callback: () => {}, dependsOn: 'b'}})).rejects.toThrow('The "a.dependsOn" option must be an array');
+		await expect(queue.runGraph({a: {callback: () => {}, dependsOn: ['b']}})).rejects.toThrow('The "a" node depends on "b", which is not in the graph');
+		await expect(queue.runGraph({
+			a: () => {},
+			b: {callback: () => {}, dependsOn: ['a', 'd']},
+			c: {callback: () => {}, dependsOn: ['b']},
+			d: {callback: () => {}, dependsOn: ['c']},
+		})).rejects.toThrow('The graph has a cycle: b -> d -> c -> b');
+		await expect(queue.runGraph({taken: () => {}})).rejects.toThrow('A task with id "taken" is already in the queue');
+		await expect(queue.runGraph({a: () => {}, b: {callback: () => {}, retries: -1}})).rejects.toThrow('The "retries" parameter must be a positive number');
+		await expect(queue.runGraph({a: () => {}}, {every: 100})).rejects.toThrow('The "every" option cannot be used in a graph');
+		expect(queue.getPendingCount()).toBe(1);
+	});
+});
+
+describe('integration', () => {
+	test('should process callbacks in parallel up to maxConcurrent limit', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			maxConcurrent: 2,
+		});
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 200));
+
+		expect(callbackResults).toEqual([2, 3, 1]);
+	});
+
+	test('should handle sequential and parallel callback processing correctly', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			maxConcurrent: 2,
+		});
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('A')), 100))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('B')), 50))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('C')), 10))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('D')), 20))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('E')), 60))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 300));
+
+		expect(callbackResults).toEqual(['B', 'C', 'D', 'A', 'E']);
+	});
+
+	test('should retry failed callbacks up to the specified retry limit', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const failingCallback = jest.fn().mockRejectedValue(new Error('Retry Test Error'));
+
+		queue.enqueue(failingCallback, 3); // 3 retries
+
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 400));
+
+		expect(failingCallback).toHaveBeenCalledTimes(4); // initial + 3 retries
+	});
+
+	test('should process callbacks in sequence when maxConcurrent is 1', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			maxConcurrent: 1,
+		});
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(4)), 20))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 300));
+
+		expect(callbackResults).toEqual([1, 2, 3, 4]);
+	});
+
+	test('should call lifecycle hooks appropriately during processing', async () => {
+		const onCallbackSuccess = jest.fn();
+		const onCallbackError = jest.fn();
+		const onQueueIdle = jest.fn();
+		const onQueueBusy = jest.fn();
+		const onQueueStop = jest.fn();
+
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: true,
+			maxConcurrent: 1,
+			onCallbackSuccess,
+			onCallbackError,
+			onQueueIdle,
+			onQueueBusy,
+			onQueueStop,
+		});
+
+		const successfulCallback = jest.fn().mockResolvedValue(true);
+		const failingCallback = jest.fn().mockRejectedValue(new Error('Test Error'));
+
+		queue.enqueue(successfulCallback);
+		queue.enqueue(failingCallback, 1); // 1 retry
+
+		await new Promise(resolve => setTimeout(resolve, 300));
+
+		expect(onCallbackSuccess).toHaveBeenCalledTimes(1);
+		expect(onCallbackError).toHaveBeenCalledTimes(2); // initial + 1 retry
+		expect(onQueueIdle).toHaveBeenCalled();
+		expect(onQueueBusy).toHaveBeenCalled();
+		expect(onQueueStop).not.toHaveBeenCalled();
+	});
+
+	test('should pause and resume the queue correctly', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({ maxConcurrent: 2 });
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('A')), 100))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('B')), 50))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('C')), 10))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		// Pause the queue after some time
+		setTimeout(() => queue.stop(), 20);
+
+		// Resume the queue after some time
+		setTimeout(() => queue.start(), 150);
+
+		await new Promise(resolve => setTimeout(resolve, 300));
+
+		expect(callbackResults).toEqual(['B', 'A', 'C']);
+	});
+
+	test('should handle a mix of successful and failing callbacks', async () => {
+		const callbackResults = [];
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 2,
+			onCallbackError,
+		});
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Success1')), 50))),
+			jest.fn(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Fail1')), 30))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Success2')), 10))),
+			jest.fn(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Fail2')), 20))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 200));
+
+		expect(callbackResults).toEqual(['Success2', 'Success1']);
+		expect(onCallbackError).toHaveBeenCalledTimes(2);
+	});
+
+	test('should process long-running callbacks without issues', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({ maxConcurrent: 2 });
+
+		const callbacks = [
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Long1')), 200))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Short1')), 50))),
+			jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Short2')), 30))),
+		];
+
+		queue.enqueueAll(callbacks);
+		queue.start();
+
+		await new Promise(resolve => setTimeout(resolve, 300));
+
+		expect(callbackResults).toEqual(['Short1', 'Short2', 'Long1']);
+	});
+
+	test('should respect maxConcurrent limit when set to various values', async () => {
+		const callbackResults = [];
+
+		const runTest = async (maxConcurrent, expectedResults) => {
+			const queue = new ConcurrentCallbackQueue({ maxConcurrent });
+			const callbacks = [
+				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(1)), 100))),
+				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(2)), 50))),
+				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(3)), 10))),
+				jest.fn(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push(4)), 15))),
+			];
+
+			queue.enqueueAll(callbacks);
+			queue.start();
+
+			await new Promise(resolve => setTimeout(resolve, 200));
+
+			expect(callbackResults).toEqual(expectedResults);
 			callbackResults.length = 0; // Clear the results for the next test
 		};
 
-		await runTest(1, [1, 2, 3, 4]);
-		await runTest(2, [2, 3, 4, 1]);
-		await runTest(3, [3, 4, 2, 1]);
+		await runTest(1, [1, 2, 3, 4]);
+		await runTest(2, [2, 3, 4, 1]);
+		await runTest(3, [3, 4, 2, 1]);
+	});
+
+	test('should not hold a concurrency slot while waiting to retry', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 1,
+			retryPolicy: {delay: 100},
+		});
+
+		const failingCallback = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')))
+			.mockImplementationOnce(() => callbackResults.push('Retried'));
+
+		queue.enqueue(failingCallback, 1);
+		queue.enqueue(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Second')), 10)));
+
+		await new Promise(resolve => setTimeout(resolve, 200));
+
+		expect(callbackResults).toEqual(['Second', 'Retried']);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should free the concurrency slot of hung callbacks', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 1,
+			timeout: 50,
+		});
+
+		queue.enqueue(() => new Promise(() => {}));
+		queue.enqueue(() => new Promise(resolve => setTimeout(() => resolve(callbackResults.push('Second')), 10)));
+
+		await new Promise(resolve => setTimeout(resolve, 150));
+
+		expect(callbackResults).toEqual(['Second']);
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should start callbacks no faster than the rate limit allows', async () => {
+		const startedAt = [];
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 10,
+			rateLimit: {limit: 1, interval: 50, burst: 2},
+		});
+
+		const handles = queue.enqueueAll(Array.from({length: 5}, () => () => startedAt.push(Date.now())));
+		await Promise.all(handles.map(({promise}) => promise));
+
+		// Two callbacks start right away, the rest one every 50ms
+		const elapsed = startedAt.map((time) => time - startedAt[0]);
+		expect(elapsed[1]).toBeLessThan(25);
+		expect(elapsed[2]).toBeGreaterThanOrEqual(45);
+		expect(elapsed[3]).toBeGreaterThanOrEqual(95);
+		expect(elapsed[4]).toBeGreaterThanOrEqual(145);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should resolve onEmpty and onIdle as the queue drains', async () => {
+		const events = [];
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 2});
+
+		queue.enqueueAll(Array.from({length: 4}, () => () => new Promise((resolve) => {
+			setTimeout(() => resolve(events.push('done')), 30)
+		})));
+
+		// Waiting promises can be awaited multiple times from anywhere
+		const idle = queue.onIdle();
+		await Promise.all([
+			queue.onEmpty().then(() => events.push('empty')),
+			queue.onIdle().then(() => events.push('idle')),
+			idle,
+		]);
+
+		expect(events).toEqual(['done', 'done', 'empty', 'done', 'done', 'idle']);
+		expect(queue.getRunningCount()).toBe(0);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should not resolve onIdle while callbacks wait to be retried', async () => {
+		const queue = new ConcurrentCallbackQueue({retryPolicy: {delay: 50}});
+		const callback = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')))
+			.mockImplementationOnce(() => 'Success');
+
+		queue.enqueue(callback, 1);
+		await queue.onIdle();
+
+		expect(callback).toHaveBeenCalledTimes(2);
+	});
+
+	test('should apply backpressure with onSizeLessThan', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1});
+		let maxPending = 0;
+
+		for (let i = 0; i < 10; i++) {
+			await queue.onSizeLessThan(3);
+			queue.enqueue(() => new Promise((resolve) => {
+				setTimeout(resolve, 5)
+			}));
+			maxPending = Math.max(maxPending, queue.getPendingCount());
+		}
+
+		await queue.onIdle();
+		expect(maxPending).toBeLessThanOrEqual(3);
+	});
+
+	test('should emit callback events to every listener', async () => {
+		const events = [];
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError, timeout: 30});
+
+		for (const event of Object.values(QueueEvent)) {
+			queue.on(event, (...args) => events.push([event, ...args]));
+		}
+		const onError = jest.fn();
+		queue.on(QueueEvent.ERROR, onError);
+
+		const callback = jest.fn()
+			.mockImplementationOnce(() => new Promise(() => {}))
+			.mockImplementationOnce(() => 'Success');
+		const {id} = queue.enqueue(callback, 1);
+		await queue.onIdle();
+
+		expect(events.map(([event]) => event)).toEqual([
+			QueueEvent.ENQUEUE,
+			QueueEvent.BUSY,
+			QueueEvent.START,
+			QueueEvent.ERROR,
+			QueueEvent.TIMEOUT,
+			QueueEvent.RETRY,
+			QueueEvent.START,
+			QueueEvent.SUCCESS,
+			QueueEvent.IDLE,
+		]);
+		expect(events[2][1]).toEqual(expect.objectContaining({id, attempt: 1, maxRetries: 1, timeout: 30}));
+		expect(events[5]).toEqual([QueueEvent.RETRY, expect.any(TimeoutError), expect.objectContaining({id, final: false, retryDelay: 0})]);
+		expect(events[7]).toEqual([QueueEvent.SUCCESS, 'Success', expect.objectContaining({id, attempt: 2, final: true})]);
+
+		// Hooks are still called along with the listeners
+		expect(onCallbackError).toHaveBeenCalledTimes(1);
+		expect(onError).toHaveBeenCalledWith(expect.any(TimeoutError), expect.objectContaining({id, attempt: 1}));
+	});
+
+	test('should emit cancel events for aborted running callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const onCancel = jest.fn();
+		const onError = jest.fn();
+		queue.on(QueueEvent.CANCEL, onCancel).on(QueueEvent.ERROR, onError);
+
+		const {id, promise} = queue.enqueue(() => new Promise(() => {}));
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+		queue.abort();
+
+		await expect(promise).rejects.toThrow(AbortError);
+		expect(onCancel).toHaveBeenCalledWith(expect.any(AbortError), {id});
+		expect(onError).not.toHaveBeenCalled();
+	});
+
+	test('should apply maxConcurrent changes to a running queue', async () => {
+		let running = 0;
+		const counts = [];
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1});
+		const callback = () => {
+			running++;
+			counts.push(running);
+			return new Promise((resolve) => {
+				setTimeout(() => resolve(running--), 40)
+			});
+		};
+
+		queue.enqueueAll(Array.from({length: 6}, () => callback));
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+
+		// Raising the limit starts more callbacks right away
+		queue.setMaxConcurrent(3);
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+		expect(queue.getRunningCount()).toBe(3);
+
+		// Lowering it lets running callbacks finish
+		queue.setMaxConcurrent(1);
+		expect(queue.getRunningCount()).toBe(3);
+
+		await queue.onIdle();
+		expect(Math.max(...counts.slice(4))).toBe(1);
+	});
+
+	test('should report the status of tasks through their lifecycle', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, retryPolicy: {delay: 30}});
+		const failing = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')))
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')));
+
+		queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(resolve, 20)
+		}), {id: 'slow'});
+		queue.enqueue(failing, {id: 'failing', retries: 1});
+
+		expect(queue.getRunning().map(({id}) => id)).toEqual(['slow']);
+		expect(queue.getRunningCount()).toBe(1);
+		expect(queue.getTask('slow').status).toBe(TaskStatus.RUNNING);
+		expect(queue.getTask('failing').status).toBe(TaskStatus.PENDING);
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 35)
+		});
+		expect(queue.getTask('slow')).toEqual(expect.objectContaining({
+			status: TaskStatus.SUCCEEDED,
+			attempts: 1,
+			startedAt: expect.any(Number),
+		}));
+		expect(queue.getTask('failing')).toEqual(expect.objectContaining({status: TaskStatus.RETRYING, attempts: 1}));
+		expect(queue.getPending().map(({id}) => id)).toEqual(['failing']);
+
+		await queue.onIdle();
+		const failed = queue.getTask('failing');
+		expect(failed).toEqual(expect.objectContaining({status: TaskStatus.FAILED, attempts: 2}));
+		expect(failed.endedAt).toBeGreaterThanOrEqual(failed.startedAt);
+	});
+
+	test('should return the handle of running tasks sharing a key, whatever the mode', async () => {
+		const queue = new ConcurrentCallbackQueue({dedupe: DedupeMode.REPLACE});
+		const replacement = jest.fn();
+
+		const first = queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(() => resolve('first'), 20)
+		}), {key: 'upload'});
+		await Promise.resolve();
+		const second = queue.enqueue(replacement, {key: 'upload'});
+
+		expect(second).toEqual(first);
+		await expect(second.promise).resolves.toBe('first');
+		expect(replacement).not.toHaveBeenCalled();
+	});
+
+	test('should limit each group without blocking other groups', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 3, groups: {slow: {maxConcurrent: 1}}});
+		const started = [];
+		const task = (name, ms) => () => new Promise((resolve) => {
+			started.push(name);
+			setTimeout(resolve, ms);
+		});
+
+		queue.enqueue(task('slow-1', 30), {group: 'slow'});
+		queue.enqueue(task('slow-2', 30), {group: 'slow'});
+		queue.enqueue(task('slow-3', 30), {group: 'slow'});
+		queue.enqueue(task('fast-1', 5), {group: 'fast'});
+		queue.enqueue(task('fast-2', 5), {group: 'fast'});
+		await Promise.resolve();
+
+		expect(started).toEqual(['slow-1', 'fast-1', 'fast-2']);
+		expect(queue.getGroup('slow')).toEqual({pending: 2, running: 1, paused: false, maxConcurrent: 1, circuit: null});
+		expect(queue.getGroup('fast').running).toBe(2);
+
+		await queue.onIdle();
+		expect(started.slice(3)).toEqual(['slow-2', 'slow-3']);
+		expect(queue.getGroup('slow').running).toBe(0);
+	});
+
+	test('should wait for room before adding callbacks asynchronously', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, maxPending: 2});
+		const results = [];
+		let maxPending = 0;
+		queue.on(QueueEvent.ENQUEUE, () => {
+			maxPending = Math.max(maxPending, queue.getPendingCount() + 1);
+		});
+
+		const producer = async (name) => {
+			for (let i = 0; i < 5; i++) {
+				await queue.enqueueAsync(() => new Promise((resolve) => {
+					setTimeout(() => {
+						results.push(`${name}${i}`);
+						resolve();
+					}, 2);
+				}));
+			}
+		};
+
+		await Promise.all([producer('a'), producer('b')]);
+		await queue.onIdle();
+
+		expect(results).toHaveLength(10);
+		expect(results.filter((result) => result.startsWith('a'))).toEqual(['a0', 'a1', 'a2', 'a3', 'a4']);
+		expect(maxPending).toBeLessThanOrEqual(2);
+		await expect(queue.enqueueAsync('not a function')).rejects.toThrow('The "callback" parameter must be a function or a promise');
+	});
+
+	test('should iterate results in completion order, including callbacks added meanwhile', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const wait = (ms, value) => () => new Promise((resolve) => {
+			setTimeout(() => resolve(value), ms);
+		});
+		queue.enqueue(wait(30, 'slow'), {id: 'slow'});
+		queue.enqueue(wait(5, 'fast'), {id: 'fast'});
+		queue.enqueue(() => {
+			throw new Error('Failed');
+		}, {id: 'failing'});
+
+		const results = [];
+		for await (const result of queue.results()) {
+			results.push(result);
+			if (result.id === 'fast') {
+				queue.enqueue(wait(5, 'late'), {id: 'late'});
+			}
+		}
+
+		expect(results.map(({id}) => id)).toEqual(['failing', 'fast', 'late', 'slow']);
+		expect(results[0].error).toEqual(new Error('Failed'));
+		expect(results[3]).toEqual({id: 'slow', value: 'slow'});
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should iterate results in input order and end right away on an idle queue', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const emptyResults = [];
+		for await (const result of queue.results()) {
+			emptyResults.push(result);
+		}
+		expect(emptyResults).toEqual([]);
+
+		[30, 5, 15].forEach((ms) => queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(() => resolve(ms), ms);
+		})));
+
+		const results = [];
+		for await (const {value} of queue.results({order: ResultOrder.INPUT})) {
+			results.push(value);
+		}
+		expect(results).toEqual([30, 5, 15]);
+	});
+
+	test('should map async iterables lazily, up to maxConcurrent items ahead', async () => {
+		let read = 0;
+		async function* numbers() {
+			for (let i = 0; i < 10; i++) {
+				read++;
+				yield i;
+			}
+		}
+
+		const running = new Set();
+		let maxRunning = 0;
+		const results = mapConcurrent(numbers(), (n, index, signal) => new Promise((resolve) => {
+			running.add(n);
+			maxRunning = Math.max(maxRunning, running.size);
+			expect(signal).toBeInstanceOf(AbortSignal);
+			setTimeout(() => {
+				running.delete(n);
+				resolve(n * index);
+			}, (10 - n) * 2);
+		}), {maxConcurrent: 3, order: ResultOrder.INPUT});
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 5)
+		});
+		expect(read).toBe(3);
+
+		const values = [];
+		for await (const {id, value} of results) {
+			values.push([id, value]);
+		}
+
+		expect(values).toEqual(Array.from({length: 10}, (_, i) => [i, i * i]));
+		expect(maxRunning).toBe(3);
+	});
+
+	test('should report errors of the mapper and of the iterable', async () => {
+		function* items() {
+			yield 1;
+			yield 2;
+			throw new Error('Read failed');
+		}
+
+		const results = [];
+		const iterate = async () => {
+			for await (const result of mapConcurrent(items(), (n) => {
+				if (n === 2) {
+					throw new Error('Map failed');
+				}
+				return n;
+			}, {order: ResultOrder.INPUT})) {
+				results.push(result);
+			}
+		};
+
+		await expect(iterate()).rejects.toThrow('Read failed');
+		expect(results).toEqual([{id: 0, value: 1}, {id: 1, error: new Error('Map failed')}]);
+	});
+
+	test('should abort the mapping and close the iterable when stopped early', async () => {
+		const finished = jest.fn();
+		function* items() {
+			try {
+				for (let i = 0; ; i++) {
+					yield i;
+				}
+			} finally {
+				finished();
+			}
+		}
+
+		const signals = [];
+		for await (const {value} of mapConcurrent(items(), (n, index, signal) => {
+			signals.push(signal);
+			return n === 0 ? n : new Promise(() => {});
+		}, {maxConcurrent: 2})) {
+			expect(value).toBe(0);
+			break;
+		}
+
+		expect(finished).toHaveBeenCalled();
+		expect(signals.length).toBeGreaterThan(1);
+		expect(signals.slice(1).every((signal) => signal.aborted)).toBe(true);
+	});
+
+	test('should pause once running callbacks settle and resume pending ones', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 2});
+		const finished = [];
+		const task = (name) => () => new Promise((resolve) => {
+			setTimeout(() => {
+				finished.push(name);
+				resolve();
+			}, 20);
+		});
+		['a', 'b', 'c', 'd'].forEach((name) => queue.enqueue(task(name)));
+		await Promise.resolve();
+
+		const paused = queue.pause();
+		expect(queue.getState()).toBe(QueueState.PAUSING);
+		expect(queue.getRunningCount()).toBe(2);
+
+		await paused;
+		expect(queue.getState()).toBe(QueueState.PAUSED);
+		expect(finished).toEqual(['a', 'b']);
+		expect(queue.getPendingCount()).toBe(2);
+
+		await new Promise((resolve) => {
+			setTimeout(resolve, 30)
+		});
+		expect(finished).toEqual(['a', 'b']);
+
+		queue.resume();
+		expect(queue.getState()).toBe(QueueState.BUSY);
+		await queue.onIdle();
+		expect(finished).toEqual(['a', 'b', 'c', 'd']);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should resolve a pending pause when resumed before running callbacks settle', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(resolve, 20);
+		}));
+		queue.enqueue(() => {});
+		await Promise.resolve();
+
+		const paused = queue.pause();
+		queue.resume();
+		await paused;
+
+		expect(queue.getState()).toBe(QueueState.BUSY);
+		await queue.onIdle();
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should hold the tasks of a paused group until resumed', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const paused = jest.fn();
+		const other = jest.fn();
+
+		queue.pauseGroup('reports');
+		queue.enqueue(paused, {group: 'reports'});
+		queue.enqueue(other, {group: 'emails'});
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+
+		expect(other).toHaveBeenCalled();
+		expect(paused).not.toHaveBeenCalled();
+		expect(queue.getState()).toBe(QueueState.BUSY);
+
+		queue.resumeGroup('reports');
+		await queue.onIdle();
+		expect(paused).toHaveBeenCalled();
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should let running callbacks settle on shutdown and report pending ones', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 2});
+		const never = jest.fn();
+		const first = queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(() => resolve('a'), 20);
+		}), {id: 'a'});
+		queue.enqueue(() => Promise.reject(new Error('failed')), {id: 'b'});
+		const pending = queue.enqueue(never, {id: 'c', priority: 3});
+		pending.promise.catch(() => {});
+		await Promise.resolve();
+
+		const report = await queue.shutdown();
+		await expect(first.promise).resolves.toBe('a');
+		await expect(pending.promise).rejects.toThrow('The queue was shut down');
+
+		expect(never).not.toHaveBeenCalled();
+		expect(report.completed.map(({id, status}) => [id, status])).toEqual([
+			['a', TaskStatus.SUCCEEDED],
+			['b', TaskStatus.FAILED],
+		]);
+		expect(report.aborted).toEqual([]);
+		expect(report.running).toEqual([]);
+		expect(report.pending).toHaveLength(1);
+		expect(report.pending[0]).toMatchObject({id: 'c', priority: 3, status: TaskStatus.PENDING, callback: never});
+		expect(queue.getPendingCount()).toBe(0);
+	});
+
+	test('should report callbacks waiting to be retried as pending on shutdown', async () => {
+		const queue = new ConcurrentCallbackQueue({retryPolicy: {delay: 1000}});
+		const callback = jest.fn(() => Promise.reject(new Error('failed')));
+		const {promise} = queue.enqueue(callback, {id: 'flaky', retries: 2});
+		promise.catch(() => {});
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+
+		const report = await queue.shutdown();
+
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(report.completed).toEqual([]);
+		expect(report.pending.map(({id}) => id)).toEqual(['flaky']);
+		await expect(promise).rejects.toThrow(AbortError);
+	});
+
+	test('should abort callbacks still running once the shutdown timeout elapses', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const signals = [];
+		queue.enqueue(() => 'fast', {id: 'fast'});
+		const slow = queue.enqueue((signal) => new Promise((resolve, reject) => {
+			signals.push(signal);
+			signal.addEventListener('abort', () => reject(signal.reason));
+		}), {id: 'slow'});
+		await Promise.resolve();
+
+		const report = await queue.shutdown({timeout: 20, abortRunning: true});
+
+		expect(signals[0].aborted).toBe(true);
+		await expect(slow.promise).rejects.toThrow(AbortError);
+		expect(report.completed.map(({id}) => id)).toEqual(['fast']);
+		expect(report.aborted.map(({id, status}) => [id, status])).toEqual([['slow', TaskStatus.CANCELLED]]);
+		expect(report.running).toEqual([]);
+		expect(queue.getRunningCount()).toBe(0);
+	});
+
+	test('should leave callbacks running once the shutdown timeout elapses unless told to abort them', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const slow = queue.enqueue(() => new Promise((resolve) => {
+			setTimeout(() => resolve('late'), 50);
+		}), {id: 'slow'});
+		await Promise.resolve();
+
+		const report = await queue.shutdown({timeout: 10});
+
+		expect(report.completed).toEqual([]);
+		expect(report.aborted).toEqual([]);
+		expect(report.running.map(({id, status}) => [id, status])).toEqual([['slow', TaskStatus.RUNNING]]);
+		expect(queue.getRunningCount()).toBe(1);
+		await expect(slow.promise).resolves.toBe('late');
+	});
+
+	test('should not retry callbacks that fail once the queue is shut down', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const callback = jest.fn(() => new Promise((resolve, reject) => {
+			setTimeout(() => reject(new Error('failed')), 30);
+		}));
+		const {promise} = queue.enqueue(callback, {id: 'late', retries: 2});
+		await Promise.resolve();
+
+		const report = await queue.shutdown({timeout: 10});
+		expect(report.running.map(({id}) => id)).toEqual(['late']);
+
+		await expect(promise).rejects.toThrow('failed');
+		expect(callback).toHaveBeenCalledTimes(1);
+		expect(queue.getTask('late').status).toBe(TaskStatus.FAILED);
+		expect(queue.getPendingCount()).toBe(0);
+	});
+
+	test('should save dispatched tasks until they settle', async () => {
+		const storage = new MemoryStorage();
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers: {send: () => 'sent'}, storage});
+		queue.dispatch('send', {to: 'a@b.c'}, {id: 'welcome', priority: 2, retries: 1, key: 'a@b.c', group: 'mail'});
+		queue.dispatch('send', {to: 'd@e.f'});
+		queue.enqueue(() => 'not saved');
+		await queue.save();
+
+		expect(storage.load()).toEqual([
+			{id: 'welcome', handler: 'send', payload: {to: 'a@b.c'}, priority: 2, retries: 1, timeout: null, key: 'a@b.c', group: 'mail', dependsOn: [], runAt: null, every: null},
+			{id: 1, handler: 'send', payload: {to: 'd@e.f'}, priority: 0, retries: 0, timeout: null, key: null, group: null, dependsOn: [], runAt: null, every: null},
+		]);
+
+		queue.start();
+		await queue.onIdle();
+		await queue.save();
+		expect(storage.load()).toEqual([]);
+	});
+
+	test('should save and restore the dependencies still pending', async () => {
+		const storage = new MemoryStorage();
+		const handlers = {send: () => {}};
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers, storage});
+		queue.enqueue(() => {}, {id: 'plain'});
+		queue.dispatch('send', 'a', {id: 'a'});
+		queue.dispatch('send', 'b', {id: 'b', dependsOn: ['a', 'plain']});
+		await queue.save();
+
+		expect(storage.load().map(({id, dependsOn}) => [id, dependsOn])).toEqual([['a', []], ['b', ['a']]]);
+
+		const restored = new ConcurrentCallbackQueue({autoStart: false, handlers, storage});
+		await restored.restore();
+		expect(restored.getTask('b').dependsOn).toEqual(['a']);
+		expect(restored.getPending().map(({id}) => id)).toEqual(['a', 'b']);
+	});
+
+	test('should save and restore the schedule of dispatched tasks', async () => {
+		const storage = new MemoryStorage();
+		const handlers = {send: () => {}};
+		const runAt = Date.now() + 60000;
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers, storage});
+		queue.dispatch('send', 'report', {id: 'report', runAt, every: 3600000});
+		await queue.save();
+
+		expect(storage.load()).toMatchObject([{id: 'report', runAt, every: 3600000}]);
+
+		const restored = new ConcurrentCallbackQueue({autoStart: false, handlers, storage});
+		await restored.restore();
+		expect(restored.getTask('report')).toMatchObject({status: TaskStatus.SCHEDULED, runAt, every: 3600000});
+
+		queue.clear();
+		restored.clear();
+	});
+
+	test('should save the payload of replaced tasks', async () => {
+		const storage = new MemoryStorage();
+		const send = jest.fn((payload) => payload);
+		const queue = new ConcurrentCallbackQueue({autoStart: false, dedupe: DedupeMode.REPLACE, handlers: {send}, storage});
+		const saved = () => new Promise((resolve) => {
+			setTimeout(resolve, 0);
+		});
+
+		const draft = queue.dispatch('send', 'draft', {id: 'mail', key: 'mail'});
+		await saved();
+		queue.dispatch('send', 'final', {key: 'mail'});
+		await saved();
+		expect(storage.load()).toMatchObject([{id: 'mail', payload: 'final'}]);
+
+		// A callback that is not serializable is no longer saved
+		queue.enqueue(() => 'unsaved', {key: 'mail'});
+		await saved();
+		expect(storage.load()).toEqual([]);
+
+		queue.dispatch('send', 'sent', {key: 'mail'});
+		queue.start();
+		await expect(draft.promise).resolves.toBe('sent');
+		expect(send).toHaveBeenCalledTimes(1);
+	});
+
+	test('should batch saves made in the same tick', async () => {
+		const storage = new MemoryStorage();
+		const save = jest.spyOn(storage, 'save');
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers: {send: () => {}}, storage});
+
+		queue.dispatch('send', 1);
+		queue.dispatch('send', 2);
+		queue.dispatch('send', 3);
+		await Promise.resolve();
+
+		expect(save).toHaveBeenCalledTimes(1);
+		expect(storage.load()).toHaveLength(3);
+	});
+
+	test('should save the retries left by failed tasks', async () => {
+		const storage = new MemoryStorage();
+		const queue = new ConcurrentCallbackQueue({
+			handlers: {send: () => Promise.reject(new Error('offline'))},
+			retryPolicy: {delay: 1000},
+			storage,
+		});
+		const {promise} = queue.dispatch('send', 'a@b.c', 3);
+		promise.catch(() => {});
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+		await queue.save();
+
+		expect(storage.load()).toMatchObject([{handler: 'send', payload: 'a@b.c', retries: 2}]);
+		queue.clear();
+	});
+
+	test('should save the retries left after every failed attempt', async () => {
+		const storage = new MemoryStorage();
+		const send = jest.fn()
+			.mockRejectedValueOnce(new Error('offline'))
+			.mockRejectedValueOnce(new Error('offline'))
+			.mockReturnValue(new Promise(() => {}));
+		const queue = new ConcurrentCallbackQueue({handlers: {send}, retryPolicy: {delay: 0}, storage});
+		queue.dispatch('send', 'a@b.c', 3);
+		await new Promise((resolve) => {
+			setTimeout(resolve, 10)
+		});
+
+		expect(send).toHaveBeenCalledTimes(3);
+		expect(storage.load()).toMatchObject([{payload: 'a@b.c', retries: 1}]);
+		queue.clear({abortRunning: true});
+	});
+
+	test('should restore saved tasks into a new queue', async () => {
+		const storage = new MemoryStorage();
+		storage.save([
+			{id: 'welcome', handler: 'send', payload: {to: 'a@b.c'}, priority: 1, retries: 2, timeout: null, key: null, group: 'mail'},
+			{id: 7, handler: 'send', payload: {to: 'd@e.f'}, priority: 5, retries: 0, timeout: 100, key: null, group: null},
+		]);
+		const sent = [];
+		const queue = new ConcurrentCallbackQueue({
+			autoStart: false,
+			handlers: {send: ({to}) => sent.push(to)},
+			storage,
+		});
+
+		const handles = await queue.restore();
+		expect(handles.map(({id}) => id)).toEqual(['welcome', 7]);
+		expect(queue.getTask('welcome')).toMatchObject({priority: 1, maxRetries: 2, group: 'mail'});
+		expect(await queue.restore()).toEqual([]);
+		expect(queue.getPendingCount()).toBe(2);
+
+		queue.start();
+		await queue.onIdle();
+		expect(sent).toEqual(['d@e.f', 'a@b.c']);
+	});
+
+	test('should restore no task if any handler is missing', async () => {
+		const storage = new MemoryStorage();
+		storage.save([
+			{id: 1, handler: 'send', payload: null},
+			{id: 2, handler: 'print', payload: null},
+		]);
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers: {send: () => {}}, storage});
+
+		await expect(queue.restore()).rejects.toThrow('The "print" handler is not registered');
+		expect(queue.getPendingCount()).toBe(0);
+
+		storage.save({});
+		await expect(queue.restore()).rejects.toThrow('The storage must hold an array of tasks');
+	});
+
+	test('should save the tasks left on shutdown and stop updating the storage', async () => {
+		const storage = new MemoryStorage();
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 1,
+			handlers: {
+				wait: (ms, signal) => new Promise((resolve, reject) => {
+					setTimeout(resolve, ms);
+					signal.addEventListener('abort', () => reject(signal.reason));
+				}),
+			},
+			storage,
+		});
+		queue.dispatch('wait', 50, {id: 'slow', retries: 1}).promise.catch(() => {});
+		queue.dispatch('wait', 0, {id: 'next'}).promise.catch(() => {});
+		await Promise.resolve();
+
+		await queue.shutdown({timeout: 10, abortRunning: true});
+
+		expect(storage.load().map(({id, retries}) => [id, retries])).toEqual([['slow', 1], ['next', 0]]);
+		await queue.onIdle();
+		expect(storage.load()).toHaveLength(2);
+	});
+
+	test('should emit storage errors', async () => {
+		const error = new Error('quota exceeded');
+		const storage = {load: () => [], save: () => Promise.reject(error)};
+		const queue = new ConcurrentCallbackQueue({autoStart: false, handlers: {send: () => {}}, storage});
+		const listener = jest.fn();
+		queue.on(QueueEvent.STORAGE_ERROR, listener);
+
+		queue.dispatch('send', null);
+		await expect(queue.save()).rejects.toBe(error);
+		expect(listener).toHaveBeenCalledWith(error);
+	});
+
+	test('should run dependents once all their dependencies succeed', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const events = [];
+		const task = (name, ms) => () => new Promise((resolve) => {
+			events.push(`start ${name}`);
+			setTimeout(() => {
+				events.push(`end ${name}`);
+				resolve(name);
+			}, ms);
+		});
+
+		queue.enqueue(task('create', 10), {id: 'create'});
+		queue.enqueue(task('part 1', 20), {id: 'part 1', dependsOn: ['create']});
+		queue.enqueue(task('part 2', 10), {id: 'part 2', dependsOn: ['create']});
+		const {promise} = queue.enqueue(task('finalize', 0), {dependsOn: ['part 1', 'part 2']});
+
+		await expect(promise).resolves.toBe('finalize');
+		expect(events).toEqual([
+			'start create',
+			'end create',
+			'start part 1',
+			'start part 2',
+			'end part 2',
+			'end part 1',
+			'start finalize',
+			'end finalize',
+		]);
+		await queue.onIdle();
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should fail dependents of failed tasks by default', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError});
+		const never = jest.fn();
+		queue.enqueue(() => Promise.reject(new Error('failed')), {id: 'a'});
+		const b = queue.enqueue(never, {id: 'b', dependsOn: ['a']});
+		const c = queue.enqueue(never, {id: 'c', dependsOn: ['b']});
+
+		await expect(b.promise).rejects.toThrow(DependencyError);
+		await expect(c.promise).rejects.toMatchObject({name: 'DependencyError', dependency: 'b'});
+		expect(never).not.toHaveBeenCalled();
+		expect(queue.getTask('b').status).toBe(TaskStatus.FAILED);
+		expect(onCallbackError).toHaveBeenCalledTimes(3);
+		expect(onCallbackError.mock.calls.map(([, {id}]) => id)).toEqual(['a', 'b', 'c']);
+		expect(onCallbackError).toHaveBeenLastCalledWith(expect.any(DependencyError), expect.objectContaining({id: 'c', attempt: 0, duration: 0, final: true}));
+		await queue.onIdle();
+	});
+
+	test('should skip or run dependents of failed tasks according to their policy', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError});
+		const cancelled = jest.fn();
+		queue.on(QueueEvent.CANCEL, cancelled);
+		const skipped = jest.fn();
+		const fallback = jest.fn(() => 'fallback');
+
+		queue.enqueue(() => Promise.reject(new Error('failed')), {id: 'a'});
+		const b = queue.enqueue(skipped, {id: 'b', dependsOn: ['a'], dependencyPolicy: DependencyPolicy.SKIP});
+		const c = queue.enqueue(fallback, {id: 'c', dependsOn: ['a'], dependencyPolicy: DependencyPolicy.RUN});
+
+		await expect(b.promise).rejects.toThrow('The dependency "a" did not succeed');
+		await expect(c.promise).resolves.toBe('fallback');
+		expect(skipped).not.toHaveBeenCalled();
+		expect(queue.getTask('b').status).toBe(TaskStatus.CANCELLED);
+		expect(cancelled).toHaveBeenCalledWith(expect.any(DependencyError), {id: 'b'});
+		expect(onCallbackError).toHaveBeenCalledTimes(1);
+	});
+
+	test('should check dependencies that already settled', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		await queue.enqueue(() => 'done', {id: 'ok'}).promise;
+		await queue.enqueue(() => Promise.reject(new Error('failed')), {id: 'ko'}).promise.catch(() => {});
+
+		await expect(queue.enqueue(() => 'ran', {dependsOn: ['ok']}).promise).resolves.toBe('ran');
+		await expect(queue.enqueue(() => 'ran', {dependsOn: ['ok', 'ko']}).promise).rejects.toThrow(DependencyError);
+		await expect(queue.enqueue(() => 'ran', {dependsOn: ['ko'], dependencyPolicy: DependencyPolicy.RUN}).promise).resolves.toBe('ran');
+	});
+
+	test('should remove blocked tasks when cancelled or cleared', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'a'});
+		const b = queue.enqueue(() => {}, {id: 'b', dependsOn: ['a']});
+		const c = queue.enqueue(() => {}, {id: 'c', dependsOn: ['a'], dependencyPolicy: DependencyPolicy.RUN});
+
+		expect(queue.cancel('b')).toBe(true);
+		await expect(b.promise).rejects.toThrow(AbortError);
+		expect(queue.getPendingCount()).toBe(2);
+
+		const tuples = queue.clear();
+		expect(tuples).toHaveLength(2);
+		await expect(c.promise).rejects.toThrow(AbortError);
+		expect(queue.getPendingCount()).toBe(0);
+		expect(queue.getPending()).toEqual([]);
+	});
+
+	test('should release dependents even if a hook throws', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({
+			onCallbackSuccess: () => {
+				throw new Error('Hook Error');
+			},
+			onCallbackError,
+		});
+
+		queue.enqueue(() => 'a', {id: 'a'});
+		const b = queue.enqueue(() => 'b', {id: 'b', dependsOn: ['a']});
+
+		await expect(b.promise).resolves.toBe('b');
+		await queue.onIdle();
+		expect(queue.getPendingCount()).toBe(0);
+		expect(onCallbackError).toHaveBeenCalledTimes(2);
+	});
+
+	test('should trigger exceptions on invalid scheduling options', () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		queue.enqueue(() => {}, {id: 'poll', every: 1000});
+
+		expect(() => queue.enqueue(() => {}, {delay: -1})).toThrow('The "delay" option must be a positive number');
+		expect(() => queue.enqueue(() => {}, {delay: Infinity})).toThrow('The "delay" option must be a positive number');
+		expect(() => queue.enqueue(() => {}, {runAt: 'tomorrow'})).toThrow('The "runAt" option must be a Date or a timestamp');
+		expect(() => queue.enqueue(() => {}, {runAt: new Date('invalid')})).toThrow('The "runAt" option must be a Date or a timestamp');
+		expect(() => queue.enqueue(() => {}, {runAt: Date.now(), delay: 10})).toThrow('The "delay" and "runAt" options cannot be used together');
+		expect(() => queue.enqueue(() => {}, {every: 0})).toThrow('The "every" option must be a positive number');
+		expect(() => queue.enqueue(() => {}, {dependsOn: ['poll']})).toThrow('The dependency "poll" is recurring and never settles');
+		expect(queue.getPendingCount()).toBe(1);
+		queue.clear();
+	});
+	test('should count scheduled tasks as pending until cancelled', async () => {
+		const queue = new ConcurrentCallbackQueue({autoStart: false});
+		const runAt = new Date(Date.now() + 60000);
+		const {promise} = queue.enqueue(() => {}, {id: 'later', runAt, group: 'mail'});
+
+		expect(queue.getPendingCount()).toBe(1);
+		expect(queue.getGroup('mail').pending).toBe(1);
+		expect(queue.getTask('later')).toMatchObject({status: TaskStatus.SCHEDULED, runAt: runAt.getTime(), every: null});
+
+		expect(queue.cancel('later')).toBe(true);
+		await expect(promise).rejects.toThrow(AbortError);
+		expect(queue.getPendingCount()).toBe(0);
+	});
+	test('should run delayed callbacks once their delay elapses', async () => {
+		const callbackResults = [];
+		const queue = new ConcurrentCallbackQueue();
+
+		queue.enqueue(() => callbackResults.push('Delayed'), {delay: 50});
+		queue.enqueue(() => callbackResults.push('Past'), {runAt: new Date(Date.now() - 1000)});
+		await new Promise(resolve => setTimeout(resolve, 20));
+
+		expect(callbackResults).toEqual(['Past']);
+		expect(queue.getState()).toBe(QueueState.BUSY);
+
+		await queue.onIdle();
+		expect(callbackResults).toEqual(['Past', 'Delayed']);
+	});
+
+	test('should hold due callbacks while the queue is stopped', async () => {
+		const callback = jest.fn();
+		const queue = new ConcurrentCallbackQueue();
+
+		queue.enqueue(callback, {delay: 20});
+		queue.stop();
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		expect(callback).not.toHaveBeenCalled();
+		expect(queue.getPending()).toMatchObject([{status: TaskStatus.PENDING}]);
+
+		queue.start();
+		await queue.onIdle();
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	test('should wait for start times beyond the timer limit', async () => {
+		jest.useFakeTimers();
+		try {
+			const callback = jest.fn();
+			const queue = new ConcurrentCallbackQueue();
+			queue.enqueue(callback, {delay: 30 * 24 * 60 * 60 * 1000});
+
+			await jest.advanceTimersByTimeAsync(25 * 24 * 60 * 60 * 1000);
+			expect(callback).not.toHaveBeenCalled();
+
+			await jest.advanceTimersByTimeAsync(5 * 24 * 60 * 60 * 1000);
+			expect(callback).toHaveBeenCalledTimes(1);
+		} finally {
+			jest.useRealTimers();
+		}
+	});
+
+	test('should run recurring callbacks until cancelled, whether they fail or not', async () => {
+		const errors = [];
+		const callback = jest.fn()
+			.mockImplementationOnce(() => 'first')
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')))
+			.mockImplementation(() => 'next');
+		const queue = new ConcurrentCallbackQueue({onCallbackError: (error) => errors.push(error.message)});
+
+		const {promise} = queue.enqueue(callback, {id: 'poll', every: 20});
+		await new Promise(resolve => setTimeout(resolve, 90));
+
+		expect(callback.mock.calls.length).toBeGreaterThanOrEqual(3);
+		expect(errors).toEqual(['Test Error']);
+		expect(queue.getTask('poll')).toMatchObject({status: TaskStatus.SCHEDULED, attempts: 0, every: 20});
+
+		expect(queue.cancel('poll')).toBe(true);
+		await expect(promise).rejects.toThrow(AbortError);
+
+		const calls = callback.mock.calls.length;
+		await new Promise(resolve => setTimeout(resolve, 50));
+		expect(callback).toHaveBeenCalledTimes(calls);
+		expect(queue.getState()).toBe(QueueState.IDLE);
+	});
+
+	test('should drop errors thrown by error listeners while a callback settles', async () => {
+		const onUnhandled = jest.fn();
+		process.on('unhandledRejection', onUnhandled);
+		try {
+			const queue = new ConcurrentCallbackQueue();
+			queue.on(QueueEvent.ERROR, () => {
+				throw new Error('Listener Error');
+			});
+
+			await expect(queue.enqueue(() => Promise.reject(new Error('Test Error'))).promise).rejects.toThrow('Test Error');
+			await queue.onIdle();
+			await new Promise(resolve => setTimeout(resolve, 10));
+
+			expect(onUnhandled).not.toHaveBeenCalled();
+			expect(queue.getState()).toBe(QueueState.IDLE);
+		} finally {
+			process.off('unhandledRejection', onUnhandled);
+		}
+	});
+
+	test('should retry callbacks when a listener throws', async () => {
+		const callback = jest.fn()
+			.mockRejectedValueOnce(new Error('Test Error'))
+			.mockRejectedValueOnce(new Error('Test Error'))
+			.mockResolvedValue('done');
+		const queue = new ConcurrentCallbackQueue({
+			retryPolicy: {delay: 10},
+			onCallbackError: () => {
+				throw new Error('Hook Error');
+			},
+		});
+		queue.on(QueueEvent.RETRY, () => {
+			throw new Error('Listener Error');
+		});
+
+		await expect(queue.enqueue(callback, {retries: 2}).promise).resolves.toBe('done');
+		await queue.onIdle();
+		expect(callback).toHaveBeenCalledTimes(3);
+	});
+
+	test('should keep running recurring callbacks when a listener throws', async () => {
+		const callback = jest.fn();
+		const queue = new ConcurrentCallbackQueue();
+		queue.on(QueueEvent.SUCCESS, () => {
+			throw new Error('Listener Error');
+		});
+
+		const {promise} = queue.enqueue(callback, {id: 'poll', every: 10});
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		expect(callback.mock.calls.length).toBeGreaterThanOrEqual(2);
+		expect(queue.getTask('poll').status).toMatch(/^(scheduled|running)$/);
+
+		queue.cancel('poll');
+		await expect(promise).rejects.toThrow(AbortError);
+	});
+
+	test('should fail scheduled dependents without waiting for their start time', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		queue.enqueue(() => Promise.reject(new Error('failed')), {id: 'a'});
+		const {promise} = queue.enqueue(() => {}, {dependsOn: ['a'], delay: 60000});
+
+		await expect(promise).rejects.toThrow(DependencyError);
+		await queue.onIdle();
+	});
+
+	test('should report scheduled callbacks as pending on shutdown and stop recurring ones', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const recurring = queue.enqueue(() => new Promise(resolve => setTimeout(() => resolve('last'), 20)), {id: 'poll', every: 10});
+		queue.enqueue(() => {}, {id: 'later', delay: 60000});
+		await new Promise(resolve => setTimeout(resolve, 5));
+
+		const report = await queue.shutdown();
+
+		expect(report.completed.map(({id}) => id)).toEqual(['poll']);
+		expect(report.pending.map(({id}) => id)).toEqual(['later']);
+		await expect(recurring.promise).resolves.toBe('last');
+	});
+
+	test('should run a graph and resolve with the outcome of each node', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const publish = jest.fn();
+
+		const results = await queue.runGraph({
+			publish: {callback: publish, dependsOn: ['cover', 'photos']},
+			album: () => new Promise((resolve) => {
+				setTimeout(() => resolve({id: 42}), 10);
+			}),
+			cover: {callback: (signal, {album}) => `cover of ${album.id}`, dependsOn: ['album'], group: 'uploads'},
+			photos: {callback: () => Promise.reject(new Error('too large')), dependsOn: ['album']},
+		}, {dependencyPolicy: DependencyPolicy.SKIP});
+
+		expect(results).toEqual({
+			album: {id: 'album', value: {id: 42}},
+			cover: {id: 'cover', value: 'cover of 42'},
+			photos: {id: 'photos', error: new Error('too large')},
+			publish: {id: 'publish', error: expect.any(DependencyError)},
+		});
+		expect(publish).not.toHaveBeenCalled();
+		expect(queue.getTask('cover').group).toBe('uploads');
+		expect(queue.getTask('publish').status).toBe(TaskStatus.CANCELLED);
+	});
+
+	test('should pass only the values of dependencies that succeeded', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const results = await queue.runGraph({
+			a: () => 'a',
+			b: () => Promise.reject(new Error('b')),
+			c: {callback: (signal, values) => values, dependsOn: ['a', 'b'], dependencyPolicy: DependencyPolicy.RUN},
+		});
+
+		expect(results.c.value).toEqual({a: 'a'});
+	});
+
+	test('should trigger exceptions on invalid circuit breaker options', () => {
+		expect(() => new ConcurrentCallbackQueue({circuitBreaker: 5})).toThrow('The "circuitBreaker" option must be an object');
+		expect(() => new ConcurrentCallbackQueue({circuitBreaker: {cooldown: 0}})).toThrow('The "circuitBreaker.cooldown" option must be a positive number');
+		expect(() => new ConcurrentCallbackQueue({groups: {api: {maxConcurrent: 1, circuitBreaker: {policy: 'drop'}}}})).toThrow('The "groups.api.circuitBreaker.policy" option is invalid');
+
+		const queue = new ConcurrentCallbackQueue();
+		expect(queue.getCircuitState()).toBeNull();
+		queue.setOptions({circuitBreaker: {}});
+		expect(queue.getCircuitState()).toBe(CircuitState.CLOSED);
+	});
+
+	test('should hold callbacks while the circuit is open and probe once the cooldown elapses', async () => {
+		const events = [];
+		const callback = jest.fn(() => 'done');
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, circuitBreaker: {failureThreshold: 2, cooldown: 50}});
+		queue.on(QueueEvent.CIRCUIT, (event) => events.push(event));
+
+		const failures = [1, 2].map(() => queue.enqueue(() => Promise.reject(new Error('Test Error'))).promise);
+		const {promise} = queue.enqueue(callback);
+		await Promise.allSettled(failures);
+		await new Promise(resolve => setTimeout(resolve, 20));
+
+		expect(callback).not.toHaveBeenCalled();
+		expect(queue.getCircuitState()).toBe(CircuitState.OPEN);
+		expect(queue.getState()).toBe(QueueState.BUSY);
+
+		await expect(promise).resolves.toBe('done');
+		await queue.onIdle();
+		expect(queue.getCircuitState()).toBe(CircuitState.CLOSED);
+		expect(events).toEqual([
+			{group: null, state: CircuitState.OPEN, previous: CircuitState.CLOSED},
+			{group: null, state: CircuitState.HALF_OPEN, previous: CircuitState.OPEN},
+			{group: null, state: CircuitState.CLOSED, previous: CircuitState.HALF_OPEN},
+		]);
+	});
+
+	test('should settle callbacks and probe the circuit when a circuit listener throws', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({onCallbackError, circuitBreaker: {failureThreshold: 1, cooldown: 20}});
+		queue.on(QueueEvent.CIRCUIT, ({state}) => {
+			if (state === CircuitState.OPEN) {
+				throw new Error('Listener Error');
+			}
+		});
+
+		await expect(queue.enqueue(() => Promise.reject(new Error('Test Error'))).promise).rejects.toThrow('Test Error');
+		expect(queue.getCircuitState()).toBe(CircuitState.OPEN);
+		expect(onCallbackError).toHaveBeenCalledWith(expect.objectContaining({message: 'Listener Error'}), expect.anything());
+
+		await expect(queue.enqueue(() => 'probe').promise).resolves.toBe('probe');
+		await queue.onIdle();
+		expect(queue.getCircuitState()).toBe(CircuitState.CLOSED);
+	});
+
+	test('should only let the probe close a half-open circuit', async () => {
+		const held = jest.fn(() => new Promise(resolve => setTimeout(resolve, 150)));
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 3, circuitBreaker: {failureThreshold: 2, cooldown: 30}});
+
+		// Started before the circuit opens, and succeeds while it is half-open
+		queue.enqueue(() => new Promise(resolve => setTimeout(resolve, 100)));
+		await Promise.allSettled([1, 2].map(() => queue.enqueue(() => Promise.reject(new Error('Test Error'))).promise));
+		[1, 2, 3].forEach(() => queue.enqueue(held));
+		await new Promise(resolve => setTimeout(resolve, 130));
+
+		expect(queue.getCircuitState()).toBe(CircuitState.HALF_OPEN);
+		expect(held).toHaveBeenCalledTimes(1);
+
+		await queue.onIdle();
+		expect(held).toHaveBeenCalledTimes(3);
+		expect(queue.getCircuitState()).toBe(CircuitState.CLOSED);
+	});
+
+	test('should fail callbacks without running nor retrying them while the circuit is open', async () => {
+		const failing = jest.fn(() => Promise.reject(new Error('Test Error')));
+		const callback = jest.fn();
+		const queue = new ConcurrentCallbackQueue({
+			maxConcurrent: 1,
+			circuitBreaker: {failureThreshold: 1, cooldown: 60000, policy: CircuitPolicy.FAIL},
+		});
+
+		const retried = queue.enqueue(failing, {retries: 3});
+		const skipped = queue.enqueue(callback);
+
+		await expect(retried.promise).rejects.toThrow(CircuitOpenError);
+		await expect(skipped.promise).rejects.toThrow('The circuit of the queue is open');
+		expect(failing).toHaveBeenCalledTimes(1);
+		expect(callback).not.toHaveBeenCalled();
+		await queue.shutdown();
+	});
+
+	test('should only hold callbacks of the group whose circuit is open', async () => {
+		const held = jest.fn();
+		const other = jest.fn();
+		const queue = new ConcurrentCallbackQueue({
+			groups: {api: {maxConcurrent: Infinity, circuitBreaker: {failureThreshold: 1, cooldown: 60000}}},
+		});
+
+		await expect(queue.enqueue(() => Promise.reject(new Error('Test Error')), {group: 'api'}).promise).rejects.toThrow('Test Error');
+		queue.enqueue(held, {id: 'held', group: 'api'});
+		await queue.enqueue(other).promise;
+
+		expect(held).not.toHaveBeenCalled();
+		expect(queue.getCircuitState()).toBeNull();
+		expect(queue.getCircuitState('api')).toBe(CircuitState.OPEN);
+		expect(queue.getGroup('api')).toMatchObject({pending: 1, circuit: CircuitState.OPEN});
+
+		const report = await queue.shutdown();
+		expect(report.pending.map(({id}) => id)).toEqual(['held']);
+	});
+
+	test('should trigger exceptions on invalid adaptive concurrency options', () => {
+		expect(() => new ConcurrentCallbackQueue({adaptiveConcurrency: 5})).toThrow('The "adaptiveConcurrency" option must be an object');
+		expect(() => new ConcurrentCallbackQueue({adaptiveConcurrency: {decrease: 2}})).toThrow('The "adaptiveConcurrency.decrease" option must be a number between 0 and 1');
+
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 4});
+		expect(queue.getConcurrency()).toBe(4);
+		queue.setOptions({adaptiveConcurrency: {min: 5}});
+		expect(queue.getConcurrency()).toBe(5);
+		queue.setOptions({adaptiveConcurrency: null});
+		expect(queue.getConcurrency()).toBe(4);
+	});
+
+	test('should raise the concurrency limit while callbacks succeed, up to its maximum', async () => {
+		const events = [];
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, adaptiveConcurrency: {max: 3}});
+		queue.on(QueueEvent.CONCURRENCY, (event) => events.push(event));
+
+		queue.enqueueAll(Array.from({length: 20}, () => () => {}));
+		await queue.onIdle();
+
+		expect(events).toEqual([{limit: 2, previous: 1}, {limit: 3, previous: 2}]);
+		expect(queue.getConcurrency()).toBe(3);
+		expect(queue.getOptions().maxConcurrent).toBe(1);
+	});
+
+	test('should back off once per burst of failures and latency spikes', async () => {
+		let running = 0;
+		const peaks = [];
+		const callback = (failed) => () => {
+			running++;
+			peaks.push(running);
+			return new Promise((resolve, reject) => {
+				setTimeout(() => {
+					running--;
+					(failed ? reject : resolve)(new Error('Test Error'));
+				}, 10);
+			});
+		};
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 8, adaptiveConcurrency: {min: 2}});
+
+		queue.enqueueAll(Array.from({length: 8}, () => callback(true)));
+		queue.enqueueAll(Array.from({length: 4}, () => callback(false)));
+		await queue.onIdle();
+
+		expect(queue.getConcurrency()).toBe(4);
+		expect(peaks.slice(8).every((peak) => peak <= 4)).toBe(true);
+
+		queue.setOptions({adaptiveConcurrency: {min: 2, latencyThreshold: 5}});
+		expect(queue.getConcurrency()).toBe(8);
+		await queue.enqueue(callback(false)).promise;
+		expect(queue.getConcurrency()).toBe(4);
+	});
+
+	test('should settle callbacks when a concurrency listener throws', async () => {
+		const onCallbackError = jest.fn();
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 4, adaptiveConcurrency: {}, onCallbackError});
+		queue.on(QueueEvent.CONCURRENCY, () => {
+			throw new Error('Listener Error');
+		});
+
+		await expect(queue.enqueue(() => Promise.reject(new Error('Test Error'))).promise).rejects.toThrow('Test Error');
+		await queue.onIdle();
+		expect(queue.getConcurrency()).toBe(2);
+		expect(onCallbackError).toHaveBeenCalledWith(expect.objectContaining({message: 'Listener Error'}), expect.anything());
+	});
+
+	test('should override the adapted limit with setMaxConcurrent', () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 10, adaptiveConcurrency: {min: 2, max: 20}});
+
+		queue.setMaxConcurrent(50);
+		expect(queue.getConcurrency()).toBe(20);
+		queue.setMaxConcurrent(10);
+		expect(queue.getConcurrency()).toBe(10);
+		queue.setOptions({timeout: 100});
+		expect(queue.getConcurrency()).toBe(10);
+	});
+
+	test('should collect counters and durations of the callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 1, retryPolicy: {delay: 0}});
+		const flaky = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(new Error('Test Error')))
+			.mockImplementation(() => 'recovered');
+
+		const handles = [
+			queue.enqueue(() => new Promise(resolve => setTimeout(resolve, 20)), {id: 'slow'}),
+			queue.enqueue(flaky, {retries: 1}),
+			queue.enqueue(() => new Promise(() => {}), {timeout: 10}),
+			queue.enqueue(() => {}, {id: 'cancelled'}),
+		];
+		queue.cancel('cancelled');
+		await Promise.allSettled(handles.map(({promise}) => promise));
+		await queue.onIdle();
+
+		const stats = queue.getStats();
+		expect(stats).toMatchObject({
+			enqueued: 4,
+			succeeded: 2,
+			failed: 1,
+			retried: 1,
+			cancelled: 1,
+			timedOut: 1,
+			pending: 0,
+			running: 0,
+			utilization: 0,
+		});
+		expect(stats.runTime.p99).toBeGreaterThanOrEqual(15);
+		expect(stats.runTime.p50).toBeLessThan(stats.runTime.p99);
+		expect(stats.waitTime.p99).toBeGreaterThanOrEqual(15);
+		expect(stats.throughput).toBeGreaterThan(0);
+		expect(JSON.parse(JSON.stringify(stats))).toEqual(stats);
 	});
+
+	test('should report utilization and reset stats without affecting callbacks', async () => {
+		const queue = new ConcurrentCallbackQueue({maxConcurrent: 4});
+		const handles = [1, 2].map(() => queue.enqueue(() => new Promise(resolve => setTimeout(resolve, 20))));
+
+		// Callbacks count as running as soon as they are started, like in getRunning
+		expect(queue.getRunning()).toHaveLength(2);
+		expect(queue.getStats()).toMatchObject({pending: 0, running: 2, utilization: 0.5});
+
+		await new Promise(resolve => setTimeout(resolve, 5));
+
+		expect(queue.getStats()).toMatchObject({enqueued: 2, running: 2, utilization: 0.5});
+
+		queue.resetStats();
+		expect(queue.getStats()).toMatchObject({
+			enqueued: 0,
+			running: 2,
+			waitTime: {average: 0, p50: 0, p95: 0, p99: 0},
+			throughput: 0,
+		});
+
+		await Promise.all(handles.map(({promise}) => promise));
+		expect(queue.getStats()).toMatchObject({enqueued: 0, succeeded: 2});
+	});
+});
+
+describe('benchmark', () => {
+	const TASKS = 100000;
+
+	// A timer based loop needs at least a millisecond per task, so it can't go over 1000 tasks/s
+	const MIN_THROUGHPUT = 5000;
+
+	const measureThroughput = async (options) => {
+		const queue = new ConcurrentCallbackQueue(options);
+		const startedAt = performance.now();
+
+		queue.enqueueAll(Array.from({length: TASKS}, (_, i) => () => i));
+		await queue.onIdle();
+
+		return Math.round(TASKS / (performance.now() - startedAt) * 1000);
+	};
+
+	test.each([1, 100])(`should process 100k trivial tasks at over ${MIN_THROUGHPUT} tasks/s with maxConcurrent %i`, async (maxConcurrent) => {
+		// On failure, the received value is the measured throughput in tasks/s
+		expect(await measureThroughput({maxConcurrent})).toBeGreaterThan(MIN_THROUGHPUT);
+	}, 60000);
 });
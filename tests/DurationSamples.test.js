@@ -0,0 +1,23 @@
+const {DurationSamples} = require('../src/DurationSamples');
+
+describe('unit', () => {
+	test('should summarize no durations as zeros', () => {
+		expect(new DurationSamples(10).summarize()).toEqual({average: 0, p50: 0, p95: 0, p99: 0});
+	});
+
+	test('should compute percentiles by nearest rank', () => {
+		const samples = new DurationSamples(100);
+		for (let duration = 100; duration > 0; duration--) {
+			samples.add(duration);
+		}
+
+		expect(samples.summarize()).toEqual({average: 50.5, p50: 50, p95: 95, p99: 99});
+	});
+
+	test('should compute percentiles from the latest durations only, and the average from all of them', () => {
+		const samples = new DurationSamples(4);
+		[1000, 1000, 1, 2, 3, 4].forEach((duration) => samples.add(duration));
+
+		expect(samples.summarize()).toEqual({average: 335, p50: 2, p95: 4, p99: 4});
+	});
+});
@@ -0,0 +1,66 @@
+const {EventEmitter} = require('../src/EventEmitter');
+
+describe('unit', () => {
+	test('should call listeners in the order they were added', () => {
+		const emitter = new EventEmitter();
+		const calls = [];
+
+		emitter.on('event', (value) => calls.push(['first', value]));
+		emitter.on('event', (value) => calls.push(['second', value]));
+
+		expect(emitter.emit('event', 42)).toBe(true);
+		expect(emitter.emit('other')).toBe(false);
+		expect(calls).toEqual([['first', 42], ['second', 42]]);
+		expect(emitter.listenerCount('event')).toBe(2);
+	});
+
+	test('should remove listeners', () => {
+		const emitter = new EventEmitter();
+		const listener = jest.fn();
+
+		emitter.on('event', listener);
+		emitter.on('event', listener);
+
+		expect(emitter.off('event', listener)).toBe(true);
+		emitter.emit('event');
+		expect(listener).toHaveBeenCalledTimes(1);
+
+		expect(emitter.off('event', listener)).toBe(true);
+		expect(emitter.off('event', listener)).toBe(false);
+		expect(emitter.listenerCount('event')).toBe(0);
+	});
+
+	test('should call once listeners a single time', () => {
+		const emitter = new EventEmitter();
+		const listener = jest.fn();
+		const removed = jest.fn();
+
+		emitter.once('event', listener);
+		emitter.once('event', removed);
+		emitter.off('event', removed);
+
+		emitter.emit('event', 1);
+		emitter.emit('event', 2);
+
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(listener).toHaveBeenCalledWith(1);
+		expect(removed).not.toHaveBeenCalled();
+	});
+
+	test('should not call listeners added while emitting', () => {
+		const emitter = new EventEmitter();
+		const late = jest.fn();
+
+		emitter.on('event', () => emitter.on('event', late));
+		emitter.emit('event');
+
+		expect(late).not.toHaveBeenCalled();
+	});
+
+	test('should trigger exceptions on invalid listeners', () => {
+		const emitter = new EventEmitter();
+
+		expect(() => emitter.on('event', null)).toThrow('The "listener" parameter must be a function');
+		expect(() => emitter.once('event', 'listener')).toThrow('The "listener" parameter must be a function');
+	});
+});
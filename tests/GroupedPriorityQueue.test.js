@@ -0,0 +1,60 @@
+const {GroupedPriorityQueue} = require('../src/GroupedPriorityQueue');
+
+const byPriority = (a, b) => b.priority - a.priority;
+const byHost = (item) => item.host;
+
+const drain = (queue, filter) => {
+	const items = [];
+	let item = queue.pop(filter);
+	while (item) {
+		items.push(item);
+		item = queue.pop(filter);
+	}
+	return items;
+};
+
+describe('unit', () => {
+	test('should take items out by priority across groups', () => {
+		const queue = new GroupedPriorityQueue(byPriority, byHost);
+		[3, 1, 4, 1, 5, 9, 2, 6].forEach((priority, i) => queue.push({priority, host: i % 3}));
+
+		expect(queue.size).toBe(8);
+		expect(queue.sizeOf(0)).toBe(3);
+		expect(queue.peek()).toEqual({priority: 9, host: 2});
+		expect(drain(queue).map(({priority}) => priority)).toEqual([9, 6, 5, 4, 3, 2, 1, 1]);
+		expect(queue.size).toBe(0);
+		expect(queue.pop()).toBe(undefined);
+	});
+
+	test('should skip groups rejected by the filter', () => {
+		const queue = new GroupedPriorityQueue(byPriority, byHost);
+		queue.push({priority: 5, host: 'a.com'});
+		queue.push({priority: 1, host: 'b.com'});
+		queue.push({priority: 3, host: 'a.com'});
+
+		const notA = (host) => host !== 'a.com';
+		expect(queue.peek(notA)).toEqual({priority: 1, host: 'b.com'});
+		expect(drain(queue, notA)).toEqual([{priority: 1, host: 'b.com'}]);
+		expect(queue.peek(notA)).toBe(undefined);
+		expect(queue.size).toBe(2);
+		expect(queue.sizeOf('b.com')).toBe(0);
+	});
+
+	test('should remove items and clear whole groups', () => {
+		const queue = new GroupedPriorityQueue(byPriority, byHost);
+		const items = Array.from({length: 6}, (_, i) => ({priority: i, host: i % 2 ? 'odd' : 'even'}));
+		items.forEach((item) => queue.push(item));
+
+		expect(queue.remove(items[4])).toBe(true);
+		expect(queue.remove(items[4])).toBe(false);
+		expect(queue.has(items[4])).toBe(false);
+		expect(queue.has(items[5])).toBe(true);
+		expect(queue.toArray().map(({priority}) => priority)).toEqual([5, 3, 2, 1, 0]);
+
+		expect(queue.clearGroup('odd').map(({priority}) => priority)).toEqual([5, 3, 1]);
+		expect(queue.clearGroup('odd')).toEqual([]);
+		expect(queue.size).toBe(2);
+		expect(queue.clear().map(({priority}) => priority)).toEqual([2, 0]);
+		expect(queue.size).toBe(0);
+	});
+});
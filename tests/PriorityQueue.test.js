@@ -0,0 +1,75 @@
+const {PriorityQueue} = require('../src/PriorityQueue');
+
+const byPriority = (a, b) => b.priority - a.priority;
+
+const drain = (queue) => {
+	const items = [];
+	while (queue.size > 0) {
+		items.push(queue.pop());
+	}
+	return items;
+};
+
+describe('unit', () => {
+	test('should take items out by priority', () => {
+		const queue = new PriorityQueue(byPriority);
+		[3, 1, 4, 1, 5, 9, 2, 6].forEach((priority) => queue.push({priority}));
+
+		expect(queue.size).toBe(8);
+		expect(queue.peek()).toEqual({priority: 9});
+		expect(drain(queue).map(({priority}) => priority)).toEqual([9, 6, 5, 4, 3, 2, 1, 1]);
+		expect(queue.pop()).toBe(undefined);
+		expect(queue.peek()).toBe(undefined);
+	});
+
+	test('should keep insertion order among equal priorities', () => {
+		const queue = new PriorityQueue(byPriority);
+		const items = Array.from({length: 50}, (_, i) => ({priority: i % 3, name: i}));
+		items.forEach((item) => queue.push(item));
+
+		const expected = [...items].sort((a, b) => b.priority - a.priority || a.name - b.name);
+		expect(drain(queue)).toEqual(expected);
+	});
+
+	test('should remove arbitrary items', () => {
+		const queue = new PriorityQueue(byPriority);
+		const items = Array.from({length: 10}, (_, i) => ({priority: i}));
+		items.forEach((item) => queue.push(item));
+
+		expect(queue.remove(items[4])).toBe(true);
+		expect(queue.remove(items[4])).toBe(false);
+		expect(queue.remove(items[9])).toBe(true);
+		expect(queue.has(items[4])).toBe(false);
+		expect(queue.has(items[5])).toBe(true);
+		expect(drain(queue).map(({priority}) => priority)).toEqual([8, 7, 6, 5, 3, 2, 1, 0]);
+	});
+
+	test('should list and clear items in order', () => {
+		const queue = new PriorityQueue(byPriority);
+		[2, 3, 1].forEach((priority) => queue.push({priority}));
+
+		expect(queue.toArray().map(({priority}) => priority)).toEqual([3, 2, 1]);
+		expect(queue.size).toBe(3);
+		expect(queue.clear().map(({priority}) => priority)).toEqual([3, 2, 1]);
+		expect(queue.size).toBe(0);
+	});
+
+	test('should stay ordered through random insertions and removals', () => {
+		const queue = new PriorityQueue((a, b) => a - b);
+		const reference = [];
+
+		for (let i = 0; i < 1000; i++) {
+			const value = Math.floor(Math.random() * 100);
+			queue.push(value);
+			reference.push(value);
+
+			if (i % 3 === 0) {
+				reference.sort((a, b) => a - b);
+				expect(queue.pop()).toBe(reference.shift());
+			}
+		}
+
+		reference.sort((a, b) => a - b);
+		expect(drain(queue)).toEqual(reference);
+	});
+});
@@ -0,0 +1,122 @@
+const {Readable, Writable} = require('stream');
+const {pipeline} = require('stream/promises');
+const {QueueTransform} = require('../src/QueueTransform');
+const {ConcurrentCallbackQueue, ResultOrder, AbortError, ShutdownError} = require('../src/ConcurrentCallbackQueue');
+
+const collect = (results) => new Writable({
+	objectMode: true,
+	write(chunk, encoding, callback) {
+		results.push(chunk);
+		callback();
+	},
+});
+
+const sleep = (ms, value) => new Promise((resolve) => {
+	setTimeout(() => resolve(value), ms);
+});
+
+describe('unit', () => {
+	test('should trigger exceptions on invalid arguments', () => {
+		expect(() => new QueueTransform('not a function')).toThrow('The "transform" parameter must be a function');
+		expect(() => new QueueTransform(() => {}, {order: 'random'})).toThrow('The "order" option is invalid');
+		expect(() => new QueueTransform(() => {}, {retries: -1})).toThrow('The "retries" option must be a positive number');
+		expect(() => new QueueTransform(() => {}, {maxConcurrent: 0})).toThrow('The "maxConcurrent" option must be a positive integer');
+	});
+
+	test('should use maxConcurrent as high-water mark', () => {
+		expect(new QueueTransform(() => {}, {maxConcurrent: 3}).writableHighWaterMark).toBe(3);
+		expect(new QueueTransform(() => {}, {maxConcurrent: Infinity}).writableHighWaterMark).toBe(16);
+	});
+});
+
+describe('integration', () => {
+	test('should transform chunks concurrently, keeping their order', async () => {
+		const results = [];
+		let running = 0;
+		let maxRunning = 0;
+
+		await pipeline(
+			Readable.from([50, 10, 30, 20, 40, 0]),
+			new QueueTransform(async (ms) => {
+				maxRunning = Math.max(maxRunning, ++running);
+				await sleep(ms);
+				running--;
+				return ms === 0 ? null : ms * 2;
+			}, {maxConcurrent: 3}),
+			collect(results),
+		);
+
+		expect(results).toEqual([100, 20, 60, 40, 80]);
+		expect(maxRunning).toBe(3);
+	});
+
+	test('should push results as they settle when unordered', async () => {
+		const results = [];
+
+		await pipeline(
+			Readable.from([30, 5, 15]),
+			new QueueTransform((ms) => sleep(ms, ms), {order: ResultOrder.COMPLETION}),
+			collect(results),
+		);
+
+		expect(results).toEqual([5, 15, 30]);
+	});
+
+	test('should retry failed chunks before failing the pipeline', async () => {
+		const results = [];
+		let attempts = 0;
+
+		await pipeline(
+			Readable.from(['a']),
+			new QueueTransform((chunk) => {
+				if (++attempts < 3) {
+					throw new Error('Flaky');
+				}
+				return chunk.toUpperCase();
+			}, {retries: 2}),
+			collect(results),
+		);
+
+		expect(results).toEqual(['A']);
+		expect(attempts).toBe(3);
+	});
+
+	test('should fail the pipeline and cancel running chunks when a chunk fails', async () => {
+		const signals = [];
+		const transform = new QueueTransform((n, signal) => {
+			signals.push(signal);
+			if (n === 2) {
+				return Promise.reject(new Error('Chunk failed'));
+			}
+			return new Promise(() => {});
+		});
+
+		await expect(pipeline(Readable.from([1, 2, 3]), transform, collect([]))).rejects.toThrow('Chunk failed');
+		expect(signals.length).toBe(3);
+		expect(signals.filter((signal) => signal.aborted)).toHaveLength(2);
+		expect(signals[0].reason).toBeInstanceOf(AbortError);
+	});
+
+	test('should fail the pipeline when the queue refuses a chunk', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		await queue.shutdown();
+		const transform = new QueueTransform((n) => n, {queue});
+
+		await expect(pipeline(Readable.from([1, 2]), transform, collect([]))).rejects.toThrow(ShutdownError);
+	});
+
+	test('should cancel only its own chunks of a shared queue when aborted', async () => {
+		const queue = new ConcurrentCallbackQueue();
+		const other = queue.enqueue(() => sleep(20, 'other'));
+		const controller = new AbortController();
+		const transform = new QueueTransform(() => new Promise(() => {}), {queue, signal: controller.signal});
+
+		const done = pipeline(Readable.from([1, 2]), transform, collect([]));
+		await sleep(5);
+		controller.abort();
+
+		await expect(done).rejects.toThrow();
+		await expect(other.promise).resolves.toBe('other');
+		expect(queue.getRunningCount()).toBe(0);
+	});
+});
@@ -0,0 +1,50 @@
+const {RateLimiter} = require('../src/RateLimiter');
+
+describe('unit', () => {
+	beforeEach(() => {
+		jest.useFakeTimers({now: 0});
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	test('should allow a single callback at once by default', () => {
+		const limiter = new RateLimiter({limit: 10, interval: 1000});
+
+		expect(limiter.tryAcquire()).toBe(true);
+		expect(limiter.tryAcquire()).toBe(false);
+		expect(limiter.getDelay()).toBe(100);
+
+		jest.advanceTimersByTime(60);
+		expect(limiter.getDelay()).toBe(40);
+		expect(limiter.tryAcquire()).toBe(false);
+
+		jest.advanceTimersByTime(40);
+		expect(limiter.getDelay()).toBe(0);
+		expect(limiter.tryAcquire()).toBe(true);
+	});
+
+	test('should allow bursts up to the bucket capacity', () => {
+		const limiter = new RateLimiter({limit: 2, interval: 1000, burst: 3});
+
+		expect([1, 2, 3, 4].map(() => limiter.tryAcquire())).toEqual([true, true, true, false]);
+		expect(limiter.getDelay()).toBe(500);
+
+		// The bucket never holds more than its capacity
+		jest.advanceTimersByTime(10000);
+		expect([1, 2, 3, 4].map(() => limiter.tryAcquire())).toEqual([true, true, true, false]);
+	});
+
+	test('should validate rate limits', () => {
+		expect(() => RateLimiter.validate({limit: 1, interval: 1})).not.toThrow();
+		expect(() => RateLimiter.validate({limit: 5, interval: 1000, burst: 5})).not.toThrow();
+
+		expect(() => RateLimiter.validate(5)).toThrow('The "rateLimit" option must be an object');
+		expect(() => RateLimiter.validate({interval: 1000})).toThrow('The "rateLimit.limit" option must be a positive integer');
+		expect(() => RateLimiter.validate({limit: 0.5, interval: 1000})).toThrow('The "rateLimit.limit" option must be a positive integer');
+		expect(() => RateLimiter.validate({limit: 5, interval: 0})).toThrow('The "rateLimit.interval" option must be a positive number');
+		expect(() => RateLimiter.validate({limit: 5, interval: Infinity})).toThrow('The "rateLimit.interval" option must be a positive number');
+		expect(() => RateLimiter.validate({limit: 5, interval: 1000, burst: 0})).toThrow('The "rateLimit.burst" option must be a positive integer');
+	});
+});
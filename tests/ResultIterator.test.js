@@ -0,0 +1,82 @@
+const {ResultIterator} = require('../src/ResultIterator');
+
+const delay = (ms, value, fail = false) => new Promise((resolve, reject) => {
+	setTimeout(() => (fail ? reject(value) : resolve(value)), ms);
+});
+
+const drain = async (iterator) => {
+	const results = [];
+	for await (const result of iterator) {
+		results.push(result);
+	}
+	return results;
+};
+
+describe('unit', () => {
+	test('should yield outcomes in completion order', async () => {
+		const iterator = new ResultIterator(false);
+		iterator.collect('slow', delay(20, 'a'));
+		iterator.collect('fast', delay(5, 'b'));
+		iterator.collect('failing', delay(10, 'c', true));
+		iterator.end();
+
+		expect(await drain(iterator)).toEqual([
+			{id: 'fast', value: 'b'},
+			{id: 'failing', error: 'c'},
+			{id: 'slow', value: 'a'},
+		]);
+	});
+
+	test('should yield outcomes in the order they were collected', async () => {
+		const iterator = new ResultIterator(true);
+		iterator.collect(1, delay(20, 'a'));
+		iterator.collect(2, delay(5, 'b'));
+		iterator.collect(1, delay(10, 'c'));
+		iterator.end();
+
+		expect(await drain(iterator)).toEqual([
+			{id: 1, value: 'a'},
+			{id: 2, value: 'b'},
+			{id: 1, value: 'c'},
+		]);
+	});
+
+	test('should wait for outcomes collected after iterating started', async () => {
+		const iterator = new ResultIterator(false);
+		const next = iterator.next();
+		iterator.collect(1, Promise.resolve('a'));
+
+		await expect(next).resolves.toEqual({value: {id: 1, value: 'a'}, done: false});
+		iterator.end();
+		await expect(iterator.next()).resolves.toEqual({done: true});
+		iterator.collect(2, Promise.resolve('b'));
+		await expect(iterator.next()).resolves.toEqual({done: true});
+	});
+
+	test('should throw the end error once the outcomes are yielded', async () => {
+		const iterator = new ResultIterator(false);
+		iterator.collect(1, Promise.resolve('a'));
+		iterator.end(new Error('Source failed'));
+
+		await expect(iterator.next()).resolves.toEqual({value: {id: 1, value: 'a'}, done: false});
+		await expect(iterator.next()).rejects.toThrow('Source failed');
+		await expect(iterator.next()).resolves.toEqual({done: true});
+	});
+
+	test('should report reads and early closes', async () => {
+		const onRead = jest.fn();
+		const onClose = jest.fn();
+		const iterator = new ResultIterator(false, {onRead, onClose});
+		iterator.collect(1, Promise.resolve('a'));
+		iterator.collect(2, Promise.resolve('b'));
+
+		for await (const result of iterator) {
+			expect(result).toEqual({id: 1, value: 'a'});
+			break;
+		}
+
+		expect(onRead).toHaveBeenCalledTimes(1);
+		expect(onClose).toHaveBeenCalledTimes(1);
+		await expect(iterator.next()).resolves.toEqual({done: true});
+	});
+});
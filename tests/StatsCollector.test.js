@@ -0,0 +1,52 @@
+const {StatsCollector} = require('../src/StatsCollector');
+
+describe('unit', () => {
+	beforeEach(() => {
+		jest.useFakeTimers({now: 0});
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	test('should count and summarize durations', () => {
+		jest.setSystemTime(5000);
+		const stats = new StatsCollector();
+
+		['enqueued', 'enqueued', 'retried', 'timedOut', 'succeeded', 'cancelled'].forEach((counter) => stats.count(counter));
+		stats.recordWait(10);
+		stats.recordWait(30);
+		stats.recordRun(200);
+
+		expect(stats.getStats()).toEqual({
+			since: 5000,
+			enqueued: 2,
+			succeeded: 1,
+			failed: 0,
+			retried: 1,
+			cancelled: 1,
+			timedOut: 1,
+			waitTime: {average: 20, p50: 10, p95: 30, p99: 30},
+			runTime: {average: 200, p50: 200, p95: 200, p99: 200},
+			throughput: 0,
+		});
+	});
+
+	test('should measure throughput over the sliding window', () => {
+		const stats = new StatsCollector({window: 10000});
+
+		[1, 2, 3, 4].forEach(() => stats.count('succeeded'));
+		jest.advanceTimersByTime(2000);
+		stats.count('failed');
+		stats.count('enqueued');
+
+		// Counted since the collection started while it is shorter than the window
+		expect(stats.getStats().throughput).toBe(2.5);
+
+		jest.advanceTimersByTime(8500);
+		expect(stats.getStats().throughput).toBe(0.1);
+
+		jest.advanceTimersByTime(2000);
+		expect(stats.getStats().throughput).toBe(0);
+	});
+});
@@ -0,0 +1,52 @@
+const {
+	BackoffStrategy,
+	JitterMode,
+	defaultRetryPolicy,
+	getRetryDelay,
+	validateRetryPolicy,
+} = require('../src/retryPolicy');
+
+const policy = (overrides) => ({...defaultRetryPolicy, delay: 100, ...overrides});
+
+describe('unit', () => {
+	test('should compute fixed delays', () => {
+		const fixed = policy({strategy: BackoffStrategy.FIXED});
+		expect([1, 2, 3].map((attempt) => getRetryDelay(fixed, attempt))).toEqual([100, 100, 100]);
+	});
+
+	test('should compute linear delays', () => {
+		const linear = policy({strategy: BackoffStrategy.LINEAR});
+		expect([1, 2, 3].map((attempt) => getRetryDelay(linear, attempt))).toEqual([100, 200, 300]);
+	});
+
+	test('should compute exponential delays', () => {
+		const exponential = policy({strategy: BackoffStrategy.EXPONENTIAL, factor: 3});
+		expect([1, 2, 3].map((attempt) => getRetryDelay(exponential, attempt))).toEqual([100, 300, 900]);
+	});
+
+	test('should cap delays to maxDelay', () => {
+		const capped = policy({strategy: BackoffStrategy.EXPONENTIAL, maxDelay: 250});
+		expect([1, 2, 3].map((attempt) => getRetryDelay(capped, attempt))).toEqual([100, 200, 250]);
+	});
+
+	test('should apply full and equal jitter', () => {
+		const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+		expect(getRetryDelay(policy({jitter: JitterMode.FULL}), 1)).toBe(50);
+		expect(getRetryDelay(policy({jitter: JitterMode.EQUAL}), 1)).toBe(75);
+
+		random.mockRestore();
+	});
+
+	test('should validate partial retry policies', () => {
+		const shouldRetry = () => false;
+		expect(validateRetryPolicy({delay: 10, shouldRetry, foo: 'bar'})).toEqual({delay: 10, shouldRetry});
+
+		expect(() => validateRetryPolicy(null)).toThrow('The "retryPolicy" parameter must be an object');
+		expect(() => validateRetryPolicy({strategy: 'foo'})).toThrow('The "retryPolicy.strategy" option is invalid');
+		expect(() => validateRetryPolicy({delay: -1})).toThrow('The "retryPolicy.delay" option is invalid');
+		expect(() => validateRetryPolicy({factor: 0.5})).toThrow('The "retryPolicy.factor" option is invalid');
+		expect(() => validateRetryPolicy({jitter: true})).toThrow('The "retryPolicy.jitter" option is invalid');
+		expect(() => validateRetryPolicy({shouldRetry: 'foo'})).toThrow('The "retryPolicy.shouldRetry" option is invalid');
+	});
+});
@@ -0,0 +1,50 @@
+const {mkdtemp, readFile, rm, writeFile} = require('fs/promises');
+const {tmpdir} = require('os');
+const {join} = require('path');
+const {FileStorage} = require('../../src/storage/FileStorage');
+
+describe('unit', () => {
+	test('should trigger exceptions on invalid arguments', () => {
+		expect(() => new FileStorage('')).toThrow('The "path" parameter must be a non-empty string');
+		expect(() => new FileStorage(42)).toThrow('The "path" parameter must be a non-empty string');
+	});
+});
+
+describe('integration', () => {
+	let directory = null;
+
+	beforeEach(async () => {
+		directory = await mkdtemp(join(tmpdir(), 'queue-'));
+	});
+
+	afterEach(async () => {
+		await rm(directory, {recursive: true, force: true});
+	});
+
+	test('should save tasks to a JSON file and load them back', async () => {
+		const path = join(directory, 'queue.json');
+		const storage = new FileStorage(path);
+		expect(await storage.load()).toEqual([]);
+
+		await storage.save([{id: 'a', handler: 'resize', payload: {width: 100}}]);
+		expect(JSON.parse(await readFile(path, 'utf8'))).toEqual([{id: 'a', handler: 'resize', payload: {width: 100}}]);
+		expect(await new FileStorage(path).load()).toEqual([{id: 'a', handler: 'resize', payload: {width: 100}}]);
+	});
+
+	test('should remove the file once there is nothing to save', async () => {
+		const path = join(directory, 'queue.json');
+		const storage = new FileStorage(path);
+
+		await storage.save([{id: 'a', handler: 'resize', payload: null}]);
+		await storage.save([]);
+		await storage.save([]);
+		await expect(readFile(path)).rejects.toMatchObject({code: 'ENOENT'});
+	});
+
+	test('should report files that can not be parsed', async () => {
+		const path = join(directory, 'queue.json');
+		await writeFile(path, '{');
+
+		await expect(new FileStorage(path).load()).rejects.toThrow(SyntaxError);
+	});
+});
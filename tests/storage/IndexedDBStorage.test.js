@@ -0,0 +1,97 @@
+const {IndexedDBStorage} = require('../../src/storage/IndexedDBStorage');
+
+// Bare-bones IDBFactory, requests settle on the next tick like the real ones
+const createFactory = ({failOpen = false} = {}) => {
+	const databases = new Map();
+	const later = (callback) => setTimeout(callback);
+
+	const open = jest.fn((name) => {
+		const request = {};
+		later(() => {
+			if (failOpen) {
+				request.error = new Error('blocked');
+				request.onerror();
+				return;
+			}
+
+			const created = !databases.has(name);
+			if (created) {
+				databases.set(name, new Map());
+			}
+
+			const stores = databases.get(name);
+			request.result = {
+				createObjectStore: (store) => stores.set(store, new Map()),
+				transaction: (store) => {
+					const transaction = {
+						objectStore: () => ({
+							get: (key) => {
+								const get = {};
+								later(() => {
+									get.result = stores.get(store).get(key);
+									get.onsuccess();
+								});
+								return get;
+							},
+							put: (value, key) => {
+								stores.get(store).set(key, structuredClone(value));
+								later(() => transaction.oncomplete());
+							},
+						}),
+					};
+					return transaction;
+				},
+			};
+
+			if (created) {
+				request.onupgradeneeded();
+			}
+			request.onsuccess();
+		});
+		return request;
+	});
+
+	return {databases, open};
+};
+
+describe('unit', () => {
+	test('should trigger exceptions on invalid arguments', () => {
+		expect(() => new IndexedDBStorage('', createFactory())).toThrow('The "name" parameter must be a non-empty string');
+		expect(() => new IndexedDBStorage('queue', {})).toThrow('The "factory" parameter must be an IDBFactory');
+	});
+});
+
+describe('integration', () => {
+	test('should save tasks in a single record and load them back', async () => {
+		const factory = createFactory();
+		const storage = new IndexedDBStorage('uploads', factory);
+		expect(await storage.load()).toEqual([]);
+
+		await storage.save([{id: 1, handler: 'upload', payload: {name: 'a.txt'}}]);
+		expect(factory.databases.get('uploads').get('tasks').get('pending')).toEqual([
+			{id: 1, handler: 'upload', payload: {name: 'a.txt'}},
+		]);
+		expect(await new IndexedDBStorage('uploads', factory).load()).toEqual([
+			{id: 1, handler: 'upload', payload: {name: 'a.txt'}},
+		]);
+	});
+
+	test('should open the database once', async () => {
+		const factory = createFactory();
+		const storage = new IndexedDBStorage('uploads', factory);
+
+		await Promise.all([storage.load(), storage.save([])]);
+		await storage.load();
+		expect(factory.open).toHaveBeenCalledTimes(1);
+		expect(factory.open).toHaveBeenCalledWith('uploads', 1);
+	});
+
+	test('should try to open the database again after a failure', async () => {
+		const factory = createFactory({failOpen: true});
+		const storage = new IndexedDBStorage('uploads', factory);
+
+		await expect(storage.load()).rejects.toThrow('blocked');
+		await expect(storage.load()).rejects.toThrow('blocked');
+		expect(factory.open).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,20 @@
+const {MemoryStorage} = require('../../src/storage/MemoryStorage');
+
+describe('unit', () => {
+	test('should load an empty array until something is saved', () => {
+		const storage = new MemoryStorage();
+		expect(storage.load()).toEqual([]);
+	});
+
+	test('should load copies of the saved tasks', () => {
+		const storage = new MemoryStorage();
+		const tasks = [{id: 1, handler: 'send', payload: {to: 'a@b.c'}}];
+
+		storage.save(tasks);
+		tasks[0].payload.to = 'changed';
+
+		const loaded = storage.load();
+		expect(loaded).toEqual([{id: 1, handler: 'send', payload: {to: 'a@b.c'}}]);
+		expect(storage.load()).not.toBe(loaded);
+	});
+});
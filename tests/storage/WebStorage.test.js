@@ -0,0 +1,39 @@
+const {WebStorage} = require('../../src/storage/WebStorage');
+
+const createArea = () => {
+	const items = new Map();
+	return {
+		items,
+		getItem: (key) => (items.has(key) ? items.get(key) : null),
+		setItem: (key, value) => items.set(key, String(value)),
+		removeItem: (key) => items.delete(key),
+	};
+};
+
+describe('unit', () => {
+	test('should trigger exceptions on invalid arguments', () => {
+		expect(() => new WebStorage('', createArea())).toThrow('The "key" parameter must be a non-empty string');
+		expect(() => new WebStorage('queue', {})).toThrow('The "storage" parameter must be a Web Storage area');
+	});
+
+	test('should save tasks as JSON under its key', () => {
+		const area = createArea();
+		const storage = new WebStorage('uploads', area);
+		expect(storage.load()).toEqual([]);
+
+		storage.save([{id: 1, handler: 'upload', payload: 'a.txt'}]);
+		expect(JSON.parse(area.items.get('uploads'))).toEqual([{id: 1, handler: 'upload', payload: 'a.txt'}]);
+		expect(storage.load()).toEqual([{id: 1, handler: 'upload', payload: 'a.txt'}]);
+		expect(new WebStorage('other', area).load()).toEqual([]);
+	});
+
+	test('should remove its key once there is nothing to save', () => {
+		const area = createArea();
+		const storage = new WebStorage('uploads', area);
+
+		storage.save([{id: 1, handler: 'upload', payload: 'a.txt'}]);
+		storage.save([]);
+		expect(area.items.has('uploads')).toBe(false);
+		expect(storage.load()).toEqual([]);
+	});
+});